@@ -9,6 +9,7 @@ chain
   .observe('eh', data => {
     console.log(data)
   })
+  .end()
   .eh(true)
 
 log.quick(chain)
@@ -8,8 +8,14 @@ const isUndefined = require('./deps/is/undefined')
 const isString = require('./deps/is/string')
 const isFalse = require('./deps/is/false')
 const ObjectKeys = require('./deps/util/keys')
+const ArrayFrom = require('./deps/util/from')
 const ObjectDefine = require('./deps/define')
 const ignored = require('./deps/ignored')
+const ORDER_KEY = require('./deps/meta/order')
+const reorder = require('./deps/order/reorder')
+const childEntries = require('./deps/children/entries')
+const rebuild = require('./deps/order/rebuild')
+const forget = require('./deps/order/forget')
 const ENV_DEVELOPMENT = require('./deps/env/dev')
 
 const shouldClear = (key, property) =>
@@ -65,8 +71,10 @@ const C = SuperClass => {
     }
 
     /**
-     * @desc Iterator for looping values in the store
+     * @desc Iterator for looping values in the store,
+     *       then the children (from `.child`) that have been created
      *
+     * @since 4.0.0-beta.3 <- children
      * @since 0.5.0
      * @see this.store
      * @type {generator}
@@ -113,6 +121,7 @@ const C = SuperClass => {
       const size = this.store.size
       const entries = this.entries ? this.entries() : 0
       const keys = entries === 0 ? new Array(size) : ObjectKeys(entries)
+      const children = childEntries(this)
 
       return {
         i: 0,
@@ -122,6 +131,11 @@ const C = SuperClass => {
           const val = values[i]
           if (entries) key = keys[i]
 
+          if (size <= i && i < size + children.length) {
+            this.i++
+            return {value: children[i - size], done: false}
+          }
+
           // done - no more values, or iteration reached size
           if ((isUndefined(key) && isUndefined(val)) || size <= i) {
             return {value: undefined, done: true}
@@ -262,6 +276,7 @@ const C = SuperClass => {
      */
     delete(key) {
       this.store.delete(key)
+      forget(this, key)
       return this
     }
 
@@ -313,11 +328,117 @@ const C = SuperClass => {
      *
      */
     values() {
+      reorder(this)
       const vals = []
       this.store.forEach(v => vals.push(v))
       return vals
     }
 
+    /**
+     * @desc the last `.set` key (or `.add`ed value) comes before `key`,
+     *       resolved (topologically) when the store is read in order
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Primitive | any} key key (or value) it comes before
+     * @return {Chainable} @chainable
+     *
+     * @throws {Error} when reading, if the constraints have a cycle
+     *
+     * @see deps/order/resolve
+     *
+     * @example
+     *
+     *  const chain = new Chain()
+     *  chain.set('eh', 1).set('canada', 2).before('eh')
+     *  chain.entries()
+     *  //=> {canada: 2, eh: 1}
+     *
+     */
+    before(key) {
+      this.meta(ORDER_KEY, this.meta.last, [{before: key}])
+      return this
+    }
+
+    /**
+     * @desc the last `.set` key (or `.add`ed value) comes after `key`
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Primitive | any} key key (or value) it comes after
+     * @return {Chainable} @chainable
+     *
+     * @see Chainable.before
+     *
+     * @example
+     *
+     *  const chain = new Chain()
+     *  chain.set('eh', 1).after('canada').set('canada', 2)
+     *  chain.entries()
+     *  //=> {canada: 2, eh: 1}
+     *
+     */
+    after(key) {
+      this.meta(ORDER_KEY, this.meta.last, [{after: key}])
+      return this
+    }
+
+    /**
+     * @desc moves a key (or value) to an index in the store,
+     *       negative indexes are from the end
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Primitive | any} key key (or value) to move
+     * @param  {number} index where to move it
+     * @return {Chainable} @chainable
+     *
+     * @NOTE drops `.before` & `.after` constraints on `key`
+     *
+     * @see deps/order/forget
+     *
+     * @example
+     *
+     *  const chain = new Chain().set('eh', 1).set('canada', 2)
+     *  chain.move('canada', 0).entries()
+     *  //=> {canada: 2, eh: 1}
+     *
+     */
+    move(key, index) {
+      if (!this.store.has(key)) return this
+
+      const keys = ArrayFrom(this.store.keys()).filter(other => other !== key)
+      keys.splice(index < 0 ? keys.length + 1 + index : index, 0, key)
+      forget(this, key)
+      rebuild(this.store, keys)
+      return this
+    }
+
+    /**
+     * @desc puts `keys` first, in that order, the rest keep their order
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Array<Primitive | any>} keys keys (or values) to put first
+     * @return {Chainable} @chainable
+     *
+     * @NOTE drops `.before` & `.after` constraints on `keys`
+     *
+     * @see deps/order/forget
+     *
+     * @example
+     *
+     *  const chain = new Chain().set('a', 1).set('b', 2).set('c', 3)
+     *  chain.order(['c', 'a']).entries()
+     *  //=> {c: 3, a: 1, b: 2}
+     *
+     */
+    order(keys) {
+      const first = keys.filter(key => this.store.has(key))
+      const rest = ArrayFrom(this.store.keys()).filter(
+        key => !first.includes(key)
+      )
+      first.forEach(key => forget(this, key))
+      rebuild(this.store, first.concat(rest))
+      return this
+    }
+
     /**
      * @see http://2ality.com/2015/09/well-known-symbols-es6.html#default-tostring-tags
      * @since 1.0.2
@@ -1,7 +1,22 @@
 const isUndefined = require('./deps/is/undefined')
+const isFunction = require('./deps/is/function')
+const isString = require('./deps/is/string')
+const ObjectKeys = require('./deps/util/keys')
+const hasOwnProperty = require('./deps/util/hasOwnProperty')
+const eq = require('./deps/traversers/eq')
+const diff = require('./deps/traversers/diff')
+const applyPatch = require('./deps/traversers/patch')
+const envelope = require('./deps/serialize/envelope')
+const hydrate = require('./deps/serialize/hydrate')
+const isEnvelope = require('./deps/serialize/isEnvelope')
+const schemaErrors = require('./deps/validators/schemaErrors')
+const SCHEMA_KEY = require('./deps/meta/schema')
+const fromChain = require('./deps/chainsaw/fromChain')
+const registerChild = require('./deps/children/register')
 const MergeChain = require('./MergeChain')
 const MethodChain = require('./MethodChain')
 const ChainedMapCore = require('./ChainedMapBase')
+const ChainedSet = require('./ChainedSet')
 
 /**
  * @desc ChainedMap composer
@@ -63,6 +78,73 @@ const CM = SuperClass => {
       return new MethodChain(this).name(names)
     }
 
+    /**
+     * @desc start building read-only computed values,
+     *       finished with `.use(paths, fn)` & `.build()`
+     *
+     * @since 4.0.0-beta.3
+     * @category methods
+     *
+     * @param  {string | Array<string>} names computed value names
+     * @return {MethodChain} @chainable
+     *
+     * @see MethodChain.use
+     * @see plugins/computed
+     *
+     * @example
+     *
+     *   const chain = new Chain()
+     *   chain
+     *     .computed('fullName')
+     *     .use('name.first, name.last', ({name}) => name.first + ' ' + name.last)
+     *     .build()
+     *
+     *   chain.set('name', {first: 'eh', last: 'canada'})
+     *   chain.get('fullName')
+     *   //=> 'eh canada'
+     *
+     */
+    computed(names) {
+      return this.method(names)
+    }
+
+    /* prettier-ignore */
+    /**
+     * @desc registers a child chain, created (with this as the parent)
+     *       the first time `chain[name]` is used,
+     *       with `keyed`, `chain[name]` is a ChainedMapBase of children
+     *       & `chain[keyed](key)` returns (or creates) the child for a key
+     *
+     * @since 4.0.0-beta.3
+     *
+     * @param  {string} name property for the child (or keyed children)
+     * @param  {Class} [ChainClass=ChainedMap] class of the child
+     * @param  {Object} [options] {keyed: method name for keyed children}
+     * @return {ChainedMap} @chainable
+     *
+     * @NOTE children are in `.entries(true)`, `.from`, `.merge`, `.clear`
+     *       & iteration, once they have been created
+     *
+     * @see deps/children/register
+     * @see deps/children/entries
+     *
+     * @example
+     *
+     *    const config = new Chain()
+     *      .child('output')
+     *      .child('plugins', Plugin, {keyed: 'plugin'})
+     *
+     *    config.output.set('path', 'dist')
+     *    config.plugin('html').set('template', 'index.html').end()
+     *
+     *    config.entries(true)
+     *    //=> {output: {path: 'dist'}, plugins: {html: {template: 'index.html'}}}
+     *
+     */
+    child(name, ChainClass, options) {
+      return registerChild(this, name, ChainClass || ChainedMap, options)
+    }
+
     /**
      * @desc merges an object with the current store
      * @since 0.4.0
@@ -105,6 +187,261 @@ const CM = SuperClass => {
       }
       return this
     }
+
+    /**
+     * @desc JSON Patch (RFC 6902) operations
+     *       to go from this chain's entries to the other's
+     *
+     * @since 4.0.0-beta.3
+     * @category merge
+     *
+     * @param {Chain | Object} other chain (or plain object) to compare to
+     * @return {Array<Object>} operations [{op, path, value}]
+     *
+     * @see deps/traversers/diff
+     * @see ChainedMap.patch
+     *
+     * @example
+     *
+     *    const one = new Chain().set('eh', 1).set('canada', [1])
+     *    const two = new Chain().set('eh', 2).set('canada', [1, 2])
+     *
+     *    one.diff(two)
+     *    //=> [
+     *      {op: 'replace', path: '/eh', value: 2},
+     *      {op: 'add', path: '/canada/1', value: 2},
+     *    ]
+     *
+     */
+    diff(other) {
+      const to = isFunction(other.entries) ? other.entries() : other
+      return diff(this.entries(), to)
+    }
+
+    /**
+     * @desc apply JSON Patch (RFC 6902) operations,
+     *       changed keys go through `.set` & removed keys through `.delete`
+     *       so transformers & observers are still called
+     *
+     * @since 4.0.0-beta.3
+     * @category merge
+     *
+     * @param {Array<Object>} ops operations [{op, path, value, from}]
+     * @return {ChainedMap} @chainable
+     *
+     * @throws {Error} when a path does not exist, or a `test` fails,
+     *                 before anything is changed
+     *
+     * @see deps/traversers/patch
+     * @see ChainedMap.diff
+     *
+     * @example
+     *
+     *    const chain = new Chain().set('eh', 1)
+     *    chain.patch([
+     *      {op: 'replace', path: '/eh', value: 2},
+     *      {op: 'add', path: '/canada', value: [1]},
+     *    ])
+     *    chain.entries()
+     *    //=> {eh: 2, canada: [1]}
+     *
+     * @example
+     *
+     *    // apply the changes from one chain to another
+     *    one.patch(one.diff(two))
+     *
+     */
+    patch(ops) {
+      const data = this.entries()
+      const patched = applyPatch(data, ops)
+
+      const keys = ObjectKeys(data)
+      for (let k = 0; k < keys.length; k++) {
+        if (!hasOwnProperty(patched, keys[k])) this.delete(keys[k])
+      }
+
+      const patchedKeys = ObjectKeys(patched)
+      for (let k = 0; k < patchedKeys.length; k++) {
+        const key = patchedKeys[k]
+        const value = patched[key]
+        if (!hasOwnProperty(data, key) || !eq(data[key], value)) {
+          this.set(key, value)
+        }
+      }
+
+      return this
+    }
+
+    /**
+     * @desc check the values in the store with the schema from `.schema`,
+     *       without setting anything or calling onInvalid
+     *
+     * @since 4.0.0-beta.3
+     * @category types
+     *
+     * @return {Array<Object>} failures [{path, expected, actual, message}],
+     *                         empty when valid
+     *
+     * @NOTE keys that are not in the store are not validated
+     * @NOTE async validators are not awaited, use `.settled()` for those
+     *
+     * @see MethodChain.schema
+     * @see deps/validators/schemaErrors
+     *
+     * @example
+     *
+     *    const chain = new Chain()
+     *    chain.methods().schema({id: 'number', dates: {created: 'date'}})
+     *    chain.store.set('dates', {created: 'eh'})
+     *
+     *    chain.validate()
+     *    //=> [{
+     *    //  path: 'dates.created',
+     *    //  expected: 'date',
+     *    //  actual: 'eh',
+     *    //  message: 'dates.created: [object String] != date',
+     *    // }]
+     *
+     */
+    validate() {
+      const schemas = this.meta.store && this.meta.store[SCHEMA_KEY]
+      if (isUndefined(schemas)) return []
+
+      let errors = []
+      schemas.forEach((values, key) => {
+        if (!this.store.has(key)) return
+        const schema = values[values.length - 1]
+        errors = errors.concat(schemaErrors(key, schema, this.get(key)))
+      })
+
+      return errors
+    }
+
+    /**
+     * @desc queue calls to the methods of the chain,
+     *       each one is called once the one before it is done,
+     *       async (thenable) results are waited for
+     *
+     * @since 4.0.0-beta.3
+     * @category async
+     *
+     * @param  {Function} [builder] (saw, chain) => void, to add handlers to `this`
+     * @return {Object} fluent chain of deferred actions, awaitable with `.then`
+     *
+     * @see deps/chainsaw
+     * @see deps/chainsaw/fromChain
+     *
+     * @example
+     *
+     *    const chain = new Chain().extend(['eh'])
+     *    chain.methods('email').type(async email => isAvailable(email)).build()
+     *
+     *    await chain.chainsaw().email('eh@canada.ca').eh(true)
+     *    //=> chain, with email & eh set, in order
+     *
+     * @example
+     *
+     *    chain
+     *      .chainsaw(function(saw, chain) {
+     *        this.wait = ms => setTimeout(saw.next, ms)
+     *      })
+     *      .eh(1)
+     *      .wait(100)
+     *      .eh(2)
+     *
+     */
+    chainsaw(builder) {
+      return fromChain(this, builder)
+    }
+
+    /**
+     * @desc snapshot of the chain as a versioned JSON envelope,
+     *       including chain-like properties (ChainedMap & ChainedSet),
+     *       Date, RegExp, Map & Set values,
+     *       and the names of shorthands & decorated methods
+     *
+     * @since 4.0.0-beta.3
+     * @category serialize
+     *
+     * @return {string} JSON envelope
+     *
+     * @see deps/serialize/envelope
+     * @see ChainedMap.deserialize
+     *
+     * @example
+     *
+     *    const chain = new Chain().extend(['eh']).eh(new Date(0))
+     *    const copy = Chain.deserialize(chain.serialize())
+     *    copy.get('eh') instanceof Date
+     *    //=> true
+     *    typeof copy.eh
+     *    //=> 'function'
+     *
+     */
+    serialize() {
+      return JSON.stringify(envelope(this))
+    }
+
+    /**
+     * @desc hydrates from an object,
+     *       a serialized envelope, or a JSON string of either
+     *
+     *       envelope values are restored into the store as they were,
+     *       missing chain-like properties are made as ChainedMap or ChainedSet
+     *
+     * @since 4.0.0-beta.3 <- serialized envelopes & strings
+     * @since 0.5.0
+     * @override
+     * @inheritdoc
+     *
+     * @param {Object | string} obj object, envelope, or JSON to hydrate from
+     * @return {ChainedMap} @chainable
+     *
+     * @see ChainedMapBase.from
+     * @see ChainedMap.serialize
+     *
+     * @example
+     *
+     *    new Chain().from('{"eh": true}').get('eh')
+     *    //=> true
+     *
+     *    new Chain().from(chain.serialize()).entries(true)
+     *    //=> chain.entries(true)
+     *
+     */
+    from(obj) {
+      const data = isString(obj) ? JSON.parse(obj) : obj
+      if (!isEnvelope(data)) return super.from(data)
+
+      return hydrate(this, data, (type, parent) => {
+        if (type === 'ChainedSet') return new ChainedSet(parent)
+        return new ChainedMap(parent)
+      })
+    }
+
+    /**
+     * @desc makes a new instance of the class from `.serialize`
+     *
+     * @since 4.0.0-beta.3
+     * @category serialize
+     *
+     * @param  {string | Object} str JSON envelope from `.serialize`
+     * @return {ChainedMap} new instance
+     *
+     * @see ChainedMap.serialize
+     * @see ChainedMap.from
+     *
+     * @example
+     *
+     *    class Canada extends Chain {}
+     *    const copy = Canada.deserialize(new Canada().set('eh', 1).serialize())
+     *    copy instanceof Canada
+     *    //=> true
+     *
+     */
+    static deserialize(str) {
+      return new this().from(str)
+    }
   }
   return ChainedMap
 }
@@ -4,8 +4,18 @@ const reduce = require('./deps/reduce')
 const reduceEntries = require('./deps/reduce/entries')
 const isFunction = require('./deps/is/function')
 const ObjectKeys = require('./deps/util/keys')
+const ArrayFrom = require('./deps/util/from')
+const toarr = require('./deps/to-arr')
 const getMeta = require('./deps/meta')
+const notify = require('./deps/meta/notify')
 const SHORTHANDS_KEY = require('./deps/meta/shorthands')
+const computedDefinition = require('./deps/computed/definition')
+const compute = require('./deps/computed/compute')
+const reduceComputed = require('./deps/computed/reduce')
+const reorder = require('./deps/order/reorder')
+const toConfig = require('./deps/reduce/toConfig')
+const toSource = require('./deps/source/toSource')
+const EXPORTERS_KEY = require('./deps/meta/exporters')
 
 /**
  * @desc ChainedMapBase composer
@@ -131,7 +141,7 @@ const CMC = SuperClass => {
      * @param {Object} obj object with functions to hydrate from
      * @return {Chainable} @chainable
      *
-     * @TODO could also add parsing stringified
+     * @see ChainedMap.from for serialized chains & JSON strings
      *
      * @example
      *
@@ -185,7 +195,7 @@ const CMC = SuperClass => {
      */
     extend(methods) {
       methods.forEach(method => {
-        this.meta(SHORTHANDS_KEY, method)
+        this.meta(SHORTHANDS_KEY, method, method)
         this[method] = value => this.set(method, value)
       })
       return this
@@ -193,9 +203,11 @@ const CMC = SuperClass => {
 
     /**
      * @desc spreads the entries from ChainedMapBase.store (Map)
-     *       return store.entries, plus all chain properties if they exist
+     *       return store.entries, plus all chain properties if they exist,
+     *       plus computed values
      * @memberOf ChainedMapBase
      *
+     * @since 4.0.0-beta.3 <- computed values
      * @since 4.0.0 <- improved reducing
      * @since 0.4.0
      *
@@ -212,7 +224,8 @@ const CMC = SuperClass => {
      *
      */
     entries(chains = false) {
-      const reduced = reduce(this.store)
+      reorder(this)
+      const reduced = reduceComputed(this, reduce(this.store))
       if (chains === false) return reduced
 
       const reducer = reduceEntries(reduced)
@@ -221,12 +234,110 @@ const CMC = SuperClass => {
       return reduced
     }
 
+    /**
+     * @desc the plain object a tool consumes, from the whole chain tree:
+     *       nested chains (& `.child`ren) become objects, ChainedSets arrays,
+     *       `.onExport` hooks are called, undefined & empty values are dropped
+     * @memberOf ChainedMapBase
+     * @since 4.0.0-beta.3
+     *
+     * @return {Object} config
+     *
+     * @see deps/reduce/toConfig
+     *
+     * @example
+     *
+     *    const chain = new Chain().child('output').set('mode', 'dev')
+     *    chain.tags = new ChainedSet(chain).add('eh')
+     *    chain.toConfig()
+     *    //=> {mode: 'dev', tags: ['eh']}
+     *
+     */
+    toConfig() {
+      return toConfig(this)
+    }
+
+    /* prettier-ignore */
+    /**
+     * @desc readable JavaScript that makes the chain, for debugging:
+     *       the fluent calls (using `.extend` shorthands), children included,
+     *       or the object literal of `.toConfig` with `style: 'object'`
+     * @memberOf ChainedMapBase
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Object} [options] {style: 'chain' | 'object', name = 'chain', serializers}
+     * @return {string} source
+     *
+     * @see deps/source/toSource
+     * @see deps/source/valueToSource
+     *
+     * @example
+     *
+     *    new Chain().extend(['mode']).mode('dev').set('test', /\.js$/).toSource()
+     *    //=> chain
+     *    //  .mode('dev')
+     *    //  .set('test', /\.js$/)
+     *
+     *    new Chain().set('eh', [1]).toSource({style: 'object'})
+     *    //=> {eh: [1]}
+     *
+     */
+    toSource(options) {
+      return toSource(this, options)
+    }
+
+    /**
+     * @desc `.toSource()`, so template strings & `String(chain)` are readable
+     * @memberOf ChainedMapBase
+     * @since 4.0.0-beta.3
+     *
+     * @return {string} source
+     *
+     * @see ChainedMapBase.toSource
+     *
+     * @example
+     *
+     *    `${new Chain().set('eh', 1)}`
+     *    //=> "chain\n  .set('eh', 1)"
+     *
+     */
+    toString() {
+      return this.toSource()
+    }
+
+    /**
+     * @desc changes (or omits, by returning undefined) a key in `.toConfig`
+     * @memberOf ChainedMapBase
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Primitive} key key to export with the hook
+     * @param  {Function} fn (value, key, chain) => exported value
+     * @return {ChainedMapBase} @chainable
+     *
+     * @see ChainedMapBase.toConfig
+     *
+     * @example
+     *
+     *    new Chain()
+     *      .set('plugins', ['eh'])
+     *      .onExport('plugins', plugins => plugins.map(name => name + '-plugin'))
+     *      .toConfig()
+     *    //=> {plugins: ['eh-plugin']}
+     *
+     */
+    onExport(key, fn) {
+      this.meta(EXPORTERS_KEY, key, [fn])
+      return this
+    }
+
     /**
      * @desc get value for key path in the Map store
      *       ❗ `debug` is a special key and is *not* included into .store
      *          it goes onto .meta
+     *       computed values are computed when a dependency changed
      *
      * @memberOf ChainedMapBase
+     * @since 4.0.0-beta.3 <- computed values
      * @since 4.0.0 <- moved debug here
      * @since 0.4.0
      *
@@ -249,9 +360,37 @@ const CMC = SuperClass => {
      */
     get(key) {
       if (key === 'debug') return this.meta.debug
+
+      const computed = computedDefinition(this, key)
+      if (computed) return compute(this, computed)
+
       return this.store.get(key)
     }
 
+    /**
+     * @desc whether the store has the key, or it is a computed value
+     *
+     * @memberOf ChainedMapBase
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Primitive} key key in the store, or computed value name
+     * @return {boolean} has the key
+     *
+     * @see Chainable.has
+     * @see ChainedMap.computed
+     *
+     * @example
+     *
+     *    const chain = new Chain()
+     *    chain.computed('eh').use('oh', ({oh}) => oh).build()
+     *    chain.has('eh')
+     *    //=> true
+     *
+     */
+    has(key) {
+      return !!computedDefinition(this, key) || super.has(key)
+    }
+
     /**
      * @desc sets the value using the key on store
      *       adds or updates an element with a specified key and value
@@ -263,6 +402,8 @@ const CMC = SuperClass => {
      * @param {any} value any data to store
      * @return {ChainedMapBase} @chainable
      *
+     * @throws {TypeError} when the key is a computed value, they are read-only
+     *
      * {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/set mozilla-map-set}
      * @see {@link mozilla-map-set}
      * @see ChainedMapBase.store
@@ -276,9 +417,139 @@ const CMC = SuperClass => {
      *
      */
     set(key, value) {
+      if (computedDefinition(this, key)) {
+        throw new TypeError('cannot set computed value: ' + key)
+      }
+
+      this.meta.last = key
       this.store.set(key, value)
       return this
     }
+
+    /**
+     * @desc deletes the key from the store,
+     *       observers are called with a `delete` change record
+     *
+     * @memberOf ChainedMapBase
+     * @since 4.0.0-beta.3 <- notifies observers
+     * @since 0.3.0
+     *
+     * @param {Primitive} key key referencing the value to delete
+     * @return {ChainedMapBase} @chainable
+     *
+     * @see Chainable.delete
+     * @see deps/meta/notify
+     *
+     * @example
+     *
+     *    const chain = new Chain()
+     *    chain.observe('eh', (data, chain, changed) => console.log(changed))
+     *    chain.set('eh', 1).delete('eh')
+     *    //=> {type: 'delete', key: 'eh', path: 'eh', oldValue: 1, value: undefined}
+     *
+     */
+    delete(key) {
+      if (!this.store.has(key)) return this
+
+      const oldValue = this.store.get(key)
+      super.delete(key)
+
+      notify(this, {
+        type: 'delete',
+        key,
+        path: key,
+        oldValue,
+        value: undefined,
+      })
+
+      return this
+    }
+
+    /**
+     * @desc clears the store (and chain-like properties),
+     *       observers are called with a `clear` change record
+     *       with every key that was in the store
+     *
+     * @memberOf ChainedMapBase
+     * @since 4.0.0-beta.3 <- notifies observers
+     * @since 0.4.0
+     *
+     * @param {boolean | undefined} [clearPropertiesThatAreChainLike=true] checks properties on the object, if they are `chain-like`, clears them as well
+     * @return {ChainedMapBase} @chainable
+     *
+     * @see Chainable.clear
+     * @see deps/meta/notify
+     *
+     * @example
+     *
+     *    const chain = new Chain()
+     *    chain.observe('*', (data, chain, changed) => console.log(changed))
+     *    chain.set('eh', 1).clear()
+     *    //=> {type: 'clear', key: ['eh'], path: undefined, oldValue: {eh: 1}, value: undefined}
+     *
+     */
+    clear(clearPropertiesThatAreChainLike) {
+      if (this.store.size === 0) {
+        return super.clear(clearPropertiesThatAreChainLike)
+      }
+
+      const key = toarr(this.store.keys())
+      const oldValue = reduce(this.store)
+      super.clear(clearPropertiesThatAreChainLike)
+
+      notify(this, {
+        type: 'clear',
+        key,
+        path: undefined,
+        oldValue,
+        value: undefined,
+      })
+
+      return this
+    }
+
+    /**
+     * @desc waits for every pending async validation & onCall,
+     *       including ones started while waiting
+     *
+     * @memberOf ChainedMapBase
+     * @since 4.0.0-beta.3
+     *
+     * @return {Promise<ChainedMapBase>} resolves with the chain,
+     *         rejects with the first error once everything settled,
+     *         even when the call was rejected before `.settled()`
+     *
+     * @see deps/meta/pending
+     * @see MethodChain.type
+     *
+     * @example
+     *
+     *    chain.method('eh').type(async x => x === true).build()
+     *    chain.eh(true)
+     *    chain.get('eh')
+     *    //=> undefined
+     *
+     *    chain.settled().then(() => chain.get('eh'))
+     *    //=> Promise<true>
+     *
+     */
+    settled() {
+      const pending = this.meta.pending
+      if (!pending || pending.size === 0) return Promise.resolve(this)
+
+      const settling = ArrayFrom(pending).map(promise =>
+        promise.then(() => undefined, error => ({promise, error}))
+      )
+
+      return Promise.all(settling).then(results => {
+        const failed = results.filter(Boolean)
+        if (failed.length === 0) return this.settled()
+
+        // reported, the next `.settled()` does not reject with them again
+        failed.forEach(failure => pending.delete(failure.promise))
+        throw failed[0].error
+      })
+    }
   }
 }
 
@@ -1,12 +1,24 @@
 const Chainable = require('./Chainable')
 const toarr = require('./deps/to-arr')
+const getMeta = require('./deps/meta')
+const notify = require('./deps/meta/notify')
+const isString = require('./deps/is/string')
+const isFunction = require('./deps/is/function')
+const isUndefined = require('./deps/is/undefined')
+const eq = require('./deps/traversers/eq')
+const dot = require('./deps/dot')
+const insertAtIndex = require('./deps/array/insert-at-index')
+const rebuild = require('./deps/order/rebuild')
+const toConfig = require('./deps/reduce/toConfig')
+const toSource = require('./deps/source/toSource')
+const envelope = require('./deps/serialize/envelope')
+const hydrate = require('./deps/serialize/hydrate')
 
 /**
  * @class
  * @category Chainable
  * @category Set
  *
- * @TODO could add .first .last ?
  * @NOTE had Symbol.isConcatSpreadable but it was not useful
  *
  * @tutorial https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set
@@ -17,6 +29,7 @@ const toarr = require('./deps/to-arr')
  *
  * @extends {Chainable}
  * @prop {Set} store
+ * @prop {Meta} meta
  * @type {Set}
  */
 class ChainedSet extends Chainable {
@@ -32,6 +45,7 @@ class ChainedSet extends Chainable {
   constructor(parent) {
     super(parent)
     this.store = new Set()
+    this.meta = getMeta(this)
   }
 
   /**
@@ -52,7 +66,20 @@ class ChainedSet extends Chainable {
    *   //=> sam, sue
    */
   add(value) {
+    this.meta.last = value
+    if (this.store.has(value)) return this
+
     this.store.add(value)
+
+    const index = this.store.size - 1
+    notify(this, {
+      type: 'set',
+      key: index,
+      path: index,
+      oldValue: undefined,
+      value,
+    })
+
     return this
   }
 
@@ -73,7 +100,17 @@ class ChainedSet extends Chainable {
    *   //=> first, sue
    */
   prepend(value) {
+    this.meta.last = value
     this.store = new Set([value].concat(super.values()))
+
+    notify(this, {
+      type: 'set',
+      key: 0,
+      path: 0,
+      oldValue: undefined,
+      value,
+    })
+
     return this
   }
 
@@ -99,10 +136,450 @@ class ChainedSet extends Chainable {
   merge(arr) {
     const mergeable = toarr(arr)
     for (let i = 0; i < mergeable.length; i++) {
-      this.store.add(mergeable[i])
+      this.add(mergeable[i])
     }
     return this
   }
+
+  /**
+   * @desc the first value
+   * @since 4.0.0-beta.3
+   *
+   * @return {any} first value, undefined when empty
+   *
+   * @example
+   *
+   *   new ChainedSet().add('sam').add('sue').first()
+   *   //=> 'sam'
+   *
+   */
+  first() {
+    return this.at(0)
+  }
+
+  /**
+   * @desc the last value
+   * @since 4.0.0-beta.3
+   *
+   * @return {any} last value, undefined when empty
+   *
+   * @example
+   *
+   *   new ChainedSet().add('sam').add('sue').last()
+   *   //=> 'sue'
+   *
+   */
+  last() {
+    return this.at(-1)
+  }
+
+  /**
+   * @desc the value at an index, negative indexes are from the end
+   * @since 4.0.0-beta.3
+   *
+   * @param {number} index index of the value
+   * @return {any} value, undefined when there is none
+   *
+   * @example
+   *
+   *   const people = new ChainedSet().add('sam').add('sue').add('joe')
+   *   people.at(1)
+   *   //=> 'sue'
+   *   people.at(-1)
+   *   //=> 'joe'
+   *
+   */
+  at(index) {
+    const values = super.values()
+    return values[index < 0 ? values.length + index : index]
+  }
+
+  /**
+   * @desc inserts (or moves) the value to an index,
+   *       negative indexes are from the end
+   * @since 4.0.0-beta.3
+   *
+   * @param {number} index where to insert it
+   * @param {any} value value to insert
+   * @return {ChainedSet} @chainable
+   *
+   * @see deps/array/insert-at-index
+   *
+   * @example
+   *
+   *   new ChainedSet().add('sam').add('joe').insertAt(1, 'sue').values()
+   *   //=> ['sam', 'sue', 'joe']
+   *
+   */
+  insertAt(index, value) {
+    const values = super.values().filter(other => other !== value)
+    const position = index < 0 ? values.length + 1 + index : index
+    const at = Math.max(0, Math.min(position, values.length))
+
+    this.meta.last = value
+    rebuild(this.store, insertAtIndex(values, at, [value]))
+
+    notify(this, {
+      type: 'set',
+      key: at,
+      path: at,
+      oldValue: undefined,
+      value,
+    })
+
+    return this
+  }
+
+  /**
+   * @desc removes every value the predicate is true for
+   * @since 4.0.0-beta.3
+   *
+   * @param {Function} predicate (value, index) => boolean
+   * @return {ChainedSet} @chainable
+   *
+   * @see ChainedSet.delete
+   *
+   * @example
+   *
+   *   new ChainedSet().merge([1, 2, 3]).remove(x => x > 1).values()
+   *   //=> [1]
+   *
+   */
+  remove(predicate) {
+    super.values().filter(predicate).forEach(value => this.delete(value))
+    return this
+  }
+
+  /**
+   * @desc replaces a value, keeping its position
+   * @since 4.0.0-beta.3
+   *
+   * @param {any} oldValue value to replace
+   * @param {any} newValue value to put in its place
+   * @return {ChainedSet} @chainable
+   *
+   * @throws {Error} when newValue is already in the set, it would shrink
+   *
+   * @example
+   *
+   *   new ChainedSet().add('sam').add('sue').replace('sam', 'joe').values()
+   *   //=> ['joe', 'sue']
+   *
+   *   new ChainedSet().add('sam').add('sue').replace('sam', 'sue')
+   *   //=> Error: cannot replace with a value already in the set: sue
+   *
+   */
+  replace(oldValue, newValue) {
+    if (!this.store.has(oldValue) || oldValue === newValue) return this
+    if (this.store.has(newValue)) {
+      throw new Error(
+        'cannot replace with a value already in the set: ' + String(newValue)
+      )
+    }
+
+    const values = super.values()
+    // eslint-disable-next-line prefer-includes/prefer-includes
+    const index = values.indexOf(oldValue)
+    values[index] = newValue
+    rebuild(this.store, values)
+
+    notify(this, {
+      type: 'set',
+      key: index,
+      path: index,
+      oldValue,
+      value: newValue,
+    })
+
+    return this
+  }
+
+  /**
+   * @desc sorts the values, like Array.sort
+   * @since 4.0.0-beta.3
+   *
+   * @param {Function} [compare] (a, b) => number
+   * @return {ChainedSet} @chainable
+   *
+   * @NOTE `.before` & `.after` constraints still apply
+   *
+   * @example
+   *
+   *   new ChainedSet().merge([3, 1, 2]).sort((a, b) => a - b).values()
+   *   //=> [1, 2, 3]
+   *
+   */
+  sort(compare) {
+    rebuild(this.store, super.values().sort(compare))
+    return this
+  }
+
+  /**
+   * @desc the first value the predicate is true for
+   * @since 4.0.0-beta.3
+   *
+   * @param {Function} predicate (value, index) => boolean
+   * @return {any} value, undefined when there is none
+   *
+   * @example
+   *
+   *   new ChainedSet().merge([{id: 1}, {id: 2}]).find(x => x.id === 2)
+   *   //=> {id: 2}
+   *
+   */
+  find(predicate) {
+    return super.values().find(predicate)
+  }
+
+  /**
+   * @desc index of the value
+   * @since 4.0.0-beta.3
+   *
+   * @param {any} value value to find
+   * @return {number} index, -1 when it is not in the set
+   *
+   * @example
+   *
+   *   new ChainedSet().add('sam').add('sue').indexOf('sue')
+   *   //=> 1
+   *
+   */
+  indexOf(value) {
+    // eslint-disable-next-line prefer-includes/prefer-includes
+    return super.values().indexOf(value)
+  }
+
+  /**
+   * @desc a new set with a section of the values, like Array.slice
+   * @since 4.0.0-beta.3
+   *
+   * @param {number} [start=0] index to start from
+   * @param {number} [end] index to end before
+   * @return {ChainedSet} new set, with the same parent
+   *
+   * @example
+   *
+   *   new ChainedSet().merge([1, 2, 3]).slice(1).values()
+   *   //=> [2, 3]
+   *
+   */
+  slice(start, end) {
+    return new ChainedSet(this.parent).merge(super.values().slice(start, end))
+  }
+
+  /* prettier-ignore */
+  /**
+   * @desc removes duplicates, keeping the first,
+   *       values are deep equal (using `eq`) without `by`,
+   *       otherwise the result of `by` (or the value at the `by` path) is
+   * @since 4.0.0-beta.3
+   *
+   * @param {string | Function} [by] dot-prop path, or (value) => key
+   * @return {ChainedSet} @chainable
+   *
+   * @see deps/traversers/eq
+   *
+   * @example
+   *
+   *   new ChainedSet().merge([{id: 1}, {id: 1}]).dedupe().values()
+   *   //=> [{id: 1}]
+   *
+   *   new ChainedSet().merge([{id: 1, v: 1}, {id: 1, v: 2}]).dedupe('id').values()
+   *   //=> [{id: 1, v: 1}]
+   *
+   */
+  dedupe(by) {
+    let keyOf = value => value
+    if (isFunction(by)) keyOf = by
+    else if (!isUndefined(by)) keyOf = value => dot.get(value, by)
+
+    const keys = []
+    super.values().forEach(value => {
+      const key = keyOf(value)
+      if (keys.some(other => eq(other, key))) this.delete(value)
+      else keys.push(key)
+    })
+
+    return this
+  }
+
+  /**
+   * @desc removes the value from the .store,
+   *       observers are called with a `delete` change record
+   * @since 4.0.0-beta.3 <- notifies observers
+   * @since 0.3.0
+   *
+   * @param {any} value value to remove
+   * @return {ChainedSet} @chainable
+   *
+   * @see Chainable.delete
+   * @see deps/meta/notify
+   *
+   * @example
+   *
+   *   const people = new ChainedSet()
+   *   people.meta('observers', changed => console.log(changed))
+   *   people.add('sam').delete('sam')
+   *   //=> {type: 'delete', key: 0, path: 0, oldValue: 'sam', value: undefined}
+   *
+   */
+  delete(value) {
+    if (!this.store.has(value)) return this
+
+    // eslint-disable-next-line prefer-includes/prefer-includes
+    const index = super.values().indexOf(value)
+    super.delete(value)
+
+    notify(this, {
+      type: 'delete',
+      key: index,
+      path: index,
+      oldValue: value,
+      value: undefined,
+    })
+
+    return this
+  }
+
+  /**
+   * @desc empties the .store,
+   *       observers are called with a `clear` change record
+   * @since 4.0.0-beta.3 <- notifies observers
+   * @since 0.3.0
+   *
+   * @param {boolean | undefined} [clearPropertiesThatAreChainLike=true] checks properties on the object, if they are `chain-like`, clears them as well
+   * @return {ChainedSet} @chainable
+   *
+   * @see Chainable.clear
+   * @see deps/meta/notify
+   *
+   * @example
+   *
+   *   const people = new ChainedSet()
+   *   people.meta('observers', changed => console.log(changed))
+   *   people.add('sam').clear()
+   *   //=> {type: 'clear', key: [0], path: undefined, oldValue: ['sam'], value: undefined}
+   *
+   */
+  clear(clearPropertiesThatAreChainLike) {
+    const oldValue = super.values()
+    super.clear(clearPropertiesThatAreChainLike)
+
+    if (oldValue.length !== 0) {
+      const key = oldValue.map((value, index) => index)
+      notify(this, {
+        type: 'clear',
+        key,
+        path: undefined,
+        oldValue,
+        value: undefined,
+      })
+    }
+
+    return this
+  }
+
+  /**
+   * @desc the values as an array, chains in it with their `.toConfig`,
+   *       undefined & empty values are dropped, as in ChainedMapBase.toConfig
+   * @since 4.0.0-beta.3
+   *
+   * @return {Array} config
+   *
+   * @see ChainedMapBase.toConfig
+   *
+   * @example
+   *
+   *   new ChainedSet().add('eh').add(new Chain().set('canada', true)).toConfig()
+   *   //=> ['eh', {canada: true}]
+   *
+   */
+  toConfig() {
+    return toConfig(this)
+  }
+
+  /**
+   * @desc readable JavaScript that makes the set, `.add` for each value,
+   *       or the array literal with `style: 'object'`
+   * @since 4.0.0-beta.3
+   *
+   * @param {Object} [options] {style: 'chain' | 'object', name, serializers}
+   * @return {string} source
+   *
+   * @see deps/source/toSource
+   *
+   * @example
+   *
+   *   new ChainedSet().add('sam').toSource({name: 'people'})
+   *   //=> "people\n  .add('sam')"
+   *
+   */
+  toSource(options) {
+    return toSource(this, options)
+  }
+
+  /**
+   * @desc `.toSource()`, so template strings & `String(set)` are readable
+   * @since 4.0.0-beta.3
+   *
+   * @return {string} source
+   *
+   * @example
+   *
+   *   String(new ChainedSet().add('sam'))
+   *   //=> "chain\n  .add('sam')"
+   *
+   */
+  toString() {
+    return this.toSource()
+  }
+
+  /**
+   * @desc snapshot of the set as a versioned JSON envelope,
+   *       values keep their order
+   * @since 4.0.0-beta.3
+   *
+   * @return {string} JSON envelope
+   *
+   * @see deps/serialize/envelope
+   * @see ChainedSet.deserialize
+   *
+   * @example
+   *
+   *   const people = new ChainedSet().add('sam').add(new Date(0))
+   *   const copy = ChainedSet.deserialize(people.serialize())
+   *   copy.values()
+   *   //=> ['sam', new Date(0)]
+   *
+   */
+  serialize() {
+    return JSON.stringify(envelope(this))
+  }
+
+  /**
+   * @desc makes a new instance of the class from `.serialize`
+   * @since 4.0.0-beta.3
+   *
+   * @param {string | Object} str JSON envelope from `.serialize`
+   * @return {ChainedSet} new instance
+   *
+   * @throws {TypeError} when a ChainedMap property is missing on the instance
+   *
+   * @see ChainedSet.serialize
+   *
+   * @example
+   *
+   *   ChainedSet.deserialize(new ChainedSet().add('sam').serialize()).has('sam')
+   *   //=> true
+   *
+   */
+  static deserialize(str) {
+    const data = isString(str) ? JSON.parse(str) : str
+    return hydrate(new this(), data, (type, parent) => {
+      if (type === 'ChainedSet') return new ChainedSet(parent)
+      throw new TypeError('cannot make a ' + type + ' property on a set')
+    })
+  }
 }
 
 module.exports = ChainedSet
@@ -2,15 +2,36 @@ const ENV_DEBUG = require('./deps/env/debug')
 const ChainedMap = require('./ChainedMap')
 const isUndefined = require('./deps/is/undefined')
 const isTrue = require('./deps/is/true')
+const isPromise = require('./deps/is/promise')
+const toarr = require('./deps/to-arr')
+const ObjectAssign = require('./deps/util/assign')
+const ArrayFrom = require('./deps/util/from')
+const pending = require('./deps/meta/pending')
 
 const ON_CHAIN_UP_DOWN_KEY = 'onChainUpDown'
 const ON_DONE_KEY = 'onDone'
+const ON_INVALID_KEY = 'onInvalid'
+const DEFAULTS_KEY = 'defaults'
+
+// names listed with a shorthand, `required` or `optional`
+const listed = (chain, key) => (chain.has(key) ? toarr(chain.get(key)) : [])
+
+// props that are not called, and have no default
+const unset = (chain, names) => {
+  const defaults = chain.get(DEFAULTS_KEY) || {}
+  return names.filter(name => {
+    return !chain._calls.has(name) && isUndefined(defaults[name])
+  })
+}
 
 /**
  * @extends {ChainedMapBase}
  * @inheritdoc
  * @prop {Object} data
  * @prop {Set} _calls
+ * @prop {Set} _props names of the props
+ * @prop {Promise | undefined} _done from .done()
+ * @prop {Array | undefined} _ended [result of .end()], once it ended
  * @type {Map}
  *
  * {@link http://robdodson.me/javascript-design-patterns-factory/ abstract-factory-pattern}
@@ -26,9 +47,16 @@ class FactoryChain extends ChainedMap {
 
     this.data = {}
     this._calls = new Set()
+    this._props = new Set()
 
     this.factory()
-      .extend(['optional', 'required', ON_CHAIN_UP_DOWN_KEY, ON_DONE_KEY])
+      .extend([
+        'optional',
+        'required',
+        ON_CHAIN_UP_DOWN_KEY,
+        ON_DONE_KEY,
+        ON_INVALID_KEY,
+      ])
       .set('len', 0)
   }
 
@@ -124,7 +152,10 @@ class FactoryChain extends ChainedMap {
 
   /* istanbul ignore next: sourcemaps trigger istanbul here incorrectly */
   /**
-   * @desc add property that are counted towards the call count for easy auto-ending chaining
+   * @desc add property that are counted towards the call count for easy auto-ending chaining,
+   *       an async `onCall` (returning a Promise) is waited for before ending,
+   *       and what it resolves with (when defined) is the data for the property
+   * @since 4.0.0-beta.3 <- async onCall
    * @since 2.0.0
    *
    * @param  {Primitive} name property name
@@ -142,9 +173,21 @@ class FactoryChain extends ChainedMap {
    *      .prop('age')
    *      .prop('email')
    *
+   * @example
+   *
+   *    request
+   *      .prop('token', () => fetchToken())
+   *      .prop('url')
+   *      .url('/eh').token()
+   *
+   *    await request.done()
+   *    request.getData('token')
+   *    //=> 'resolved token'
+   *
    */
   prop(name, onCall) {
     this.tap('len', len => len + 1)
+    this._props.add(name)
 
     // so if we call a property twice,
     // chain back up to parent,
@@ -167,18 +210,193 @@ class FactoryChain extends ChainedMap {
         )
       }
       if (isUndefined(onCall)) this.data[name] = args
-      else onCall(args)
+      else this._onCall(name, onCall(args))
 
       this._calls.add(name)
 
-      // aka magicReturn
-      return this._calls.size === this.get('len') ? this.end() : this
+      // aka magicReturn, async ones end once they settle, with .done()
+      if (!this.isComplete()) return this
+      if (this.meta.pending && this.meta.pending.size !== 0) {
+        this.done().catch(() => undefined)
+        return this
+      }
+      return this.end()
     }
     return this
   }
 
   /**
-   * @desc access data being built when stepping through a factory
+   * @desc tracks an async `onCall` for `.done()`,
+   *       setting the data to what it resolves with
+   * @since 4.0.0-beta.3
+   *
+   * @private
+   * @param  {Primitive} name property name
+   * @param  {Promise | any} result result of the `onCall`
+   * @return {void}
+   *
+   * @memberOf FactoryChain
+   * @see deps/meta/pending
+   *
+   * @example
+   *
+   *    this._onCall('token', Promise.resolve('eh'))
+   *    await this.settled()
+   *    this.data.token
+   *    //=> 'eh'
+   *
+   */
+  _onCall(name, result) {
+    if (!isPromise(result)) return
+
+    const data = result.then(value => {
+      if (!isUndefined(value)) this.data[name] = value
+    })
+    pending(this, data)
+  }
+
+  /**
+   * @desc names of the props `.end` needs that have not been called,
+   *       the `required` ones, or every prop that is not `optional`
+   * @since 4.0.0-beta.3
+   *
+   * @return {Array<string>} missing prop names
+   *
+   * @memberOf FactoryChain
+   *
+   * @example
+   *
+   *    person.props(['name', 'age']).required(['name', 'age']).age(1)
+   *    person.missing()
+   *    //=> ['name']
+   *
+   */
+  missing() {
+    if (this.has('required')) return unset(this, listed(this, 'required'))
+    if (!this.has('optional')) return []
+
+    const optional = listed(this, 'optional')
+    const needed = ArrayFrom(this._props).filter(
+      name => !optional.includes(name)
+    )
+    return unset(this, needed)
+  }
+
+  /**
+   * @desc whether every prop has been called, to end automatically,
+   *       `required` & `optional` only decide when `.end` & `.done` succeed,
+   *       so optional props can still be called after the required ones
+   * @since 4.0.0-beta.3
+   *
+   * @return {boolean} complete
+   *
+   * @memberOf FactoryChain
+   * @see FactoryChain.prop
+   * @see FactoryChain.missing
+   *
+   * @example
+   *
+   *    person.props(['name', 'age', 'email']).required(['name'])
+   *    person.name('sue').isComplete()
+   *    //=> false
+   *    person.age(100).email('@')
+   *    //=> parent, it is complete
+   *
+   */
+  isComplete() {
+    return this._calls.size === this.get('len')
+  }
+
+  /**
+   * @desc default data for props that are not called,
+   *       props with a default are not missing when `required`
+   * @since 4.0.0-beta.3
+   *
+   * @param  {Object} defaults prop name -> default value
+   * @return {FactoryChain} @chainable
+   *
+   * @memberOf FactoryChain
+   * @see FactoryChain.getData
+   *
+   * @example
+   *
+   *    person.props(['name', 'age']).defaults({age: 0}).name('sue')
+   *    person.getData()
+   *    //=> {name: 'sue', age: 0}
+   *
+   */
+  defaults(defaults) {
+    return this.tap(DEFAULTS_KEY, old => ObjectAssign({}, old, defaults))
+  }
+
+  /**
+   * @desc waits for async `onCall`s, then ends (once) like `.end`
+   * @since 4.0.0-beta.3
+   *
+   * @return {Promise<any>} resolves with what `.end` returns,
+   *         rejects when an `onCall` rejects, or required props are missing
+   *
+   * @memberOf FactoryChain
+   * @see FactoryChain.end
+   * @see ChainedMapBase.settled
+   *
+   * @example
+   *
+   *    const request = new FactoryChain(parent)
+   *      .prop('user', id => fetchUser(id))
+   *      .prop('method')
+   *      .onDone(data => data)
+   *
+   *    request.user(1).method('GET')
+   *    await request.done()
+   *    //=> {user: {id: 1}, method: 'GET'}
+   *
+   */
+  done() {
+    if (isUndefined(this._done)) {
+      this._done = this.settled().then(() => {
+        return isUndefined(this._ended) ? this.end() : this._ended[0]
+      })
+    }
+    return this._done
+  }
+
+  /**
+   * @desc when `.end` is called with `required` props missing,
+   *       calls `onInvalid` with a TypeError listing them (in `.missing`),
+   *       or throws it without one
+   * @since 4.0.0-beta.3
+   *
+   * @private
+   * @param  {Array<string>} missing required prop names
+   * @return {any} what `onInvalid` returns, or the factory
+   *
+   * @throws {TypeError} without `onInvalid`
+   *
+   * @memberOf FactoryChain
+   * @see FactoryChain.missing
+   *
+   * @example
+   *
+   *    person.required(['name']).onInvalid(error => console.log(error.missing))
+   *    person.end()
+   *    //=> logs ['name'], returns person
+   *
+   */
+  _invalid(missing) {
+    const error = new TypeError(`missing required props: ${missing.join(', ')}`)
+    error.missing = missing
+
+    if (!this.has(ON_INVALID_KEY)) throw error
+
+    const result = this.get(ON_INVALID_KEY).call(this, error, this.data, this)
+    return isUndefined(result) ? this : result
+  }
+
+  /**
+   * @desc access data being built when stepping through a factory,
+   *       with the `defaults` for props that have not been called
+   * @since 4.0.0-beta.3 <- defaults
    * @since 2.0.0
    *
    * @param  {Primitive} [prop=undefined] key of the data, or returns all data
@@ -202,8 +420,12 @@ class FactoryChain extends ChainedMap {
    *
    */
   getData(prop) {
+    const data = this.has(DEFAULTS_KEY)
+      ? ObjectAssign({}, this.get(DEFAULTS_KEY), this.data)
+      : this.data
+
     /* istanbul ignore next: sourcemaps trigger istanbul here incorrectly */
-    return isUndefined(prop) ? this.data : this.data[prop]
+    return isUndefined(prop) ? data : data[prop]
   }
 
   /* istanbul ignore next: sourcemaps trigger istanbul here incorrectly */
@@ -211,6 +433,11 @@ class FactoryChain extends ChainedMap {
    * @desc creates/add the `.end` method, which checks how many methods have been called, and decides whether to return parent or not
    *       @modifies this.end
    *
+   *       `.end` throws a TypeError with `.missing` (or calls `onInvalid` with it)
+   *       when `required` props have not been called,
+   *       `defaults` are added to the data for the props not called
+   *
+   * @since 4.0.0-beta.3 <- required props
    * @since 2.0.0
    *
    * @param  {Object} [obj={}] optiona object to use for creating .end
@@ -223,13 +450,19 @@ class FactoryChain extends ChainedMap {
       // @@debugger
       let ended
 
+      const missing = this.missing()
+      if (missing.length !== 0) return this._invalid(missing)
+
+      // defaults for the props that were not called
+      this.data = this.getData()
+
       if (obj && !isUndefined(obj.end)) ended = obj.end
       else if (this.has(ON_DONE_KEY)) ended = this.get(ON_DONE_KEY)
 
       if (ended) ended = ended.call(this, this.data, this.parent, this, arg)
 
-      if (ended && ended !== this) return ended
-      else return this.parent
+      this._ended = [ended && ended !== this ? ended : this.parent]
+      return this._ended[0]
     }
 
     return this
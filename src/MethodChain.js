@@ -16,6 +16,8 @@
 // core
 const ChainedMap = require('./ChainedMapBase')
 const SHORTHANDS_KEY = require('./deps/meta/shorthands')
+const METHODS_KEY = require('./deps/meta/methods')
+const pending = require('./deps/meta/pending')
 const ENV_DEVELOPMENT = require('./deps/env/dev')
 const ENV_DEBUG = require('./deps/env/debug')
 // plugins
@@ -26,6 +28,7 @@ const encasePlugin = require('./plugins/encase')
 const decoratePlugin = require('./plugins/decorate')
 const autoIncrementPlugin = require('./plugins/autoIncrement')
 const autoGetSetPlugin = require('./plugins/autoGetSet')
+const computedPlugin = require('./plugins/computed')
 // const validatorBuilder = require('./deps/validators/validatorBuilder')
 // obj
 const hasOwnProperty = require('./deps/util/hasOwnProperty')
@@ -45,6 +48,7 @@ const isUndefined = require('./deps/is/undefined')
 const isTrue = require('./deps/is/true')
 const isFalse = require('./deps/is/false')
 const isObjWithKeys = require('./deps/is/objWithKeys')
+const isPromise = require('./deps/is/promise')
 
 const DEFAULTED_KEY = 'defaulted'
 const METHOD_KEYS = [
@@ -67,6 +71,14 @@ function getSetFactory(_this, name, desc) {
   _this[camelCase(`get-${name}`)] = desc.get
 }
 
+// async onSet returns a thenable chain, tracked for `.settled()`
+function settleFactory(parent, onSet) {
+  return function(arg) {
+    const result = onSet.call(this, arg)
+    return isPromise(result) ? pending(parent, result) : result
+  }
+}
+
 function aliasFactory(name, parent, aliases) {
   if (!isUndefined(aliases)) {
     for (let a = 0; a < aliases.length; a++) {
@@ -166,6 +178,8 @@ class MethodChain extends ChainedMap {
     const defaultToTrue = x => (isUndefined(x) ? true : x)
     this.define = x => set('define', defaultToTrue(x))
     this.getSet = x => set('getSet', defaultToTrue(x))
+    // coerce with the `.type`, or the type passed in
+    this.coerce = x => set('coerce', defaultToTrue(x))
     // @TODO: unless these use scoped vars, they should be on proto
     // @NOTE shorthands.bindMethods
     this.bind = target => set('bind', isUndefined(target) ? parent : target)
@@ -227,6 +241,7 @@ class MethodChain extends ChainedMap {
    * @memberOf MethodChain
    *
    * @param {Object} obj schema
+   * @param {Object} [options] `{coerce: true}` to coerce values for every key
    * @return {MethodChain} @chainable
    *
    * @TODO move out into a plugin to show how easy it is to use a plugin
@@ -240,8 +255,8 @@ class MethodChain extends ChainedMap {
    *       and then have some demo for how to validate on set using say mobx
    *       observables for all the way down...
    */
-  schema(obj) {
-    return schemaMethod.call(this, obj)
+  schema(obj, options) {
+    return schemaMethod.call(this, obj, options)
   }
 
   /**
@@ -425,8 +440,12 @@ class MethodChain extends ChainedMap {
     } = built
 
     // default method, if we do not have one already
+    // async onCall returns a thenable chain, tracked for `.settled()`
     if (!method) {
-      method = (arg = defaultValue) => onCall.call(parent, arg)
+      method = (arg = defaultValue) => {
+        const result = onCall.call(parent, arg)
+        return isPromise(result) ? pending(parent, result) : result
+      }
 
       if (ENV_DEVELOPMENT) {
         method.created = true
@@ -507,7 +526,7 @@ class MethodChain extends ChainedMap {
 
     // @TODO: WOULD ALL BE METHOD.POST
     // --- could be a method too ---
-    const getterSetter = {get: onGet, set: onSet}
+    const getterSetter = {get: onGet, set: settleFactory(parent, onSet)}
     let descriptor = shouldDefineGetSet ? getterSetter : {value: method}
     if (existing) descriptor = ObjectAssign(existing, descriptor)
 
@@ -531,6 +550,9 @@ class MethodChain extends ChainedMap {
 
     aliasFactory(name, target, alias)
 
+    // what was built, for `toTypeScript`
+    if (target.meta) target.meta(METHODS_KEY, name, [built])
+
     // if (built.metadata) {
     //   target.meta(SHORTHANDS_KEY, name, set)
     // }
@@ -647,6 +669,46 @@ class MethodChain extends ChainedMap {
   autoIncrement() {
     return this.plugin(autoIncrementPlugin)
   }
+
+  /**
+   * @desc makes the method a read-only computed value,
+   *       from the values at the dependency paths,
+   *       computed again (when read) only after one of them changed
+   *
+   * @memberOf MethodChain
+   * @since 4.0.0-beta.3
+   *
+   * @param  {string | Array<string>} paths dependencies, dot-prop paths & globs
+   * @param  {Function} fn (values, chain) => value
+   * @return {MethodChain} @chainable
+   *
+   * @NOTE changes are tracked from the change records observers get,
+   *       so values changed without `.set`/`.delete` (by reference) are not
+   *
+   * @see plugins/computed
+   * @see ChainedMap.computed
+   * @see deps/computed/invalidate
+   *
+   * @example
+   *
+   *    chain
+   *      .computed('admin')
+   *      .type('boolean')
+   *      .use('roles, dates.created', ({roles, dates}) =>
+   *        roles.includes('admin') && dates.created < Date.now())
+   *      .build()
+   *
+   *    chain.set('roles', ['admin']).set('dates.created', 0)
+   *    chain.admin()
+   *    //=> true
+   *    chain.get('admin')
+   *    //=> true
+   *
+   */
+  use(paths, fn) {
+    const computed = {paths: toarr(paths).map(path => path.trim()), fn}
+    return this.set('computed', computed).plugin(computedPlugin)
+  }
 }
 
 /**
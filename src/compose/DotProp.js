@@ -2,7 +2,9 @@
  * @since 2.0.0
  */
 const dot = require('../deps/dot')
+const reduce = require('../deps/reduce')
 const isDot = require('../deps/is/dot')
+const notify = require('../deps/meta/notify')
 
 /**
  * @desc checks if this.meta.dot != false & isDot(key) - scoped
@@ -141,14 +143,20 @@ module.exports = SuperClass => {
         // we already know it is .dot, call super instead
         // if (!super.has(prop)) super.set(prop, {})
 
-        // spread
-        const data = super.entries()
+        // spread the store, without computed values
+        const data = reduce(this.store)
+
+        // for the change record, before it is changed by reference
+        const oldValue = dot.get(data, key)
+        // undefined when this set adds the first accessor
+        const propOldValue = data[prop]
 
         // set on the spread data
         dot.set(data, key, val)
 
         // is already by ref, but be extra safe, + observables
-        return super.set(prop, data[prop], key)
+        const change = {oldValue, value: val, prop, propOldValue}
+        return super.set(prop, data[prop], key, change)
       }
       return super.set(key, val)
     }
@@ -220,8 +228,12 @@ module.exports = SuperClass => {
     }
 
     /**
+     * @desc dot-prop enabled delete,
+     *       observers are called with a `delete` change record
+     *
      * @method delete
      * @methodOf DotProp
+     * @since 4.0.0-beta.3 <- notifies observers
      * @since 3.0.1
      *
      * @override
@@ -247,9 +259,23 @@ module.exports = SuperClass => {
      *
      */
     delete(key) {
-      return shouldDot(key, this)
-        ? dot.delete(super.entries(), key)
-        : super.delete(key)
+      if (!shouldDot(key, this)) return super.delete(key)
+
+      const data = reduce(this.store)
+      if (!dot.has(data, key)) return this
+
+      const oldValue = dot.get(data, key)
+      dot.delete(data, key)
+
+      notify(this, {
+        type: 'delete',
+        key,
+        path: key,
+        oldValue,
+        value: undefined,
+      })
+
+      return this
     }
   }
 }
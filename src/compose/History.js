@@ -0,0 +1,501 @@
+const traverse = require('../deps/traverse')
+const dot = require('../deps/dot')
+const reduce = require('../deps/reduce')
+const isDot = require('../deps/is/dot')
+const isUndefined = require('../deps/is/undefined')
+const getPathSegments = require('../deps/dot/segments')
+const ObjectKeys = require('../deps/util/keys')
+const notify = require('../deps/meta/notify')
+const OBSERVERS_KEY = require('../deps/meta/observers')
+
+const CHECKPOINT = 'checkpoint'
+
+/**
+ * @desc clone the values of a change record,
+ *       so mutating by reference after the change does not change the patch
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} changed change record from deps/meta/notify
+ * @return {Object} patch {type, path, oldValue, value, changes, prop}
+ *
+ * @see deps/traverse
+ *
+ * @example
+ *
+ *    toPatch({type: 'set', key: 'eh', path: 'eh', oldValue: 1, value: 2})
+ *    //=> {type: 'set', path: 'eh', oldValue: 1, value: 2}
+ *
+ */
+const toPatch = changed => {
+  if (changed.type === 'batch') {
+    return {type: 'batch', changes: changed.changes.map(toPatch)}
+  }
+  const patch = {
+    type: changed.type,
+    path: changed.path,
+    oldValue: traverse(changed.oldValue).clone(),
+    value: traverse(changed.value).clone(),
+  }
+
+  // dot-prop set that added the first accessor, undo removes all of it
+  if (!isUndefined(changed.prop) && isUndefined(changed.propOldValue)) {
+    patch.prop = changed.prop
+  }
+  return patch
+}
+
+/**
+ * @desc operations that revert a patch, last change first
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} patch from toPatch
+ * @return {Array<Object>} operations [{path, value, remove, clear}]
+ *
+ * @example
+ *
+ *    invert({type: 'set', path: 'eh', oldValue: undefined, value: 1})
+ *    //=> [{path: 'eh', remove: true}]
+ *
+ *    invert({type: 'set', path: 'eh.oh', value: 1, prop: 'eh'})
+ *    //=> [{path: 'eh', remove: true}]
+ *
+ */
+const invert = patch => {
+  if (patch.type === 'batch') {
+    let ops = []
+    for (let c = patch.changes.length - 1; c >= 0; c--) {
+      ops = ops.concat(invert(patch.changes[c]))
+    }
+    return ops
+  }
+  if (patch.type === 'clear') {
+    return ObjectKeys(patch.oldValue).map(key => ({
+      path: key,
+      value: patch.oldValue[key],
+    }))
+  }
+
+  // the first accessor of the dot-prop path was added
+  if (patch.type === 'set' && !isUndefined(patch.prop)) {
+    return [{path: patch.prop, remove: true}]
+  }
+  // there was nothing to restore, it was added
+  if (patch.type === 'set' && isUndefined(patch.oldValue)) {
+    return [{path: patch.path, remove: true}]
+  }
+  return [{path: patch.path, value: patch.oldValue}]
+}
+
+/**
+ * @desc operations that re-apply a patch
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} patch from toPatch
+ * @return {Array<Object>} operations [{path, value, remove, clear}]
+ *
+ * @example
+ *
+ *    forward({type: 'delete', path: 'eh', oldValue: 1, value: undefined})
+ *    //=> [{path: 'eh', remove: true}]
+ *
+ */
+const forward = patch => {
+  if (patch.type === 'batch') {
+    let ops = []
+    for (let c = 0; c < patch.changes.length; c++) {
+      ops = ops.concat(forward(patch.changes[c]))
+    }
+    return ops
+  }
+  if (patch.type === 'clear') return [{clear: true}]
+  if (patch.type === 'delete') return [{path: patch.path, remove: true}]
+  return [{path: patch.path, value: patch.value}]
+}
+
+/**
+ * @desc apply an operation directly on the store,
+ *       skipping transformers (the values were already transformed)
+ *       but supporting dot-prop paths & notifying observers
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain with the store
+ * @param  {Object} op operation from invert or forward
+ * @return {void}
+ *
+ * @see DotProp
+ *
+ * @example
+ *
+ *    apply(chain, {path: 'canada.eh', value: true})
+ *    chain.get('canada')
+ *    //=> {eh: true}
+ *
+ */
+const apply = (chain, op) => {
+  if (op.clear) {
+    chain.clear()
+    return
+  }
+
+  const path = op.path
+  const store = chain.store
+  // clone again, the patch can be applied again after being undone
+  const value = traverse(op.value).clone()
+
+  // @NOTE meta.dot check is the same as DotProp, when it is not composed
+  if (chain.meta.dot !== false && isDot(path)) {
+    const prop = getPathSegments(path)[0]
+    const data = reduce(store)
+    const oldValue = dot.get(data, path)
+
+    if (op.remove) dot.delete(data, path)
+    else dot.set(data, path, value)
+    store.set(prop, data[prop])
+
+    notify(chain, {
+      type: op.remove ? 'delete' : 'set',
+      key: path,
+      path,
+      oldValue,
+      value: op.remove ? undefined : value,
+    })
+  }
+  else if (op.remove) {
+    chain.delete(path)
+  }
+  else {
+    const oldValue = store.get(path)
+    store.set(path, value)
+    notify(chain, {type: 'set', key: path, path, oldValue, value})
+  }
+}
+
+/**
+ * @desc pop patches from one stack to the other, applying them
+ *       until one change is applied, or the checkpoint is reached
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain to apply to
+ * @param  {Array<Object>} from stack to take from
+ * @param  {Array<Object>} to stack to move to
+ * @param  {Function} toOps invert | forward
+ * @param  {string} [label=undefined] checkpoint to stop at
+ * @return {void}
+ *
+ * @example
+ *
+ *    move(chain, history.undo, history.redo, invert, 'saved')
+ *
+ */
+const move = (chain, from, to, toOps, label) => {
+  const hasLabel = !isUndefined(label)
+
+  while (from.length !== 0) {
+    const patch = from.pop()
+    to.push(patch)
+
+    if (patch.type === CHECKPOINT) {
+      if (hasLabel && patch.label === label) return
+      continue
+    }
+
+    const ops = toOps(patch)
+    for (let o = 0; o < ops.length; o++) {
+      apply(chain, ops[o])
+    }
+
+    if (!hasLabel) return
+  }
+}
+
+/**
+ * @desc > undo & redo changes
+ *       every `set`, `delete`, `merge` & `clear` is recorded as a patch
+ *       with only the changed values (cloned), not a snapshot of the store
+ *
+ * @since 4.0.0-beta.3
+ * @class History
+ * @member History
+ * @extends {ChainedMap}
+ * @memberOf compose
+ * @category Chainable
+ *
+ * @param  {Class | Composable} SuperClass composable class
+ * @return {History} class
+ *
+ * @tests history
+ * @types History
+ *
+ * @NOTE not in the default extensions, compose it in when needed
+ * @NOTE changes are recorded from the change records observers get,
+ *       so a `.batch` (or `.merge`) is a single step
+ *
+ * @see Observe
+ * @see DotProp
+ * @see deps/meta/notify
+ * @see deps/traverse
+ *
+ * @example
+ *
+ *    const {compose} = require('chain-able')
+ *    const {Observe, Shorthands, Transform, DotProp, History} = compose
+ *
+ *    const Editor = compose(undefined, [
+ *      Observe,
+ *      Shorthands,
+ *      Transform,
+ *      DotProp,
+ *      History,
+ *    ])
+ *
+ *    const editor = new Editor()
+ *    editor.set('title', 'eh').set('title', 'canada')
+ *
+ *    editor.undo().get('title')
+ *    //=> 'eh'
+ *
+ *    editor.redo().get('title')
+ *    //=> 'canada'
+ *
+ */
+module.exports = SuperClass => {
+  return class History extends SuperClass {
+    constructor(parent) {
+      super(parent)
+
+      const history = {undo: [], redo: [], depth: 100, applying: false}
+      this.meta.history = history
+
+      /**
+       * record every change, unless it is from undo/redo
+       * @NOTE a new change means what was undone cannot be redone
+       */
+      this.meta(OBSERVERS_KEY, changed => {
+        if (history.applying) return
+
+        history.undo.push(toPatch(changed))
+        history.redo = []
+
+        while (history.undo.length > history.depth) {
+          history.undo.shift()
+        }
+      })
+    }
+
+    /**
+     * @desc maximum number of steps (and checkpoints) to keep
+     *
+     * @method historyDepth
+     * @memberOf History
+     * @since 4.0.0-beta.3
+     *
+     * @param  {number} [depth=100] max size of the undo stack
+     * @return {History} @chainable
+     *
+     * @example
+     *
+     *    chain.historyDepth(1).set('eh', 1).set('eh', 2)
+     *    chain.undo().canUndo()
+     *    //=> false
+     *
+     */
+    historyDepth(depth) {
+      const history = this.meta.history
+      history.depth = depth
+      const start = Math.max(0, history.undo.length - depth)
+      history.undo = history.undo.slice(start)
+      return this
+    }
+
+    /**
+     * @desc mark the current state, `.undo(label)` goes back to it
+     *
+     * @method checkpoint
+     * @memberOf History
+     * @since 4.0.0-beta.3
+     *
+     * @param  {string} label name of the checkpoint
+     * @return {History} @chainable
+     *
+     * @see History.undo
+     *
+     * @example
+     *
+     *    chain.set('eh', 1).checkpoint('saved').set('eh', 2).set('eh', 3)
+     *    chain.undo('saved').get('eh')
+     *    //=> 1
+     *
+     */
+    checkpoint(label) {
+      this.meta.history.undo.push({type: CHECKPOINT, label})
+      return this
+    }
+
+    /**
+     * @desc revert the last change,
+     *       or every change since the checkpoint with `label`
+     *
+     * @method undo
+     * @memberOf History
+     * @since 4.0.0-beta.3
+     *
+     * @param  {string} [label=undefined] checkpoint to go back to
+     * @return {History} @chainable
+     *
+     * @NOTE when there is no checkpoint with `label` to go back to,
+     *       nothing is undone
+     *
+     * @see History.redo
+     * @see History.checkpoint
+     *
+     * @example
+     *
+     *    chain.set('eh', 1).set('eh', 2).undo().get('eh')
+     *    //=> 1
+     *
+     */
+    undo(label) {
+      const history = this.meta.history
+      return this.applyHistory(history.undo, history.redo, invert, label)
+    }
+
+    /**
+     * @desc re-apply the last undone change,
+     *       or every undone change up to the checkpoint with `label`
+     *
+     * @method redo
+     * @memberOf History
+     * @since 4.0.0-beta.3
+     *
+     * @param  {string} [label=undefined] checkpoint to go forward to
+     * @return {History} @chainable
+     *
+     * @see History.undo
+     *
+     * @example
+     *
+     *    chain.set('eh', 1).set('eh', 2).undo().redo().get('eh')
+     *    //=> 2
+     *
+     */
+    redo(label) {
+      const history = this.meta.history
+      return this.applyHistory(history.redo, history.undo, forward, label)
+    }
+
+    /**
+     * @method canUndo
+     * @memberOf History
+     * @since 4.0.0-beta.3
+     *
+     * @return {boolean} has changes to undo
+     *
+     * @example
+     *
+     *    chain.canUndo()
+     *    //=> false
+     *
+     *    chain.set('eh', 1).canUndo()
+     *    //=> true
+     *
+     */
+    canUndo() {
+      return this.meta.history.undo.some(patch => patch.type !== CHECKPOINT)
+    }
+
+    /**
+     * @method canRedo
+     * @memberOf History
+     * @since 4.0.0-beta.3
+     *
+     * @return {boolean} has undone changes to redo
+     *
+     * @example
+     *
+     *    chain.set('eh', 1).undo().canRedo()
+     *    //=> true
+     *
+     */
+    canRedo() {
+      return this.meta.history.redo.some(patch => patch.type !== CHECKPOINT)
+    }
+
+    /**
+     * @desc move & apply patches between the stacks in a transaction,
+     *       doing nothing when the checkpoint is not in the stack
+     *
+     * @protected
+     * @memberOf History
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Array<Object>} from stack to take from
+     * @param  {Array<Object>} to stack to move to
+     * @param  {Function} toOps invert | forward
+     * @param  {string} [label=undefined] checkpoint to stop at
+     * @return {History} @chainable
+     *
+     * @example
+     *
+     *    this.applyHistory(history.undo, history.redo, invert)
+     *
+     */
+    applyHistory(from, to, toOps, label) {
+      const history = this.meta.history
+      const found = from.some(
+        patch => patch.type === CHECKPOINT && patch.label === label
+      )
+      if (!isUndefined(label) && !found) return this
+
+      const transaction = this.transaction ? this.transaction() : undefined
+      history.applying = true
+
+      try {
+        move(this, from, to, toOps, label)
+
+        // observers are called with the batch, while it is not recorded
+        if (transaction) transaction.commit()
+      }
+      catch (error) {
+        if (transaction) transaction.rollback()
+        throw error
+      }
+      finally {
+        history.applying = false
+      }
+
+      return this
+    }
+
+    /**
+     * @desc merge as a single history step
+     *
+     * @memberOf History
+     * @since 4.0.0-beta.3
+     * @override
+     * @inheritdoc
+     *
+     * @see ChainedMap.merge
+     * @see Observe.batch
+     *
+     * @example
+     *
+     *    chain.merge({eh: 1, oh: 2}).undo().entries()
+     *    //=> {}
+     *
+     */
+    merge(obj, handleMergeFn) {
+      if (!this.batch) return super.merge(obj, handleMergeFn)
+      return this.batch(() => super.merge(obj, handleMergeFn))
+    }
+  }
+}
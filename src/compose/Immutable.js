@@ -0,0 +1,596 @@
+const dot = require('../deps/dot')
+const reduce = require('../deps/reduce')
+const isDot = require('../deps/is/dot')
+const isArray = require('../deps/is/array')
+const isFunction = require('../deps/is/function')
+const isUndefined = require('../deps/is/undefined')
+const isObjLoose = require('../deps/is/objLoose')
+const getPathSegments = require('../deps/dot/segments')
+const ObjectAssign = require('../deps/util/assign')
+const ObjectKeys = require('../deps/util/keys')
+const getPrototypeOf = require('../deps/util/getPrototypeOf')
+const getMeta = require('../deps/meta')
+const notify = require('../deps/meta/notify')
+const traverse = require('../deps/traverse')
+const eq = require('../deps/traversers/eq')
+const SHORTHANDS_KEY = require('../deps/meta/shorthands')
+
+/**
+ * @desc Map-like store backed by a persistent (immutable.js-style) map,
+ *       so the chain code using `.store` stays the same,
+ *       and forking only copies the reference
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ * @class PersistentStore
+ *
+ * @param {Object} map persistent map, `.set` & `.delete` return a new map
+ *
+ * @example
+ *
+ *    const store = new PersistentStore(Immutable.Map())
+ *    store.set('eh', 1).get('eh')
+ *    //=> 1
+ *
+ */
+class PersistentStore {
+  constructor(map) {
+    this.map = map
+  }
+  get size() {
+    return this.map.size
+  }
+  get(key) {
+    return this.map.get(key)
+  }
+  has(key) {
+    return this.map.has(key)
+  }
+  set(key, value) {
+    this.map = this.map.set(key, value)
+    return this
+  }
+  delete(key) {
+    const had = this.map.has(key)
+    this.map = this.map.delete(key)
+    return had
+  }
+  clear() {
+    this.map = this.map.clear()
+  }
+  keys() {
+    return this.map.keys()
+  }
+  values() {
+    return this.map.values()
+  }
+  entries() {
+    return this.map.entries()
+  }
+  forEach(fn) {
+    this.map.forEach((value, key) => fn(value, key, this))
+  }
+  [Symbol.iterator]() {
+    return this.entries()
+  }
+}
+
+/**
+ * @desc copy of `obj` with `value` at `path`,
+ *       only the objects along the path are copied (structural sharing)
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object | Array | undefined} obj object to copy
+ * @param  {Array<string>} path path segments
+ * @param  {any} value value to set
+ * @return {Object | Array} copy
+ *
+ * @example
+ *
+ *    const canada = {igloo: true}
+ *    const copy = assocIn({eh: 1, canada}, ['eh'], 2)
+ *    //=> {eh: 2, canada}
+ *
+ *    copy.canada === canada
+ *    //=> true
+ *
+ */
+const assocIn = (obj, path, value) => {
+  if (path.length === 0) return value
+
+  const key = path[0]
+  const copy = isArray(obj) ? obj.slice(0) : ObjectAssign({}, obj)
+  const child = isObjLoose(obj) ? obj[key] : undefined
+  copy[key] = assocIn(child, path.slice(1), value)
+  return copy
+}
+
+/**
+ * @desc copy of `obj` without `path`, copying only along the path
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object | Array} obj object to copy
+ * @param  {Array<string>} path path segments
+ * @return {Object | Array} copy
+ *
+ * @example
+ *
+ *    dissocIn({eh: {igloo: 1, moose: 2}}, ['eh', 'igloo'])
+ *    //=> {eh: {moose: 2}}
+ *
+ */
+const dissocIn = (obj, path) => {
+  const key = path[0]
+  const copy = isArray(obj) ? obj.slice(0) : ObjectAssign({}, obj)
+
+  if (path.length === 1) delete copy[key]
+  else copy[key] = dissocIn(obj[key], path.slice(1))
+
+  return copy
+}
+
+/**
+ * @desc throws when a frozen chain's store is changed directly
+ * @private
+ * @since 4.0.0-beta.3
+ * @return {void}
+ * @throws {TypeError}
+ * @example
+ *
+ *    frozen.store.set('eh', 1)
+ *    //=> TypeError
+ *
+ */
+const frozen = () => {
+  throw new TypeError('chain is frozen, use the chain returned when changing')
+}
+
+/**
+ * @desc freeze a chain & its store, it can still be read & forked
+ * @private
+ * @since 4.0.0-beta.3
+ * @param  {Chain} chain chain to freeze
+ * @return {Chain} frozen chain
+ * @example
+ *
+ *    freeze(chain)
+ *    Object.isFrozen(chain)
+ *    //=> true
+ *
+ */
+const freeze = chain => {
+  if (Object.isFrozen(chain)) return chain
+
+  const store = chain.store
+  store.set = frozen
+  store.delete = frozen
+  store.clear = frozen
+  Object.freeze(store)
+
+  return Object.freeze(chain)
+}
+
+/**
+ * @desc new instance with the same properties & config (meta),
+ *       a shallow copy of the store, sharing the values
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain to fork
+ * @return {Chain} forked chain
+ *
+ * @example
+ *
+ *    const next = fork(chain)
+ *    next.store === chain.store
+ *    //=> false
+ *
+ *    next.get('eh') === chain.get('eh')
+ *    //=> true
+ *
+ */
+const fork = chain => {
+  const next = ObjectAssign(Object.create(getPrototypeOf(chain)), chain)
+
+  next.store = chain.store instanceof PersistentStore
+    ? new PersistentStore(chain.store.map)
+    : new Map(chain.store)
+
+  // copy the transformers, observers, shorthands...
+  // so configuring the next chain does not change this one
+  next.meta = undefined
+  next.meta = getMeta(next)
+  const from = chain.meta.store
+  const to = next.meta.store
+  ObjectKeys(from).forEach(key => {
+    to[key] = new from[key].constructor(from[key])
+  })
+  next.meta.debug = chain.meta.debug
+  next.meta.dot = chain.meta.dot
+
+  return next
+}
+
+/**
+ * @desc apply changes to a fork, then freeze this chain
+ *       when already in `.withMutations`, changes the chain itself
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain to change
+ * @param  {Function} fn called with the chain to change
+ * @return {Chain} changed chain
+ *
+ * @example
+ *
+ *    update(chain, draft => draft.store.set('eh', 1))
+ *    //=> new chain
+ *
+ */
+const update = (chain, fn) => {
+  if (chain.meta.mutable) {
+    fn(chain)
+    return chain
+  }
+
+  const draft = fork(chain)
+  draft.meta.mutable = true
+  try {
+    fn(draft)
+  }
+  finally {
+    draft.meta.mutable = false
+  }
+
+  freeze(chain)
+  return draft
+}
+
+/* prettier-ignore */
+/**
+ * @desc > persistent chains
+ *       every `set`, `delete`, `merge`, `clear` (and `from`)
+ *       returns a new chain sharing the unchanged values,
+ *       and freezes the old one
+ *
+ * @since 4.0.0-beta.3
+ * @class Immutable
+ * @member Immutable
+ * @extends {ChainedMap}
+ * @memberOf compose
+ * @category Chainable
+ *
+ * @param  {Class | Composable} SuperClass composable class
+ * @param  {Object} [adapter=undefined] immutable.js-style lib, `adapter.Map()` is used as the store
+ * @return {Immutable} class
+ *
+ * @tests immutable
+ * @types Immutable
+ *
+ * @NOTE composed with `compose({immutable: true})`
+ * @NOTE methods built with `.method` call the chain they were built on,
+ *       `.extend` shorthands call the chain they are called on
+ * @NOTE use `.withMutations` instead of `.batch` & `.transaction`
+ *
+ * @see compose
+ * @see DotProp
+ * @see https://facebook.github.io/immutable-js/
+ *
+ * @example
+ *
+ *    const {compose} = require('chain-able')
+ *    const ImmutableChain = compose({immutable: true})
+ *
+ *    const one = new ImmutableChain().set('canada', {eh: true, igloo: {}})
+ *    const two = one.set('canada.eh', false)
+ *
+ *    one.get('canada.eh')
+ *    //=> true
+ *    two.get('canada.eh')
+ *    //=> false
+ *    one.get('canada.igloo') === two.get('canada.igloo')
+ *    //=> true
+ *
+ * @example
+ *
+ *    const Immutable = require('immutable')
+ *    const ImmutableChain = compose({immutable: true, adapter: Immutable})
+ *
+ *    new ImmutableChain().set('eh', 1).immutable
+ *    //=> Immutable.Map {eh: 1}
+ *
+ */
+module.exports = (SuperClass, adapter) => {
+  return class Immutable extends SuperClass {
+    constructor(parent) {
+      super(parent)
+      if (adapter) this.store = new PersistentStore(adapter.Map())
+    }
+
+    /**
+     * @desc the persistent map when using an adapter
+     * @memberOf Immutable
+     * @since 4.0.0-beta.3
+     * @type {Object | undefined}
+     * @example
+     *
+     *    Immutable.is(chain.immutable, chain.set('eh', 1).immutable)
+     *    //=> false
+     *
+     */
+    get immutable() {
+      return this.store.map
+    }
+
+    /**
+     * @desc change a copy, without creating a chain for every change
+     *
+     * @method withMutations
+     * @memberOf Immutable
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Function} fn called with the copy, which can be changed
+     * @return {Immutable} new chain
+     *
+     * @example
+     *
+     *    const next = chain.withMutations(draft => {
+     *      draft.set('eh', 1)
+     *      draft.set('oh', 2)
+     *    })
+     *
+     */
+    withMutations(fn) {
+      return update(this, draft => fn.call(draft, draft))
+    }
+
+    /**
+     * @memberOf Immutable
+     * @since 4.0.0-beta.3
+     * @override
+     * @inheritdoc
+     *
+     * @see DotProp.set
+     *
+     * @example
+     *
+     *    const next = chain.set('canada.eh', true)
+     *    next === chain
+     *    //=> false
+     *
+     */
+    set(key, value) {
+      return update(this, draft => {
+        if (draft.meta.dot === false || !isDot(key)) {
+          super.set.call(draft, key, value)
+          return
+        }
+
+        const segments = getPathSegments(key)
+        const prop = segments[0]
+        const copy = assocIn(draft.store.get(prop), segments.slice(1), value)
+        super.set.call(draft, prop, copy)
+      })
+    }
+
+    /**
+     * @memberOf Immutable
+     * @since 4.0.0-beta.3
+     * @override
+     * @inheritdoc
+     *
+     * @see DotProp.delete
+     *
+     * @example
+     *
+     *    chain.set('eh', 1).delete('eh').has('eh')
+     *    //=> false
+     *
+     */
+    delete(key) {
+      return update(this, draft => {
+        if (draft.meta.dot === false || !isDot(key)) {
+          super.delete.call(draft, key)
+          return
+        }
+
+        const data = reduce(draft.store)
+        if (!dot.has(data, key)) return
+
+        const segments = getPathSegments(key)
+        const prop = segments[0]
+        const oldValue = dot.get(data, key)
+        draft.store.set(prop, dissocIn(data[prop], segments.slice(1)))
+
+        notify(draft, {
+          type: 'delete',
+          key,
+          path: key,
+          oldValue,
+          value: undefined,
+        })
+      })
+    }
+
+    /**
+     * @memberOf Immutable
+     * @since 4.0.0-beta.3
+     * @override
+     * @inheritdoc
+     *
+     * @NOTE chain-like properties are shared, so they are not cleared
+     *
+     * @example
+     *
+     *    chain.set('eh', 1).clear().entries()
+     *    //=> {}
+     *
+     */
+    clear() {
+      return update(this, draft => super.clear.call(draft, false))
+    }
+
+    /**
+     * @memberOf Immutable
+     * @since 4.0.0-beta.3
+     * @override
+     * @inheritdoc
+     *
+     * @example
+     *
+     *    chain.merge({eh: 1}).get('eh')
+     *    //=> 1
+     *
+     */
+    merge(obj, handleMergeFn) {
+      return update(this, draft => super.merge.call(draft, obj, handleMergeFn))
+    }
+
+    /**
+     * @memberOf Immutable
+     * @since 4.0.0-beta.3
+     * @override
+     * @inheritdoc
+     *
+     * @example
+     *
+     *    chain.from({eh: 1}).get('eh')
+     *    //=> 1
+     *
+     */
+    from(obj) {
+      return update(this, draft => super.from.call(draft, obj))
+    }
+
+    /**
+     * @desc shorthands call `.set` on the chain they are called on,
+     *       so they keep working on the chains returned when changing
+     *
+     * @memberOf Immutable
+     * @since 4.0.0-beta.3
+     * @override
+     * @inheritdoc
+     *
+     * @example
+     *
+     *    chain.extend(['eh']).eh(1).eh(2).get('eh')
+     *    //=> 2
+     *
+     */
+    extend(methods) {
+      methods.forEach(method => {
+        this.meta(SHORTHANDS_KEY, method, method)
+        this[method] = function(value) {
+          return this.set(method, value)
+        }
+      })
+      return this
+    }
+
+    /**
+     * @desc immutable.js-style alias of `.set`
+     * @memberOf Immutable
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Array<string> | string} path path segments, or dot-prop path
+     * @param  {any} value value to set
+     * @return {Immutable} new chain
+     *
+     * @example
+     *
+     *    chain.setIn(['eh', 'canada'], true).get('eh')
+     *    //=> {canada: true}
+     *
+     */
+    setIn(path, value) {
+      return this.set(path, value)
+    }
+
+    /**
+     * @desc immutable.js-style alias of `.get`
+     * @memberOf Immutable
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Array<string> | string} path path segments, or dot-prop path
+     * @return {any} value
+     *
+     * @example
+     *
+     *    chain.setIn(['eh', 'canada'], true).getIn(['eh', 'canada'])
+     *    //=> true
+     *
+     */
+    getIn(path) {
+      return this.get(path)
+    }
+
+    /**
+     * @desc deep merge an object, chain, or persistent map
+     * @memberOf Immutable
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Object | Chain} obj to merge
+     * @return {Immutable} new chain
+     *
+     * @see ChainedMap.merge
+     *
+     * @example
+     *
+     *    chain.set('eh', {igloo: 1}).mergeDeep({eh: {moose: 2}}).get('eh')
+     *    //=> {igloo: 1, moose: 2}
+     *
+     */
+    mergeDeep(obj) {
+      if (isFunction(obj.toJS)) return this.merge(obj.toJS())
+      if (isFunction(obj.entries) && obj.store) return this.merge(obj.entries())
+      return this.merge(obj)
+    }
+
+    /**
+     * @desc plain, deep copy of the entries
+     * @memberOf Immutable
+     * @since 4.0.0-beta.3
+     *
+     * @return {Object} entries
+     *
+     * @see ChainedMapBase.entries
+     *
+     * @example
+     *
+     *    chain.set('eh', [1]).toJS()
+     *    //=> {eh: [1]}
+     *
+     */
+    toJS() {
+      return traverse(this.entries(true)).clone()
+    }
+
+    /**
+     * @desc value equality with another chain, or object
+     * @memberOf Immutable
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Chain | Object} other to compare to
+     * @return {boolean} equal
+     *
+     * @see deps/traversers/eq
+     *
+     * @example
+     *
+     *    chain.set('eh', 1).equals({eh: 1})
+     *    //=> true
+     *
+     */
+    equals(other) {
+      if (isUndefined(other) || other === null) return false
+      const entries = isFunction(other.entries) ? other.entries() : other
+      return eq(this.entries(), entries)
+    }
+  }
+}
@@ -4,14 +4,111 @@ const eq = require('../deps/traversers/eq')
 const match = require('../deps/matcher')
 const getPathSegments = require('../deps/dot/segments')
 const dot = require('../deps/dot')
+const isUndefined = require('../deps/is/undefined')
+const isTrue = require('../deps/is/true')
+const uniq = require('../deps/array/uniq')
+const notify = require('../deps/meta/notify')
 const OBSERVERS_KEY = require('../deps/meta/observers')
+const invalidate = require('../deps/computed/invalidate')
 
 /**
- * scoped clones
+ * @desc disposable handle for a single observer
+ *
  * @private
- * @type {Map}
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain being observed
+ * @param  {Function} observer the function stored in meta(OBSERVERS_KEY)
+ * @return {Subscription} {unobserve, end, closed}
+ *
+ * @example
+ *
+ *    const subscription = subscribe(chain, observer)
+ *    subscription.unobserve()
+ *    //=> chain
+ *
+ *    subscription.closed
+ *    //=> true
+ *
  */
-let objs = new Map()
+const subscribe = (chain, observer) => {
+  const subscription = {
+    closed: false,
+    unobserve() {
+      subscription.closed = true
+      return chain.meta.delete(OBSERVERS_KEY, observer)
+    },
+    end() {
+      return chain
+    },
+  }
+  return subscription
+}
+
+/**
+ * @desc pending transaction, queues changes & snapshots the store
+ *       so it can be restored on rollback
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain the transaction is for
+ * @return {Transaction} {changes, commit, rollback, closed}
+ *
+ * @see Observe.transaction
+ * @see deps/meta/notify
+ *
+ * @example
+ *
+ *    const transaction = transact(chain)
+ *    chain.set('eh', 1).set('oh', 2)
+ *    transaction.commit()
+ *    //=> observers called once with {key: ['eh', 'oh']}
+ *
+ */
+const transact = chain => {
+  // keep the references, and clones to see if the references were mutated
+  const snapshot = new Map()
+  chain.store.forEach((value, key) =>
+    snapshot.set(key, {value, clone: traverse(value).clone()})
+  )
+
+  const transaction = {
+    closed: false,
+    depth: 1,
+    changes: [],
+    commit() {
+      if (transaction.closed || --transaction.depth !== 0) return chain
+      transaction.closed = true
+      delete chain.meta.transaction
+
+      const changes = transaction.changes
+      if (changes.length === 0) return chain
+
+      let keys = []
+      for (let c = 0; c < changes.length; c++) {
+        keys = keys.concat(toarr(changes[c].key))
+      }
+
+      notify(chain, {type: 'batch', key: keys.filter(uniq), changes})
+      return chain
+    },
+    rollback() {
+      if (transaction.closed) return chain
+      transaction.closed = true
+      delete chain.meta.transaction
+
+      chain.store.clear()
+      snapshot.forEach(({value, clone}, key) =>
+        chain.store.set(key, eq(value, clone) ? value : clone)
+      )
+      invalidate(chain)
+      return chain
+    },
+  }
+
+  return transaction
+}
 
 /**
  * @desc > subscribe to changes
@@ -65,24 +162,26 @@ module.exports = SuperClass => {
      *
      * @method
      * @memberOf Observe
+     * @since 4.0.0-beta.3 <- returns a Subscription, memo scoped per observer
      * @since 4.0.0 <- refactored with dot-prop
      * @since 1.0.0
      *
      * @param  {Matchable} properties Matchable properties to observe
-     * @param  {Function} fn onChanged
-     * @return {Chain} @chainable
+     * @param  {Function} fn onChanged, called with (data, chain, changeRecord)
+     * @param  {boolean} [once=false] unobserve after the first call
+     * @return {Subscription} {unobserve, end, closed}
      *
      * @see traversers/eq
      * @see toarr
      * @see matcher
+     * @see Observe.once
+     * @see Observe.unobserveAll
      *
      * @see {@link https://jsfiddle.net/wqxuags2/28/} for a Demo Clock with observable
      * @see {@link examples/playground/TodoStore} TodoStore
      *
-     * @TODO gotta update `data` if `deleting` too...
-     * @TODO un-observe
      * @TODO should hash these callback properties
-     * @TODO just throttle the `.set` to allow easier version of .commit
+     * @see Observe.transaction
      *
      * @example
      *
@@ -94,6 +193,7 @@ module.exports = SuperClass => {
      *   chain
      *     .extend(['eh'])
      *     .observe('eh', data => log(data))
+     *     .end()
      *     .eh(true)
      *   //=> {eh: true}
      *
@@ -102,6 +202,7 @@ module.exports = SuperClass => {
      *    chain
      *      .extend(['canada', 'timbuck'])
      *      .observe(['canad*'], data => console.log(data.canada))
+     *      .end()
      *      .canada(true)
      *      .canada(true)
      *      .timbuck(false)
@@ -111,14 +212,43 @@ module.exports = SuperClass => {
      *
      *    // only called when changed,
      *    // otherwise it would be 2 `true` & 1 `false`
+     *
+     * @example
+     *
+     *    const subscription = chain.observe('eh', data => console.log(data))
+     *    chain.set('eh', 1)
+     *    //=> {eh: 1}
+     *
+     *    subscription.unobserve()
+     *    chain.set('eh', 2)
+     *    //=> (not called)
+     *
+     * @example
+     *
+     *    chain.observe('eh', (data, chain, changed) => console.log(data, changed))
+     *    chain.set('eh', 1).delete('eh')
+     *    //=> {eh: 1} {type: 'set', key: 'eh', path: 'eh', oldValue: undefined, value: 1}
+     *    //=> {} {type: 'delete', key: 'eh', path: 'eh', oldValue: 1, value: undefined}
+     *
      */
-    observe(properties, fn) {
+    observe(properties, fn, once) {
       const props = toarr(properties)
-      const hashKey = props.join('_')
       let data = {}
 
+      /**
+       * scoped clone of the last `data` we called with,
+       * owned by this observer so chains & observers do not cross-talk
+       */
+      let last
+      let subscription
+
       /* prettier-ignore */
-      return this.meta(OBSERVERS_KEY, changed => {
+      const observer = (changed, target) => {
+        if (subscription.closed) return
+
+        // immutable chains notify from the chain that was changed
+        const chain = target || this
+
         /**
          * match the keys, make the data out of it
          */
@@ -128,7 +258,10 @@ module.exports = SuperClass => {
 
         for (let i = 0; i < m.length; i++) {
           const segments = getPathSegments(m[i])
-          dot.set(data, segments, this.get(segments))
+
+          // deleted & cleared paths are removed from the data
+          if (chain.has(segments)) dot.set(data, segments, chain.get(segments))
+          else dot.delete(data, segments)
         }
 
         /**
@@ -138,7 +271,7 @@ module.exports = SuperClass => {
          *    clone it
          *    call the observer
          */
-        if (objs.has(hashKey) && eq(objs.get(hashKey), data)) {
+        if (!isUndefined(last) && eq(last, data)) {
           // @@debugger
           return
         }
@@ -148,13 +281,171 @@ module.exports = SuperClass => {
         /**
          * it did change - clone it for next deepEquals check
          */
-        objs.set(hashKey, traverse(data).clone())
+        last = traverse(data).clone()
+
+        if (isTrue(once)) subscription.unobserve()
 
         /**
          * call the observer - it matched & data changed
          */
-        fn.call(this, data, this)
-      })
+        fn.call(chain, data, chain, changed)
+      }
+
+      subscription = subscribe(this, observer)
+      observer.subscription = subscription
+      this.meta(OBSERVERS_KEY, observer)
+
+      return subscription
+    }
+
+    /**
+     * @desc observe properties, unobserving after the first change
+     *
+     * @method
+     * @memberOf Observe
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Matchable} properties Matchable properties to observe
+     * @param  {Function} fn onChanged
+     * @return {Subscription} {unobserve, end, closed}
+     *
+     * @see Observe.observe
+     *
+     * @example
+     *
+     *    chain.once('eh', data => console.log(data))
+     *    chain.set('eh', 1).set('eh', 2)
+     *    //=> {eh: 1}
+     *
+     */
+    once(properties, fn) {
+      return this.observe(properties, fn, true)
+    }
+
+    /**
+     * @desc remove every observer added with .observe & .once
+     *
+     * @method
+     * @memberOf Observe
+     * @since 4.0.0-beta.3
+     *
+     * @NOTE observers added directly to meta (such as History) are kept
+     *
+     * @return {Chain} @chainable
+     *
+     * @see Observe.observe
+     *
+     * @example
+     *
+     *    chain.observe('eh', data => console.log(data))
+     *    chain.unobserveAll().set('eh', 1)
+     *    //=> (not called)
+     *
+     */
+    unobserveAll() {
+      const observers = this.meta(OBSERVERS_KEY)
+      for (let o = 0; o < observers.length; o++) {
+        if (observers[o].subscription) observers[o].subscription.unobserve()
+      }
+      return this
+    }
+
+    /**
+     * @desc start a transaction,
+     *       observers are not called until it is committed,
+     *       then they are called once with all of the changed paths
+     *
+     * @method
+     * @memberOf Observe
+     * @since 4.0.0-beta.3
+     *
+     * @return {Transaction} {commit, rollback, changes, closed}
+     *
+     * @NOTE calling while a transaction is pending joins it,
+     *       only the outermost .commit calls the observers
+     *
+     * @see Observe.batch
+     * @see deps/meta/notify
+     *
+     * @example
+     *
+     *    chain.observe(['eh', 'oh'], data => console.log(data))
+     *
+     *    const transaction = chain.transaction()
+     *    chain.set('eh', 1).set('oh', 2)
+     *    transaction.commit()
+     *    //=> {eh: 1, oh: 2}
+     *
+     * @example
+     *
+     *    const transaction = chain.set('eh', 1).transaction()
+     *    chain.set('eh', 2)
+     *    transaction.rollback()
+     *
+     *    chain.get('eh')
+     *    //=> 1
+     *
+     */
+    transaction() {
+      const pending = this.meta.transaction
+      if (pending) {
+        pending.depth++
+        return pending
+      }
+
+      this.meta.transaction = transact(this)
+      return this.meta.transaction
+    }
+
+    /**
+     * @desc call a function inside of a transaction,
+     *       committing when it is done,
+     *       rolling back (and re-throwing) when it throws
+     *
+     * @method
+     * @memberOf Observe
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Function} fn called with the chain
+     * @return {Chain} @chainable
+     *
+     * @see Observe.transaction
+     *
+     * @example
+     *
+     *    chain
+     *      .batch(batched => batched.merge({eh: 1, oh: 2}))
+     *      .get('eh')
+     *    //=> 1, observers called once
+     *
+     * @example
+     *
+     *    chain.set('eh', 1)
+     *    try {
+     *      chain.batch(batched => {
+     *        batched.set('eh', 2)
+     *        throw new Error('nope')
+     *      })
+     *    }
+     *    catch (e) {
+     *      chain.get('eh')
+     *      //=> 1
+     *    }
+     *
+     */
+    batch(fn) {
+      const transaction = this.transaction()
+
+      try {
+        fn.call(this, this)
+      }
+      catch (error) {
+        transaction.rollback()
+        throw error
+      }
+
+      transaction.commit()
+      return this
     }
   }
 }
@@ -0,0 +1,323 @@
+const isFunction = require('../deps/is/function')
+const isUndefined = require('../deps/is/undefined')
+const isNullOrUndefined = require('../deps/is/nullOrUndefined')
+const ObjectKeys = require('../deps/util/keys')
+const ObjectAssign = require('../deps/util/assign')
+const OBSERVERS_KEY = require('../deps/meta/observers')
+const envelope = require('../deps/serialize/envelope')
+const encode = require('../deps/serialize/encode')
+const decode = require('../deps/serialize/decode')
+const memory = require('../deps/persist/memory')
+
+/**
+ * @desc storage key for the chain,
+ *       `{path}` in a template is replaced with `chain.get(path)`
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain being saved
+ * @param  {string | Function} key template, or (chain) => key
+ * @return {string} key
+ *
+ * @example
+ *
+ *    resolveKey(new Chain().set('id', 1), 'user:{id}')
+ *    //=> 'user:1'
+ *
+ *    resolveKey(new Chain().set('id', 1), chain => 'user' + chain.get('id'))
+ *    //=> 'user1'
+ *
+ */
+const resolveKey = (chain, key) => {
+  if (isFunction(key)) return key(chain)
+  return key.replace(/\{([^}]+)\}/g, (match, path) => String(chain.get(path)))
+}
+
+/**
+ * @desc the adapter from `.storage`
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} persist options
+ * @return {Object} adapter {getItem, setItem, removeItem}
+ *
+ * @throws {Error} when `.storage` was not called
+ *
+ * @example
+ *
+ *    adapterOf({adapter: localStorage})
+ *    //=> localStorage
+ *
+ */
+const adapterOf = persist => {
+  if (!persist.adapter) {
+    throw new Error('no storage adapter, configure it with .storage()')
+  }
+  return persist.adapter
+}
+
+/**
+ * @desc run the migrations after `from` up to the current version, in order,
+ *       each migration gets & returns the decoded store as an object
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} env saved envelope
+ * @param  {number} from saved version
+ * @param  {Object} persist options {version, migrations}
+ * @return {Object} envelope, the same one when there was nothing to migrate
+ *
+ * @see deps/serialize/envelope
+ *
+ * @example
+ *
+ *    const migrations = {2: data => ({name: data.title})}
+ *    migrate(env, 1, {version: 2, migrations}).store
+ *    //=> [['name', 'eh']]
+ *
+ */
+const migrate = (env, from, persist) => {
+  const versions = ObjectKeys(persist.migrations)
+    .map(Number)
+    .filter(version => version > from && version <= persist.version)
+    .sort((a, b) => a - b)
+
+  if (versions.length === 0) return env
+
+  let data = {}
+  env.store.forEach(([k, v]) => (data[decode(k)] = decode(v)))
+  versions.forEach(version => {
+    data = persist.migrations[version](data) || data
+  })
+
+  const store = ObjectKeys(data).map(key => [key, encode(data[key])])
+  return ObjectAssign({}, env, {store})
+}
+
+/* prettier-ignore */
+/**
+ * @desc > persist chains with a storage adapter
+ *       every change is saved (debounced) from the change records observers get,
+ *       saved as the versioned envelope from `.serialize`
+ *
+ * @since 4.0.0-beta.3
+ * @class Persist
+ * @member Persist
+ * @extends {ChainedMap}
+ * @memberOf compose
+ * @category Chainable
+ *
+ * @param  {Class | Composable} SuperClass composable class
+ * @return {Persist} class
+ *
+ * @tests persist
+ * @types Persist
+ *
+ * @NOTE not in the default extensions, compose it in when needed
+ * @NOTE adapters have the `localStorage` interface,
+ *       `getItem`, `setItem` & `removeItem` with string values,
+ *       `localStorage` itself can be used in browsers
+ *
+ * @see Observe
+ * @see ChainedMap.serialize
+ * @see deps/persist/memory
+ * @see deps/persist/file
+ *
+ * @example
+ *
+ *    const {compose} = require('chain-able')
+ *    const {Observe, Shorthands, Transform, DotProp, Persist} = compose
+ *
+ *    const User = compose(undefined, [
+ *      Observe,
+ *      Shorthands,
+ *      Transform,
+ *      DotProp,
+ *      Persist,
+ *    ])
+ *
+ *    const storage = Persist.memory()
+ *    const user = new User().storage({adapter: storage, key: 'user:{id}'})
+ *    user.set('id', 1).set('name', 'eh').save()
+ *
+ *    new User()
+ *      .storage({adapter: storage, key: 'user:{id}'})
+ *      .set('id', 1)
+ *      .hydrate()
+ *      .get('name')
+ *    //=> 'eh'
+ *
+ */
+module.exports = SuperClass => {
+  return class Persist extends SuperClass {
+    constructor(parent) {
+      super(parent)
+
+      const persist = {
+        adapter: undefined,
+        key: this.className,
+        debounce: 100,
+        autosave: true,
+        version: 0,
+        migrations: {},
+        timer: undefined,
+      }
+      this.meta.persist = persist
+
+      /**
+       * save after changes, once they stop for `debounce` ms
+       * @NOTE a `.batch` (or transaction) is a single change record
+       */
+      this.meta(OBSERVERS_KEY, (changed, chain) => {
+        if (!persist.adapter || !persist.autosave) return
+        const target = chain || this
+
+        if (!persist.debounce) {
+          target.save()
+          return
+        }
+
+        clearTimeout(persist.timer)
+        persist.timer = setTimeout(() => target.save(), persist.debounce)
+      })
+    }
+
+    /**
+     * @desc configure where & how the chain is saved
+     *
+     * @method storage
+     * @memberOf Persist
+     * @since 4.0.0-beta.3
+     *
+     * @param  {Object} options persist options
+     * @param  {Object} [options.adapter=Persist.memory()] {getItem, setItem, removeItem}
+     * @param  {string | Function} [options.key=className] key template `'user:{id}'`, or (chain) => key
+     * @param  {number} [options.debounce=100] ms to wait after changes, 0 saves on every change
+     * @param  {boolean} [options.autosave=true] save on change
+     * @param  {number} [options.version=0] version saved with the data
+     * @param  {Object} [options.migrations={}] {[version]: data => data}
+     * @return {Persist} @chainable
+     *
+     * @see Persist.save
+     * @see Persist.hydrate
+     *
+     * @example
+     *
+     *    chain.storage({
+     *      adapter: localStorage,
+     *      key: 'todos:{user.id}',
+     *      version: 2,
+     *      migrations: {
+     *        2: data => ({todos: data.items}),
+     *      },
+     *    })
+     *
+     */
+    storage(options) {
+      const persist = this.meta.persist
+      ObjectAssign(persist, options)
+      if (!persist.adapter) persist.adapter = memory()
+      return this
+    }
+
+    /**
+     * @desc save now, instead of waiting for the debounce
+     *
+     * @method save
+     * @memberOf Persist
+     * @since 4.0.0-beta.3
+     *
+     * @return {Persist} @chainable
+     *
+     * @throws {Error} when `.storage` was not called
+     *
+     * @see Persist.storage
+     *
+     * @example
+     *
+     *    chain.storage({adapter: storage, key: 'eh'}).set('eh', 1).save()
+     *    storage.getItem('eh')
+     *    //=> '{"version":0,"chain":{"$chain":1,...}}'
+     *
+     */
+    save() {
+      const persist = this.meta.persist
+      clearTimeout(persist.timer)
+      persist.timer = undefined
+
+      const saved = {version: persist.version, chain: envelope(this)}
+      adapterOf(persist).setItem(
+        resolveKey(this, persist.key),
+        JSON.stringify(saved)
+      )
+      return this
+    }
+
+    /**
+     * @desc restore what was saved with the key,
+     *       running migrations when it was saved with an older version,
+     *       which saves the migrated data
+     *
+     * @method hydrate
+     * @memberOf Persist
+     * @since 4.0.0-beta.3
+     *
+     * @return {Persist} @chainable
+     *
+     * @NOTE does nothing when nothing is saved with the key
+     *
+     * @see ChainedMap.from
+     * @see Persist.storage
+     *
+     * @example
+     *
+     *    new User().storage({adapter: storage}).hydrate().get('name')
+     *    //=> 'eh'
+     *
+     */
+    hydrate() {
+      const persist = this.meta.persist
+      const saved = adapterOf(persist).getItem(resolveKey(this, persist.key))
+      if (isNullOrUndefined(saved)) return this
+
+      const {version, chain} = JSON.parse(saved)
+      const from = isUndefined(version) ? 0 : version
+      const migrated = migrate(chain, from, persist)
+
+      const hydrated = this.from(migrated)
+      if (migrated !== chain) hydrated.save()
+
+      return hydrated
+    }
+
+    /**
+     * @desc remove what was saved with the key, and stop saving on change
+     *
+     * @method unpersist
+     * @memberOf Persist
+     * @since 4.0.0-beta.3
+     *
+     * @return {Persist} @chainable
+     *
+     * @example
+     *
+     *    chain.unpersist()
+     *    storage.getItem('eh')
+     *    //=> null
+     *
+     */
+    unpersist() {
+      const persist = this.meta.persist
+      clearTimeout(persist.timer)
+      persist.timer = undefined
+      persist.autosave = false
+      adapterOf(persist).removeItem(resolveKey(this, persist.key))
+      return this
+    }
+  }
+}
+
+module.exports.memory = memory
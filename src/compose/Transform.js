@@ -4,9 +4,10 @@ const isTrue = require('../deps/is/true')
 const isFalse = require('../deps/is/false')
 const isUndefined = require('../deps/is/undefined')
 const ObjectKeys = require('../deps/util/keys')
+const ObjectAssign = require('../deps/util/assign')
 const dotPropPaths = require('../deps/dot/paths')
 const TRANSFORMERS_KEY = require('../deps/meta/transformers')
-const OBSERVERS_KEY = require('../deps/meta/observers')
+const notify = require('../deps/meta/notify')
 
 /**
  * @param  {Class | Composable} SuperClass composable class
@@ -115,11 +116,21 @@ module.exports = SuperClass => {
      * @param {Primitive} key key to set with
      * @param {any} val value to set for key
      * @param {undefined | string | Array<string>} dotPropKey special key used for initializing dot prop values in an optimized way to keep reference
+     * @param {undefined | Object} [dotPropChange=undefined] {oldValue, value} at the dotPropKey, {prop, propOldValue} for the first accessor, for the change record
      * @return {Chainable} @chainable
      *
      * @see this.observe, this.transform
+     * @see deps/meta/notify
+     *
+     * @example
+     *
+     *    chain.observe('eh', (data, chain, changed) => console.log(changed))
+     *    chain.set('eh', 1).set('eh', 2)
+     *    //=> {type: 'set', key: 'eh', path: 'eh', oldValue: undefined, value: 1}
+     *    //=> {type: 'set', key: 'eh', path: 'eh', oldValue: 1, value: 2}
+     *
      */
-    set(key, val, dotPropKey) {
+    set(key, val, dotPropKey, dotPropChange) {
       let value = val
 
       // get
@@ -128,18 +139,20 @@ module.exports = SuperClass => {
         value = transformers[t].call(this, value, this)
       }
 
+      const oldValue = super.get(key)
       super.set(key, value)
 
-      const data = {key: dotPropKey, value}
+      /* prettier-ignore */
+      const data = ObjectAssign(
+        {type: 'set', key: dotPropKey, path: dotPropKey, oldValue, value},
+        dotPropChange
+      )
       if (isUndefined(dotPropKey)) {
         data.key = isObj(value) ? dotPropPaths(key, value) : key
+        data.path = key
       }
 
-      // get
-      const observers = this.meta(OBSERVERS_KEY)
-      for (let o = 0; o < observers.length; o++) {
-        observers[o](data)
-      }
+      notify(this, data)
 
       return this
     }
@@ -1,18 +1,24 @@
 const isUndefined = require('../deps/is/undefined')
+const isObjPure = require('../deps/is/objPure')
+const ObjectDefine = require('../deps/define')
 const Chainable = require('../Chainable')
 const ChainedMap = require('../ChainedMap')
 const Observe = require('./Observe')
 const Shorthands = require('./Shorthands')
 const Transform = require('./Transform')
 const DotProp = require('./DotProp')
+const History = require('./History')
+const Immutable = require('./Immutable')
+const Persist = require('./Persist')
 
 const ComposableExtensions = [Observe, Shorthands, Transform, DotProp]
 
 /**
  * @desc compose chains all the way up from Chainable
+ * @since 4.0.0-beta.3 <- options object, {immutable, adapter, target, extensions}
  * @since 3.0.0
  *
- * @param  {Class | Function | undefined} [target=ChainedMap] class or function to extend
+ * @param  {Class | Function | Object | undefined} [target=ChainedMap] class or function to extend, or options
  * @param  {Array | undefined} [extensions=[Observe, Shorthands, Transform, DotProp]] Array of extensions to compose together left ro right
  * @return {Class | Function} composed
  *
@@ -65,8 +71,34 @@ const ComposableExtensions = [Observe, Shorthands, Transform, DotProp]
  *    yes instanceof Winning && yes.winning
  *    //=> true
  *
+ * @example
+ *
+ *    const ImmutableChain = compose({immutable: true})
+ *    const chain = new ImmutableChain()
+ *    chain.set('eh', true) === chain
+ *    //=> false
+ *
+ * @see Immutable
+ *
  */
 function compose(target, extensions) {
+  // compose({immutable: true})
+  if (isObjPure(target)) {
+    const options = target
+    let extensionsFromOptions = isUndefined(options.extensions)
+      ? ComposableExtensions
+      : options.extensions
+
+    if (options.immutable) {
+      const adapter = options.adapter
+      extensionsFromOptions = extensionsFromOptions.concat(SuperClass =>
+        Immutable(SuperClass, adapter)
+      )
+    }
+
+    return compose(options.target, extensionsFromOptions)
+  }
+
   let extend = isUndefined(extensions) ? ComposableExtensions : extensions
   let composed = target
 
@@ -81,6 +113,11 @@ function compose(target, extensions) {
     composed = extend[index](composed) || composed || ChainedMap
   }
 
+  // named after what is exported, not the last extension, for `.toSource`
+  if (composed !== ChainedMap) {
+    ObjectDefine(composed, 'displayName', {value: 'Chain', enumerable: false})
+  }
+
   return composed
 }
 
@@ -88,5 +125,8 @@ compose.Observe = Observe
 compose.Shorthands = Shorthands
 compose.Transform = Transform
 compose.DotProp = DotProp
+compose.History = History
+compose.Immutable = Immutable
+compose.Persist = Persist
 
 module.exports = compose
@@ -17,7 +17,7 @@ const observe = (keys, fn) => target => {
   return class ChainableObserverDecorator extends target {
     constructor(parent) {
       super(parent)
-      return this.observe(keys, fn.bind(this))
+      return this.observe(keys, fn.bind(this)).end()
     }
   }
 }
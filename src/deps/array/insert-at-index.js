@@ -10,7 +10,7 @@
 
 module.exports = function insertAtIndex(arr, index, val) {
   if (index < arr.length) {
-    return [...arr.slice(0, index), ...val, ...arr.slice(index + 1)]
+    return [...arr.slice(0, index), ...val, ...arr.slice(index)]
   }
   else {
     return [...arr, ...Array(index - arr.length), ...val]
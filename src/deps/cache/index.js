@@ -1 +1,107 @@
-module.exports = new Map()
+const isObj = require('../is/obj')
+const isUndefined = require('../is/undefined')
+const lru = require('./lru')
+
+// entries kept in each namespace, unless it has its own limit
+const LIMIT = 1000
+
+const namespaces = new Map()
+
+/**
+ * @desc a namespace in the cache,
+ *       objects & functions are keyed by identity in a WeakMap
+ *       (they are dropped when they are garbage collected),
+ *       everything else in an LRU with the limit of the namespace
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {number} limit entries kept (not counting objects)
+ * @return {Object} {get, has, set, delete, clear, size, limit}
+ *
+ * @example
+ *
+ *    const paths = namespace(100)
+ *    paths.set({}, ['eh']).set('eh', 1)
+ *    paths.size()
+ *    //=> 1
+ *
+ */
+const namespace = limit => {
+  const recent = lru(limit)
+  let objects = new WeakMap()
+  const storeFor = key => (isObj(key) ? objects : recent)
+
+  const store = {
+    has: key => storeFor(key).has(key),
+    get: key => storeFor(key).get(key),
+    set(key, value) {
+      storeFor(key).set(key, value)
+      return store
+    },
+    delete: key => storeFor(key).delete(key),
+    clear() {
+      recent.clear()
+      objects = new WeakMap()
+    },
+    size: recent.size,
+    limit: recent.limit,
+  }
+
+  return store
+}
+
+/* prettier-ignore */
+/**
+ * @desc bounded caches, by namespace (such as `matcher`, `segments`, `paths`),
+ *       each keeps the most recently used entries, up to its limit
+ *
+ * @since 4.0.0-beta.3 <- namespaced LRU, was a single Map
+ * @since 4.0.0
+ * @memberOf cache
+ *
+ * @param  {string} name namespace
+ * @param  {number} [limit=1000] entries to keep, when making it
+ * @return {Object} namespace {get, has, set, delete, clear, size, limit}
+ *
+ * @see deps/cache/lru
+ *
+ * @example
+ *
+ *    const patterns = cache('matcher')
+ *    patterns.set('eh', new RegExp('eh'))
+ *    patterns.get('eh')
+ *    //=> RegExp
+ *
+ *    cache('matcher').limit(10)
+ *    cache.clear('matcher')
+ *
+ */
+const cache = (name, limit) => {
+  if (!namespaces.has(name)) {
+    namespaces.set(name, namespace(isUndefined(limit) ? LIMIT : limit))
+  }
+  return namespaces.get(name)
+}
+
+/**
+ * @desc empty a namespace, or every namespace
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf cache
+ *
+ * @param  {string} [name] namespace, or all of them
+ * @return {void}
+ *
+ * @example
+ *
+ *    cache.clear('paths')
+ *    cache.clear()
+ *
+ */
+cache.clear = name => {
+  if (isUndefined(name)) namespaces.forEach(store => store.clear())
+  else if (namespaces.has(name)) namespaces.get(name).clear()
+}
+
+module.exports = cache
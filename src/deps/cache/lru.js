@@ -0,0 +1,74 @@
+/**
+ * @desc a Map that keeps (at most) the `limit` most recently used entries,
+ *       `get` & `set` make an entry the most recent,
+ *       the least recent is dropped when it is full
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf cache
+ *
+ * @param  {number} [limit=Infinity] entries to keep
+ * @return {Object} {get, has, set, delete, clear, size, limit}
+ *
+ * @see deps/cache
+ *
+ * @example
+ *
+ *    const recent = lru(2)
+ *    recent.set('a', 1).set('b', 2)
+ *    recent.get('a')
+ *    recent.set('c', 3)
+ *
+ *    recent.has('b')
+ *    //=> false, it was the least recently used
+ *
+ */
+module.exports = limit => {
+  const store = new Map()
+  let max = limit
+
+  // Maps iterate in insertion order, the first key is the least recent
+  const trim = () => {
+    const keys = store.keys()
+    while (store.size > max) store.delete(keys.next().value)
+  }
+
+  const lru = {
+    has: key => store.has(key),
+    get(key) {
+      if (!store.has(key)) return undefined
+      const value = store.get(key)
+      store.delete(key)
+      store.set(key, value)
+      return value
+    },
+    set(key, value) {
+      store.delete(key)
+      store.set(key, value)
+      trim()
+      return lru
+    },
+    delete: key => store.delete(key),
+    clear: () => store.clear(),
+    size: () => store.size,
+
+    /**
+     * @desc change how many entries are kept, dropping the least recent
+     * @param {number} [size] entries to keep
+     * @return {number} the limit
+     * @example
+     *
+     *    lru(10).limit(1)
+     *    //=> 1
+     *
+     */
+    limit(size) {
+      if (size !== undefined) {
+        max = size
+        trim()
+      }
+      return max
+    },
+  }
+
+  return lru
+}
@@ -0,0 +1,116 @@
+const isFunction = require('../is/function')
+const isUndefined = require('../is/undefined')
+const ArrayFrom = require('../util/from')
+const SHORTHANDS_KEY = require('../meta/shorthands')
+const METHODS_KEY = require('../meta/methods')
+const argumentor = require('../argumentor')
+const uniq = require('../array/uniq')
+const chainsaw = require('./index')
+
+// always queued, with the shorthands & built methods
+const CORE = ['set', 'delete', 'merge', 'tap', 'clear']
+
+/**
+ * @desc names of the methods to queue,
+ *       `.extend` shorthands, built methods & their aliases
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain with .meta
+ * @return {Array<string>} method names
+ *
+ * @example
+ *
+ *    methodNames(new Chain().extend(['eh']))
+ *    //=> ['set', 'delete', 'merge', 'tap', 'clear', 'eh']
+ *
+ */
+const methodNames = chain => {
+  const store = chain.meta.store || {}
+  let names = CORE.slice(0)
+
+  if (store[SHORTHANDS_KEY]) {
+    names = names.concat(ArrayFrom(store[SHORTHANDS_KEY].keys()))
+  }
+  if (store[METHODS_KEY]) {
+    store[METHODS_KEY].forEach((built, name) => {
+      names = names.concat([name], built[built.length - 1].alias || [])
+    })
+  }
+
+  return names.filter(uniq)
+}
+
+/* prettier-ignore */
+/**
+ * @desc a queued async fluent api for a chain,
+ *       calls are replayed in order, each one once the one before is done,
+ *       waiting for the thenable (async) results,
+ *       `.then` is queued too, so the queue can be awaited up to there
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf chainsaw
+ *
+ * @param  {Chain} chain chain to queue calls to
+ * @param  {Function} [builder] (saw, chain) => void, adds more handlers to `this`
+ * @return {Object} fluent chain of the queued methods
+ *
+ * @NOTE an error (or rejection) skips to the next `.then`, calling `onRejected`,
+ *       without one, it is only emitted as `error`
+ *
+ * @see deps/chainsaw
+ * @see ChainedMap.chainsaw
+ *
+ * @example
+ *
+ *    const chain = new Chain()
+ *    chain.methods('email').type(async email => isAvailable(email)).build()
+ *
+ *    await chain.chainsaw().email('eh@canada.ca').set('verified', true)
+ *    //=> chain
+ *
+ */
+module.exports = (chain, builder) => chainsaw(function(saw) {
+  let error
+
+  const fail = reason => {
+    error = reason
+    saw.emit('error', reason)
+    saw.down('then')
+  }
+
+  const queue = name => function() {
+    const args = argumentor.apply(null, arguments)
+    let result
+    try {
+      result = chain[name].apply(chain, args)
+    }
+    catch (reason) {
+      result = Promise.reject(reason)
+    }
+
+    if (result && isFunction(result.then)) result.then(() => saw.next(), fail)
+    else saw.next()
+  }
+
+  methodNames(chain)
+    .filter(name => isFunction(chain[name]))
+    .forEach(name => (this[name] = queue(name)))
+
+  this.then = (onFulfilled, onRejected) => {
+    const reason = error
+    error = undefined
+
+    if (isUndefined(reason)) {
+      if (onFulfilled) onFulfilled(chain)
+    }
+    else if (onRejected) {
+      onRejected(reason)
+    }
+
+    saw.next()
+  }
+
+  if (builder) builder.call(this, saw, chain)
+})
@@ -0,0 +1,39 @@
+const build = require('./saw')
+
+/**
+ * @desc build a fluent chain of deferred actions,
+ *       calls are recorded & replayed asynchronously,
+ *       each handler calls `saw.next()` when it is done
+ *       (or `saw.nest` `saw.jump` `saw.down` & `saw.trap`)
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf chainsaw
+ *
+ * @param  {Function} builder (saw) => handlers, or adds them to `this`
+ * @return {Object} fluent chain of the handlers
+ *
+ * @see deps/chainsaw/saw
+ * @see deps/chainsaw/record
+ * @see ChainedMap.chainsaw
+ * @tutorial https://github.com/substack/node-chainsaw
+ *
+ * @example
+ *
+ *    const ch = chainsaw(function(saw) {
+ *      let sum = 0
+ *      this.add = n => {
+ *        sum += n
+ *        saw.next()
+ *      }
+ *      this.do = cb => saw.nest(cb, sum)
+ *    })
+ *
+ *    ch.add(5).add(10).do(sum => console.log(sum))
+ *    //=> 15
+ *
+ */
+module.exports = builder => {
+  const saw = build(builder)
+  saw.record()
+  return saw.chain()
+}
@@ -0,0 +1,106 @@
+const toarr = require('../to-arr')
+
+/**
+ * @desc upgrades a saw to record its actions instead of dropping them,
+ *       replaying moves a `step` through them, so it can
+ *       `jump` to a step, go `down` to the next action with a name,
+ *       and `trap` the actions it skips
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf chainsaw
+ *
+ * @param  {Saw} saw saw to record with
+ * @return {Saw} saw, with .step .trap .down & .jump
+ *
+ * @see deps/chainsaw/saw
+ *
+ * @example
+ *
+ *    const ch = chainsaw(function(saw) {
+ *      this.raise = err => saw.down('catch')
+ *      this.catch = cb => saw.next()
+ *    })
+ *
+ *    // skips `.x()`
+ *    ch.raise('pow').x().catch(err => console.log(err))
+ *
+ */
+module.exports = saw => {
+  saw.step = 0
+
+  // replaying keeps the actions, for jumping back,
+  // the step stays at the end, for actions added after it
+  saw.pop = () => {
+    if (saw.step < saw.actions.length) return saw.actions[saw.step++]
+    return undefined
+  }
+
+  /**
+   * @desc call `cb` (instead of skipping to the end)
+   *       when `.down` does not find an action named `name`
+   *
+   * @param {string | Array<string>} name path of the action
+   * @param {Function} cb called when the action is not found
+   * @return {void}
+   *
+   * @example
+   *
+   *    saw.trap('result', () => saw.next())
+   *
+   */
+  saw.trap = (name, cb) => {
+    saw.actions.push({path: toarr(name), step: saw.step, cb, trap: true})
+  }
+
+  /**
+   * @desc skip the actions until the next one named `name`,
+   *       or to the trap for it, or the end
+   *
+   * @param {string | Array<string>} name path of the action
+   * @return {void}
+   *
+   * @example
+   *
+   *    saw.down('catch')
+   *
+   */
+  saw.down = name => {
+    const path = toarr(name).join('/')
+
+    // traps set before this step are still waiting
+    const index = saw.actions.slice(saw.step).findIndex(action => {
+      if (action.trap && action.step <= saw.step) return false
+      return action.path.join('/') === path
+    })
+
+    saw.step = index === -1 ? saw.actions.length : saw.step + index
+
+    const action = saw.actions[saw.step - 1]
+    if (action && action.trap) {
+      saw.step = action.step
+      action.cb()
+    }
+    else {
+      saw.next()
+    }
+  }
+
+  /**
+   * @desc replay from a step (index of the recorded action)
+   *
+   * @param {number} step index of the action to replay from
+   * @return {void}
+   *
+   * @example
+   *
+   *    // loops back to the first action
+   *    saw.jump(0)
+   *
+   */
+  saw.jump = step => {
+    saw.step = step
+    saw.next()
+  }
+
+  return saw
+}
@@ -0,0 +1,168 @@
+const traverse = require('../traverse')
+const ENV_DEVELOPMENT = require('../env/dev')
+const isFunction = require('../is/function')
+const isBoolean = require('../is/boolean')
+const isUndefined = require('../is/undefined')
+const argumentor = require('../argumentor')
+const record = require('./record')
+
+// before .record, the actions are dropped as they replay
+const notRecording = () => {
+  throw new Error('call .record() first to use .trap .down & .jump')
+}
+
+/* prettier-ignore */
+/**
+ * @desc makes a saw, which records calls to the handlers
+ *       (on the fluent chain from `.chain()`) as actions,
+ *       and replays them asynchronously, one at a time,
+ *       each handler calls `saw.next()` to replay the next
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf chainsaw
+ *
+ * @param  {Function} builder (saw) => handlers, or adds them to `this`
+ * @return {Saw} saw {handlers, actions, chain, next, nest, record, on, emit}
+ *
+ * @emits begin when replaying starts
+ * @emits end when there are no more actions
+ *
+ * @see deps/chainsaw
+ * @see deps/chainsaw/record
+ * @see deps/traverse
+ *
+ * @example
+ *
+ *    const saw = build(function(saw) {
+ *      this.eh = arg => {
+ *        console.log(arg)
+ *        saw.next()
+ *      }
+ *    })
+ *
+ *    saw.chain().eh(1).eh(2)
+ *    //=> then, logs 1, 2
+ *
+ */
+function build(builder) {
+  const listeners = {}
+  const saw = {handlers: {}, actions: []}
+  let ended = false
+
+  saw.on = (event, listener) => {
+    listeners[event] = (listeners[event] || []).concat([listener])
+    return saw
+  }
+  saw.emit = function(event) {
+    const args = argumentor.apply(null, arguments).slice(1)
+    const called = listeners[event] || []
+    called.forEach(listener => listener.apply(saw, args))
+    return saw
+  }
+
+  /**
+   * @desc the fluent chain, a copy of the handlers (nested objects too)
+   *       that records calls as actions & returns itself,
+   *       replaying them once the current calls are done,
+ *       or right away when the replay already ended
+   *
+   * @return {Object} chain
+   *
+   * @example
+   *
+   *    saw.chain().eh(1)
+   *    saw.actions
+   *    //=> [{path: ['eh'], args: [1]}]
+   *
+   */
+  saw.chain = () => {
+    const ch = traverse(saw.handlers).map(function(node) {
+      if (this.isRoot || !isFunction(node)) return node
+      const path = this.path
+
+      return function() {
+        saw.actions.push({path, args: argumentor.apply(null, arguments)})
+
+        // called after the replay ended, such as `.then` from `await`
+        if (ended) {
+          ended = false
+          saw.next()
+        }
+        return ch
+      }
+    })
+
+    Promise.resolve().then(() => {
+      saw.emit('begin')
+      saw.next()
+    })
+
+    return ch
+  }
+
+  saw.pop = () => saw.actions.shift()
+
+  /**
+   * @desc replay the next action, or emit `end` when there are none
+   * @return {void}
+   * @example
+   *
+   *    this.eh = () => saw.next()
+   *
+   */
+  saw.next = () => {
+    const action = saw.pop()
+
+    if (!action) {
+      ended = true
+      saw.emit('end')
+    }
+    else if (!action.trap) {
+      const handler = action.path.reduce((node, key) => node[key], saw.handlers)
+      handler.apply(saw.handlers, action.args)
+    }
+  }
+
+  /**
+   * @desc call `cb` with a new chain (with the same builder),
+   *       replaying the rest of this chain when the nested one ends,
+   *       unless `autonext` is false
+   *
+   * @param {boolean | Function} [autonext=true] or the callback
+   * @param {Function} cb called with the nested chain as `this`, and the args
+   * @param {...any} args arguments for the callback
+   * @return {void}
+   *
+   * @example
+   *
+   *    this.do = cb => saw.nest(cb, vars)
+   *
+   */
+  saw.nest = function(autonext) {
+    const args = argumentor.apply(null, arguments)
+    if (!isBoolean(autonext)) args.unshift(true)
+
+    const nested = build(builder)
+    if (!isUndefined(saw.step)) nested.record()
+
+    const cb = args[1]
+    cb.apply(nested.chain(), args.slice(2))
+    if (args[0] !== false) nested.on('end', saw.next)
+  }
+
+  saw.record = () => record(saw)
+
+  /* istanbul ignore next: dev */
+  if (ENV_DEVELOPMENT) {
+    saw.trap = notRecording
+    saw.down = notRecording
+    saw.jump = notRecording
+  }
+
+  const handlers = builder.call(saw.handlers, saw)
+  if (!isUndefined(handlers)) saw.handlers = handlers
+
+  return saw
+}
+
+module.exports = build
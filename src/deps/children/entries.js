@@ -0,0 +1,39 @@
+const getDescriptor = require('../util/getDescriptor')
+const hasOwnProperty = require('../util/hasOwnProperty')
+const CHILDREN_KEY = require('../meta/children')
+
+/**
+ * @desc children registered with `.child` that have been created,
+ *       children are created the first time they are used
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf children
+ *
+ * @param  {Chain} chain chain with children
+ * @return {Array<Array>} [[name, child]]
+ *
+ * @see ChainedMap.child
+ *
+ * @example
+ *
+ *    const chain = new Chain().child('output').child('devServer')
+ *    chain.output.set('path', 'dist')
+ *    childEntries(chain)
+ *    //=> [['output', chain.output]]
+ *
+ */
+module.exports = chain => {
+  const children = chain.meta && chain.meta.store[CHILDREN_KEY]
+  if (!children) return []
+
+  const created = []
+  children.forEach((registered, name) => {
+    // a getter until it is created
+    const descriptor = getDescriptor(chain, name)
+    if (descriptor && hasOwnProperty(descriptor, 'value')) {
+      created.push([name, descriptor.value])
+    }
+  })
+
+  return created
+}
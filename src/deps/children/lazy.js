@@ -0,0 +1,38 @@
+const define = require('../define')
+
+/**
+ * @desc defines a property that creates its value the first time it is used,
+ *       then is a normal (enumerable) property with that value,
+ *       so `.entries(true)` & `.clear` only see children that were used
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf children
+ *
+ * @param  {Object} obj object to define the property on
+ * @param  {Primitive} name property name
+ * @param  {Function} create () => value
+ * @return {Object} obj
+ *
+ * @see ChainedMap.child
+ *
+ * @example
+ *
+ *    lazy(chain, 'output', () => new ChainedMap(chain))
+ *    chain.output === chain.output
+ *    //=> true
+ *
+ */
+module.exports = (obj, name, create) => {
+  define(obj, name, {
+    enumerable: false,
+    get() {
+      const value = create()
+      define(obj, name, {value, writable: true})
+      return value
+    },
+    set(value) {
+      define(obj, name, {value, writable: true})
+    },
+  })
+  return obj
+}
@@ -0,0 +1,82 @@
+const isObj = require('../is/obj')
+const isUndefined = require('../is/undefined')
+const ObjectKeys = require('../util/keys')
+const define = require('../define')
+const ChainedMapBase = require('../../ChainedMapBase')
+const CHILDREN_KEY = require('../meta/children')
+const lazy = require('./lazy')
+
+/**
+ * @desc a ChainedMapBase of keyed children,
+ *       merging an object merges each value into the child with that key
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} parent chain the children belong to
+ * @param  {string} keyed method that returns or creates a child
+ * @return {ChainedMapBase} collection
+ *
+ * @example
+ *
+ *    const plugins = keyedChildren(chain, 'plugin')
+ *    plugins.merge({html: {template: 'index.html'}})
+ *    plugins.get('html') === chain.plugin('html')
+ *    //=> true
+ *
+ */
+const keyedChildren = (parent, keyed) => {
+  const collection = new ChainedMapBase(parent)
+  define(collection, 'merge', {
+    enumerable: false,
+    value(obj) {
+      ObjectKeys(obj).forEach(key => parent[keyed](key).merge(obj[key]))
+      return collection
+    },
+  })
+  return collection
+}
+
+/**
+ * @desc registers a child chain (or keyed children) on a chain,
+ *       created the first time they are used
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf children
+ *
+ * @param  {Chain} chain chain the child belongs to
+ * @param  {string} name property for the child (or keyed children)
+ * @param  {Class} Child class of the child
+ * @param  {Object} [options] {keyed: method name for keyed children}
+ * @return {Chain} chain
+ *
+ * @see ChainedMap.child
+ * @see deps/children/lazy
+ *
+ * @example
+ *
+ *    register(chain, 'plugins', Plugin, {keyed: 'plugin'})
+ *    chain.plugin('html') === chain.plugins.get('html')
+ *    //=> true
+ *
+ */
+module.exports = (chain, name, Child, options) => {
+  const keyed = isObj(options) ? options.keyed : undefined
+  chain.meta(CHILDREN_KEY, name, [{Child, keyed}])
+
+  if (isUndefined(keyed)) {
+    return lazy(chain, name, () => new Child(chain))
+  }
+
+  lazy(chain, name, () => keyedChildren(chain, keyed))
+  define(chain, keyed, {
+    enumerable: false,
+    value: key => {
+      const children = chain[name]
+      if (!children.has(key)) children.set(key, new Child(chain))
+      return children.get(key)
+    },
+  })
+
+  return chain
+}
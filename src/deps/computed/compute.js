@@ -0,0 +1,130 @@
+const traverse = require('../traverse')
+const dot = require('../dot')
+const reduce = require('../reduce')
+const includes = require('../conditional/includes')
+const match = require('../matcher')
+const getPathSegments = require('../dot/segments')
+const typeError = require('../validators/error')
+const definition = require('./definition')
+
+/**
+ * @desc every dot-prop path in the store
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} data reduced store
+ * @return {Array<string>} paths
+ *
+ * @example
+ *
+ *    storePaths({roles: ['admin'], eh: 1})
+ *    //=> ['roles', 'roles.0', 'eh']
+ *
+ */
+const storePaths = data =>
+  traverse(data)
+    .paths()
+    .filter(path => path.length !== 0)
+    .map(path => path.join('.'))
+
+/**
+ * @desc value of a dependency path,
+ *       from the store, or another computed value
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain being computed
+ * @param  {Object} data reduced store
+ * @param  {string} path dependency path
+ * @return {any} value
+ *
+ * @example
+ *
+ *    valueAt(chain, {dates: {created: 1}}, 'dates.created')
+ *    //=> 1
+ *
+ */
+const valueAt = (chain, data, path) => {
+  if (chain.store.has(path)) return chain.store.get(path)
+
+  const segments = getPathSegments(path)
+  const first = definition(chain, segments[0])
+  if (!first) return dot.get(data, segments)
+
+  // eslint-disable-next-line no-use-before-define
+  const value = compute(chain, first)
+  return segments.length === 1 ? value : dot.get(value, segments.slice(1))
+}
+
+/* prettier-ignore */
+/**
+ * @desc the computed value, only calling the function
+ *       when a dependency changed since it was last computed
+ *
+ *       the function is called with an object of the dependency paths,
+ *       globs are expanded to every matching path in the store
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf computed
+ *
+ * @param  {Chain} chain chain with the computed value
+ * @param  {Object} computed definition from deps/computed/definition
+ * @return {any} computed value
+ *
+ * @throws {Error} when computed values depend on each other
+ * @throws {TypeError} when the value is not the `.type` of the computed value
+ *
+ * @see deps/computed/invalidate
+ * @see plugins/computed
+ *
+ * @example
+ *
+ *    chain
+ *      .computed('admin')
+ *      .use('roles', ({roles}) => roles.includes('admin'))
+ *      .build()
+ *
+ *    compute(chain, definition(chain, 'admin'))
+ *    //=> false
+ *
+ */
+function compute(chain, computed) {
+  if (!computed.dirty) return computed.value
+  if (computed.computing) {
+    throw new Error('computed values depend on each other: ' + computed.name)
+  }
+
+  const data = reduce(chain.store)
+  const used = {}
+  let paths = []
+  for (let p = 0; p < computed.paths.length; p++) {
+    const path = computed.paths[p]
+    paths = paths.concat(
+      includes(path, '*') ? match(storePaths(data), path, false, true) : path
+    )
+  }
+
+  computed.computing = true
+  try {
+    for (let p = 0; p < paths.length; p++) {
+      dot.set(used, getPathSegments(paths[p]), valueAt(chain, data, paths[p]))
+    }
+
+    const value = computed.fn.call(chain, used, chain)
+    if (computed.validate && !computed.validate(value)) {
+      typeError(computed.name, computed.type)(value).reThrow()
+    }
+
+    computed.value = value
+    computed.dirty = false
+  }
+  finally {
+    computed.computing = false
+  }
+
+  return computed.value
+}
+
+module.exports = compute
@@ -0,0 +1,33 @@
+const isUndefined = require('../is/undefined')
+const COMPUTED_KEY = require('../meta/computed')
+
+/**
+ * @desc the computed definition for a key,
+ *       when it is built again, the last one is used
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf computed
+ *
+ * @param  {Chain} chain chain with .meta
+ * @param  {Primitive} key key to check
+ * @return {Object | undefined} definition {name, paths, fn, validate, dirty, value}
+ *
+ * @see plugins/computed
+ *
+ * @example
+ *
+ *    chain.computed('admin').use('roles', fn).build()
+ *    definition(chain, 'admin')
+ *    //=> {name: 'admin', paths: ['roles'], fn, dirty: true, ...}
+ *
+ *    definition(chain, 'roles')
+ *    //=> undefined
+ *
+ */
+module.exports = (chain, key) => {
+  const store = chain.meta && chain.meta.store && chain.meta.store[COMPUTED_KEY]
+  if (isUndefined(store) || !store.has(key)) return undefined
+
+  const definitions = store.get(key)
+  return definitions[definitions.length - 1]
+}
@@ -0,0 +1,80 @@
+const isUndefined = require('../is/undefined')
+const toarr = require('../to-arr')
+const match = require('../matcher')
+const COMPUTED_KEY = require('../meta/computed')
+
+/**
+ * @desc checks if a changed path is a dependency,
+ *       or is a parent or child path of one
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Array<string>} paths dependency paths & globs
+ * @param  {Array<string>} keys changed paths
+ * @return {boolean} depends on one of the keys
+ *
+ * @example
+ *
+ *    depends(['dates.created'], ['dates'])
+ *    //=> true
+ *
+ *    depends(['roles.*'], ['roles.0'])
+ *    //=> true
+ *
+ */
+const depends = (paths, keys) =>
+  match(keys, paths, false, true).length !== 0 ||
+  keys.some(key =>
+    paths.some(
+      path => path.startsWith(key + '.') || key.startsWith(path + '.')
+    )
+  )
+
+/* prettier-ignore */
+/**
+ * @desc marks computed values that depend on the changed paths as dirty,
+ *       so they are computed again the next time they are read,
+ *       computed values depending on those are marked too
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf computed
+ *
+ * @param  {Chain} chain chain with .meta
+ * @param  {Object} [changed=undefined] change record {key, path}, every computed value when undefined
+ * @return {void}
+ *
+ * @see deps/meta/notify
+ * @see deps/computed/compute
+ *
+ * @example
+ *
+ *    invalidate(chain, {type: 'set', key: 'roles', path: 'roles'})
+ *    //=> computed values using `roles` are computed again when read
+ *
+ */
+module.exports = function invalidate(chain, changed) {
+  const store = chain.meta.store[COMPUTED_KEY]
+  if (isUndefined(store) || store.size === 0) return
+
+  const keys = isUndefined(changed)
+    ? undefined
+    : toarr(changed.key)
+      .concat(toarr(changed.path))
+      .filter(key => !isUndefined(key))
+      .map(String)
+
+  const dirtied = []
+  store.forEach(definitions => {
+    const definition = definitions[definitions.length - 1]
+    if (definition.dirty) return
+    if (isUndefined(keys) || depends(definition.paths, keys)) {
+      definition.dirty = true
+      dirtied.push(definition.name)
+    }
+  })
+
+  if (dirtied.length !== 0 && !isUndefined(keys)) {
+    invalidate(chain, {key: dirtied})
+  }
+}
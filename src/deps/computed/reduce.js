@@ -0,0 +1,30 @@
+const COMPUTED_KEY = require('../meta/computed')
+const compute = require('./compute')
+
+/**
+ * @desc adds the computed values to reduced entries
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf computed
+ *
+ * @param  {Chain} chain chain with .meta
+ * @param  {Object} reduced reduced store
+ * @return {Object} reduced, with computed values
+ *
+ * @see ChainedMapBase.entries
+ *
+ * @example
+ *
+ *    reduceComputed(chain, {roles: ['admin']})
+ *    //=> {roles: ['admin'], admin: true}
+ *
+ */
+module.exports = (chain, reduced) => {
+  const store = chain.meta.store[COMPUTED_KEY]
+  if (store) {
+    store.forEach((definitions, name) => {
+      reduced[name] = compute(chain, definitions[definitions.length - 1])
+    })
+  }
+  return reduced
+}
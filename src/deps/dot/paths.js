@@ -1,20 +1,28 @@
 const isTrue = require('../is/true')
 const includes = require('../conditional/includes')
 const traverse = require('../traverse')
+const isObj = require('../is/obj')
 const cache = require('../cache')
 
+// paths of frozen objects, by object, then key & longest
+const frozen = cache('paths')
+
 /* prettier-ignore */
 /**
  * @since 4.0.0
  * @NOTE had `onlyLongest` & `asString` but can just .join(',') to match
- * @desc gathers dot.prop from any value, with a prefixed/base key
+ * @desc gathers dot.prop from any value, with a prefixed/base key,
+ *       cached only for frozen objects, others can change after
  * @param  {Primitive}  key
  * @param  {Traversable}  value
  * @param  {boolean | undefined} longest
  * @return {Array<string>} paths
  */
 module.exports = function(key, value, longest) {
-  if (cache.has(value)) return cache.get(value)
+  const isCached = isObj(value) && Object.isFrozen(value)
+  const variant = `${key}|${!!longest}`
+  const variants = isCached ? frozen.get(value) || {} : {}
+  if (variants[variant]) return variants[variant]
 
   let paths = []
 
@@ -45,7 +53,10 @@ module.exports = function(key, value, longest) {
     ))
   }
 
-  cache.set(value, paths)
+  if (isCached) {
+    variants[variant] = paths
+    frozen.set(value, variants)
+  }
 
   return paths
 }
@@ -1,12 +1,14 @@
 const isArray = require('../is/array')
 const isUndefined = require('../is/undefined')
 const lengthMinusOne = require('../util/lengthMinusOne')
+const cache = require('../cache')
+
+// split paths, by path
+const segments = cache('segments')
 
-let cache
 module.exports = path => {
-  if (!cache) cache = new Map()
-  if (cache.has(path)) return cache.get(path)
   if (isArray(path)) return path
+  if (segments.has(path)) return segments.get(path)
 
   const pathArr = path.split('.')
   const parts = []
@@ -34,6 +36,6 @@ module.exports = path => {
     parts.push(p)
   }
 
-  cache.set(path, parts)
+  segments.set(path, parts)
   return parts
 }
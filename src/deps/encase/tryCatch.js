@@ -1,15 +1,33 @@
+const isPromise = require('../is/promise')
+
 /**
+ * @desc encase a call, calling onValid with the result
+ *       or onInvalid with the error it throws,
+ *       when the call returns a Promise, they are called once it settles
+ *
  * @see https://github.com/fluture-js/Fluture#encase
  * @since 4.0.0 <- moved out into a dep
  * @since 1.0.0
  *
  * @param  {Function} call
  * @return {boolean | any} validation/encased function call result
+ *
+ * @example
+ *
+ *    tryCatch(() => Promise.reject(new Error('eh')))(null, e => e.message)()
+ *    //=> Promise<'eh'>
+ *
  */
 module.exports = call => (onValid, onInvalid, rethrow) => (a, b, c) => {
   let result
   try {
     result = call(a, b, c)
+    if (isPromise(result)) {
+      return result.then(
+        value => (onValid ? onValid(value) : value),
+        error => (onInvalid ? onInvalid(error) : error)
+      )
+    }
     return onValid ? onValid(result) : result
   }
   catch (error) {
@@ -1,5 +1,38 @@
-module.exports = specification => call => (onInvalid, onValid) => (a, b, c) => {
+const isPromise = require('../is/promise')
+
+/**
+ * @desc encase a call, calling onValid when the result matches the
+ *       specification, onInvalid otherwise,
+ *       when the call returns a Promise, the settled result is checked
+ *       (a rejection is invalid) & the Promise is returned
+ *
+ * @since 4.0.0
+ *
+ * @param  {Function} specification (result) => boolean
+ * @return {Function} call => (onValid, onInvalid) => (a, b, c) => result
+ *
+ * @see deps/encase/encase
+ *
+ * @example
+ *
+ *    const encased = withSpecification(x => x === true)(x => x)
+ *    encased(() => 'valid', () => 'invalid')(true)
+ *    //=> 'valid'
+ *
+ *    encased(() => 'valid', () => 'invalid')(Promise.resolve(false))
+ *    //=> Promise<'invalid'>
+ *
+ */
+module.exports = specification => call => (onValid, onInvalid) => (a, b, c) => {
   const result = call(a, b, c)
-  if (specification(result)) return onInvalid(result)
-  else return onValid(result)
+
+  if (isPromise(result)) {
+    return result.then(
+      value => (specification(value) ? onValid(value) : onInvalid(value)),
+      onInvalid
+    )
+  }
+
+  if (specification(result)) return onValid(result)
+  else return onInvalid(result)
 }
@@ -0,0 +1,43 @@
+const jsonToType = require('./jsonToType')
+
+/**
+ * @desc translate a JSON Schema (draft-07) document with `properties`
+ *       into a schema for `.schema`,
+ *       properties that are not `required` are optional (`?`)
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf jsonschema
+ *
+ * @param  {Object} doc JSON Schema document, `{type: 'object', properties}`
+ * @return {Schema} schema for `MethodChain.schema`
+ *
+ * @NOTE `enum` & `const` become enum arrays,
+ *       `anyOf` with string types becomes `|` separated types,
+ *       `items`, `oneOf`, `allOf`, `not` & `integer` become validators
+ *       that keep their JSON Schema in `.jsonSchema` for `toJSONSchema`
+ *
+ * @see deps/jsonschema/jsonToType
+ * @see deps/jsonschema/toJSONSchema
+ * @see MethodChain.schema
+ *
+ * @example
+ *
+ *    const schema = fromJSONSchema({
+ *      type: 'object',
+ *      properties: {
+ *        id: {type: 'number'},
+ *        status: {enum: ['enabled', 'disabled']},
+ *        name: {type: 'string'},
+ *      },
+ *      required: ['id', 'status'],
+ *    })
+ *    //=> {id: 'number', status: ['enabled', 'disabled'], name: '?string'}
+ *
+ *    new Chain().methods().schema(schema).id(1).status('enabled')
+ *
+ */
+module.exports = doc => {
+  if (!doc || !doc.properties) return {}
+  const {properties, required} = doc
+  return jsonToType({type: 'object', properties, required})
+}
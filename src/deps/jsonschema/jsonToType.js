@@ -0,0 +1,256 @@
+const isArray = require('../is/array')
+const isString = require('../is/string')
+const isUndefined = require('../is/undefined')
+const isNullOrUndefined = require('../is/nullOrUndefined')
+const ObjectKeys = require('../util/keys')
+const hasOwnProperty = require('../util/hasOwnProperty')
+const toarr = require('../to-arr')
+const schemaErrors = require('../validators/schemaErrors')
+const validatorBuilder = require('../validators/validatorBuilder')
+
+// JSON Schema types with a validator of the same name
+const NAMED = ['string', 'number', 'boolean', 'array', 'object', 'null']
+
+// `?` marks properties that are not `required`
+const optionalName = name => (name.charAt(0) === '?' ? name : '?' + name)
+
+/**
+ * @desc a validator for what cannot be written as a string type,
+ *       keeping the JSON Schema it came from for `toJSONSchema`
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Function} validator (value) => boolean
+ * @param  {Object} json JSON Schema it validates
+ * @return {Function} validator, with `.jsonSchema`
+ *
+ * @example
+ *
+ *    validatorFor(Number.isInteger, {type: 'integer'}).jsonSchema
+ *    //=> {type: 'integer'}
+ *
+ */
+const validatorFor = (validator, json) => {
+  validator.jsonSchema = json
+  return validator
+}
+
+/**
+ * @desc validate a value with a type from `jsonToType`
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Type | Schema} type type to validate with
+ * @return {Function} (value) => boolean
+ *
+ * @example
+ *
+ *    isValid('string')('eh')
+ *    //=> true
+ *
+ */
+const isValid = type => value => schemaErrors('', type, value).length === 0
+
+/**
+ * @desc the mini-language name for a JSON Schema `type`
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} json JSON Schema with a single `type`
+ * @param  {Function} jsonToType to translate nested schemas
+ * @return {Type | Schema} type
+ *
+ * @example
+ *
+ *    typeOf({type: 'string'}, jsonToType)
+ *    //=> 'string'
+ *
+ *    typeOf({type: 'string', format: 'date-time'}, jsonToType)
+ *    //=> 'string'
+ *
+ */
+const typeOf = (json, jsonToType) => {
+  const type = json.type
+
+  if (type === 'object' && json.properties) {
+    const required = toarr(json.required || [])
+    const schema = {}
+    ObjectKeys(json.properties).forEach(key => {
+      schema[key] = jsonToType(json.properties[key], required.includes(key))
+    })
+    return schema
+  }
+
+  if (type === 'array' && json.items) {
+    const item = isValid(jsonToType(json.items, true))
+    return validatorFor(x => isArray(x) && x.every(item), json)
+  }
+
+  if (type === 'integer') return validatorFor(x => Number.isInteger(x), json)
+
+  // string formats with a validator, added with `addTypes`
+  if (type === 'string' && json.format && validatorBuilder.has(json.format)) {
+    return json.format
+  }
+
+  if (NAMED.includes(type)) return type
+  return validatorFor(() => true, json)
+}
+
+/**
+ * @desc `oneOf`, `anyOf`, `allOf` & `not`
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} json JSON Schema
+ * @param  {Function} jsonToType to translate nested schemas
+ * @return {Type | undefined} type, undefined without any of them
+ *
+ * @example
+ *
+ *    composed({anyOf: [{type: 'string'}, {type: 'number'}]}, jsonToType)
+ *    //=> 'string|number'
+ *
+ */
+const composed = (json, jsonToType) => {
+  const members = json.oneOf || json.anyOf
+  if (members) {
+    const types = members.map(member => jsonToType(member, true))
+    if (json.anyOf && types.every(isString)) return types.join('|')
+
+    const validators = types.map(isValid)
+    const matching = x => validators.filter(valid => valid(x)).length
+    const validator = json.oneOf
+      ? x => matching(x) === 1
+      : x => matching(x) > 0
+    return validatorFor(validator, json)
+  }
+
+  if (json.allOf) {
+    const validators = json.allOf.map(all => isValid(jsonToType(all, true)))
+    return validatorFor(x => validators.every(valid => valid(x)), json)
+  }
+
+  if (json.not) {
+    const validator = isValid(jsonToType(json.not, true))
+    return validatorFor(x => !validator(x), json)
+  }
+
+  return undefined
+}
+
+/**
+ * @desc `type: ['string', 'null']` is `string|null`
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} json JSON Schema with a list of `type`s
+ * @param  {Function} jsonToType to translate nested schemas
+ * @return {Type} type
+ *
+ * @example
+ *
+ *    typesOf({type: ['string', 'number', 'null']}, jsonToType)
+ *    //=> 'string|number|null'
+ *
+ */
+const typesOf = (json, jsonToType) => {
+  const nullable = json.type.includes('null')
+  const types = json.type
+    .filter(type => type !== 'null')
+    .map(type => typeOf({type}, jsonToType))
+
+  if (types.every(isString)) {
+    return (nullable ? types.concat('null') : types).join('|')
+  }
+
+  const validators = types.map(isValid)
+  const validator = x =>
+    (nullable && x === null) || validators.some(valid => valid(x))
+  return validatorFor(validator, json)
+}
+
+/**
+ * @desc the type, before `required` is applied
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} json JSON Schema
+ * @param  {Function} jsonToType to translate nested schemas
+ * @return {Type | Schema} type
+ *
+ * @example
+ *
+ *    combined({enum: [1, 2]}, jsonToType)
+ *    //=> [1, 2]
+ *
+ */
+const combined = (json, jsonToType) => {
+  if (isArray(json.enum)) return json.enum.slice(0)
+  if (hasOwnProperty(json, 'const')) return [json.const]
+
+  const type = composed(json, jsonToType)
+  if (!isUndefined(type)) return type
+
+  if (isArray(json.type)) return typesOf(json, jsonToType)
+  return typeOf(json, jsonToType)
+}
+
+/* prettier-ignore */
+/**
+ * @desc translate JSON Schema (draft-07) into a type for `.type` & `.schema`,
+ *       `enum` becomes an enum array, objects with `properties` nested schemas,
+ *       `anyOf` of string types `|` separated types,
+ *       everything else a validator function with `.jsonSchema`
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf jsonschema
+ *
+ * @param  {Object | boolean} json JSON Schema
+ * @param  {boolean} [required=true] when false, null & undefined are valid too
+ * @return {Type | Schema} type
+ *
+ * @see deps/jsonschema/fromJSONSchema
+ * @see deps/jsonschema/typeToJSON
+ *
+ * @example
+ *
+ *    jsonToType({type: 'string'})
+ *    //=> 'string'
+ *
+ *    jsonToType({type: 'string'}, false)
+ *    //=> '?string'
+ *
+ *    jsonToType({enum: ['enabled', 'disabled']})
+ *    //=> ['enabled', 'disabled']
+ *
+ *    jsonToType({type: 'array', items: {type: 'number'}})
+ *    //=> x => isArray(x) && x.every(isNumber)
+ *
+ */
+const jsonToType = (json, required) => {
+  const type = json === true || isUndefined(json)
+    ? validatorFor(() => true, {})
+    : combined(json, jsonToType)
+
+  if (required !== false) return type
+  if (isString(type)) return type.split('|').map(optionalName).join('|')
+  if (isArray(type)) return type
+
+  // nested schemas cannot be optional
+  if (!isUndefined(type.jsonSchema)) {
+    const validator = x => isNullOrUndefined(x) || type(x)
+    const optional = validatorFor(validator, type.jsonSchema)
+    optional.optional = true
+    return optional
+  }
+  return type
+}
+
+module.exports = jsonToType
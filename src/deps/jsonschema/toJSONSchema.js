@@ -0,0 +1,78 @@
+const isUndefined = require('../is/undefined')
+const isFunction = require('../is/function')
+const ObjectAssign = require('../util/assign')
+const SCHEMA_KEY = require('../meta/schema')
+const typeToJSON = require('./typeToJSON')
+
+const DRAFT = 'http://json-schema.org/draft-07/schema#'
+
+/**
+ * @desc the schema registered with `.schema`, the last one for each key
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain with .meta
+ * @return {Object} schema
+ *
+ * @example
+ *
+ *    chain.methods().schema({eh: 'string'})
+ *    registered(chain)
+ *    //=> {eh: 'string'}
+ *
+ */
+const registered = chain => {
+  const schema = {}
+  const schemas = chain.meta.store && chain.meta.store[SCHEMA_KEY]
+  if (isUndefined(schemas)) return schema
+
+  schemas.forEach((values, key) => {
+    schema[key] = values[values.length - 1]
+  })
+  return schema
+}
+
+/**
+ * @desc translate the schema registered with `.schema` into
+ *       a JSON Schema (draft-07) document,
+ *       types that are not optional (`?`) are `required`
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf jsonschema
+ *
+ * @param  {Chain | Schema} chain chain with a `.schema`, or the schema itself
+ * @return {Object} JSON Schema document
+ *
+ * @see deps/jsonschema/typeToJSON
+ * @see deps/jsonschema/fromJSONSchema
+ * @see MethodChain.schema
+ *
+ * @example
+ *
+ *    const chain = new Chain()
+ *    chain.methods().schema({
+ *      id: 'number',
+ *      status: ['enabled', 'disabled'],
+ *      tags: '?string[]',
+ *    })
+ *
+ *    toJSONSchema(chain)
+ *    //=> {
+ *    //  $schema: 'http://json-schema.org/draft-07/schema#',
+ *    //  type: 'object',
+ *    //  properties: {
+ *    //    id: {type: 'number'},
+ *    //    status: {enum: ['enabled', 'disabled']},
+ *    //    tags: {anyOf: [{anyOf: [{type: 'string'}, {type: 'array', ...}]}, {type: 'null'}]},
+ *    //  },
+ *    //  required: ['id', 'status'],
+ *    // }
+ *
+ */
+module.exports = chain => {
+  const schema =
+    chain && isFunction(chain.meta) ? registered(chain) : chain || {}
+
+  return ObjectAssign({$schema: DRAFT}, typeToJSON(schema))
+}
@@ -0,0 +1,213 @@
+const isArray = require('../is/array')
+const isString = require('../is/string')
+const isFunction = require('../is/function')
+const isObj = require('../is/obj')
+const ObjectKeys = require('../util/keys')
+const hasOwnProperty = require('../util/hasOwnProperty')
+const ObjectAssign = require('../util/assign')
+const isUndefined = require('../is/undefined')
+const validatorBuilder = require('../validators/validatorBuilder')
+const parse = require('../validators/expression/parse')
+const isOptional = require('../validators/expression/isOptional')
+
+// validator names with a JSON Schema equivalent
+const NAMED = {
+  string: {type: 'string'},
+  number: {type: 'number'},
+  boolean: {type: 'boolean'},
+  array: {type: 'array'},
+  null: {type: 'null'},
+  obj: {type: 'object'},
+  object: {type: 'object'},
+  objStrict: {type: 'object'},
+  objPure: {type: 'object'},
+  objWithKeys: {type: 'object'},
+  date: {type: 'string', format: 'date-time'},
+  regExp: {type: 'string', format: 'regex'},
+}
+
+// custom validators named after a JSON Schema string format
+const FORMATS = ['email', 'uuid', 'uri', 'hostname', 'ipv4', 'ipv6']
+
+/**
+ * @desc a type name, without type arguments or constraints
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {string} name type name
+ * @return {Object} JSON Schema
+ *
+ * @example
+ *
+ *    nameToJSON('date')
+ *    //=> {type: 'string', format: 'date-time'}
+ *
+ *    nameToJSON('enabled')
+ *    //=> {const: 'enabled'}
+ *
+ */
+const nameToJSON = name => {
+  if (hasOwnProperty(NAMED, name)) return NAMED[name]
+  if (FORMATS.includes(name)) return {type: 'string', format: name}
+
+  // unknown names are validated as the value itself
+  return validatorBuilder.has(name) ? {} : {const: name}
+}
+
+// keywords for a range, by the JSON Schema type it constrains
+const RANGES = {
+  number: ['minimum', 'maximum'],
+  string: ['minLength', 'maxLength'],
+  array: ['minItems', 'maxItems'],
+}
+
+/**
+ * @desc `number(0..1)` `string(..5)` `string(/regex/)`
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} json JSON Schema of the constrained type
+ * @param  {Object} constraint constraint node from `parse`
+ * @return {Object} JSON Schema, with the constraint keywords
+ *
+ * @example
+ *
+ *    constrained({type: 'number'}, {type: 'range', min: 0, max: Infinity})
+ *    //=> {type: 'number', minimum: 0}
+ *
+ */
+const constrained = (json, constraint) => {
+  if (constraint.type === 'regex') {
+    return ObjectAssign({}, json, {pattern: constraint.regex.source})
+  }
+
+  const keywords = RANGES[json.type]
+  if (!keywords) return json
+
+  const result = ObjectAssign({}, json)
+  if (isFinite(constraint.min)) result[keywords[0]] = constraint.min
+  if (isFinite(constraint.max)) result[keywords[1]] = constraint.max
+  return result
+}
+
+// nodes from `deps/validators/expression/parse`, `toJSON` for children
+const NODES = {
+  union(node, toJSON) {
+    const members = node.members.map(toJSON)
+    const isEnum = members.every(member => hasOwnProperty(member, 'const'))
+    if (isEnum) return {enum: members.map(member => member.const)}
+    return {anyOf: members}
+  },
+  intersection: (node, toJSON) => ({allOf: node.members.map(toJSON)}),
+  optional: (node, toJSON) => ({anyOf: [toJSON(node.of), {type: 'null'}]}),
+  not: (node, toJSON) => ({not: toJSON(node.of)}),
+  array(node, toJSON) {
+    const items = toJSON(node.of)
+    return {anyOf: [items, {type: 'array', items}]}
+  },
+  tuple(node, toJSON) {
+    const items = node.items.map(toJSON)
+    const length = items.length
+    return {type: 'array', items, minItems: length, maxItems: length}
+  },
+  record(node, toJSON) {
+    const json = {type: 'object', additionalProperties: toJSON(node.value)}
+    const key = toJSON(node.key)
+    if (key.type !== 'string') json.propertyNames = key
+    return json
+  },
+  literal: node => (isUndefined(node.value) ? {} : {const: node.value}),
+  name(node, toJSON) {
+    let json = nameToJSON(node.name)
+    if (node.args) {
+      const isArrayOf = node.name.toLowerCase() === 'array'
+      json = isArrayOf ? {type: 'array', items: toJSON(node.args[0])} : {}
+    }
+    return node.constraint ? constrained(json, node.constraint) : json
+  },
+}
+
+/**
+ * @desc a parsed type expression
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} node node from `parse`
+ * @return {Object} JSON Schema
+ *
+ * @see deps/validators/expression/parse
+ *
+ * @example
+ *
+ *    nodeToJSON(parse('number|string'))
+ *    //=> {anyOf: [{type: 'number'}, {type: 'string'}]}
+ *
+ *    nodeToJSON(parse('enabled|disabled'))
+ *    //=> {enum: ['enabled', 'disabled']}
+ *
+ */
+const nodeToJSON = node => NODES[node.type](node, nodeToJSON)
+
+/* prettier-ignore */
+/**
+ * @desc translate a type (or nested schema) used with `.type` & `.schema`
+ *       into JSON Schema (draft-07)
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf jsonschema
+ *
+ * @param  {Type | Schema} type string type, validator, nested schema or enum array
+ * @return {Object} JSON Schema
+ *
+ * @NOTE validator functions are `{}` (anything), unless they have `.jsonSchema`
+ *
+ * @see deps/validators/validatorBuilder
+ * @see deps/jsonschema/toJSONSchema
+ *
+ * @example
+ *
+ *    typeToJSON('?string')
+ *    //=> {anyOf: [{type: 'string'}, {type: 'null'}]}
+ *
+ *    typeToJSON(['enabled', 'disabled'])
+ *    //=> {enum: ['enabled', 'disabled']}
+ *
+ *    typeToJSON({name: 'string', email: '?email'})
+ *    //=> {
+ *    //  type: 'object',
+ *    //  properties: {
+ *    //    name: {type: 'string'},
+ *    //    email: {anyOf: [{type: 'string', format: 'email'}, {type: 'null'}]},
+ *    //  },
+ *    //  required: ['name'],
+ *    // }
+ *
+ */
+const typeToJSON = type => {
+  if (isString(type)) return nodeToJSON(parse(type))
+  if (isFunction(type)) return type.jsonSchema || {}
+
+  if (isArray(type)) {
+    // `[{...}]` is an array of that schema, otherwise the allowed values
+    const isItems = type.length === 1 && isObj(type[0])
+    if (isItems) return {type: 'array', items: typeToJSON(type[0])}
+    return {enum: type.slice(0)}
+  }
+
+  const keys = ObjectKeys(type)
+  const properties = {}
+  const required = []
+  for (let k = 0; k < keys.length; k++) {
+    properties[keys[k]] = typeToJSON(type[keys[k]])
+    if (!isOptional(type[keys[k]])) required.push(keys[k])
+  }
+
+  const json = {type: 'object', properties}
+  if (required.length !== 0) json.required = required
+  return json
+}
+
+module.exports = typeToJSON
@@ -9,6 +9,9 @@ const cache = require('../cache')
 const toarr = require('../to-arr')
 const toRegExp = require('./to-regexp')
 
+// compiled patterns, by pattern & options
+const compiled = cache('matcher')
+
 const m = {}
 
 /**
@@ -59,12 +62,13 @@ const m = {}
  *
  */
 m.make = (pattern, shouldNegate, alphaOmega) => {
-  if (cache.has(pattern)) return cache.get(pattern)
-
   let matchable = pattern
   if (isMatcher(matchable) && !matchable.test) matchable.test = matchable
   if (isMatcher(matchable)) return matchable
 
+  const key = `${pattern}|${!!shouldNegate}|${!!alphaOmega}`
+  if (compiled.has(key)) return compiled.get(key)
+
   let negated = matchable[0] === '!'
   if (negated) matchable = matchable.slice(1)
   matchable = toRegExp(matchable)
@@ -75,7 +79,7 @@ m.make = (pattern, shouldNegate, alphaOmega) => {
   matchable = new RegExp(`${matchable}`, 'i')
   matchable.negated = negated
 
-  cache.set(pattern, matchable)
+  compiled.set(key, matchable)
   return matchable
 }
 
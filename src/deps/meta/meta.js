@@ -94,6 +94,30 @@ function getMeta(_this) {
     }
   }
 
+  /**
+   * @desc remove a single value (or property) from a store,
+   *       or empty the whole store when there is no `prop`
+   *
+   * @since  4.0.0-beta.3
+   * @param  {Primitive} key meta store to remove from
+   * @param  {Primitive | undefined} [prop=undefined] property when Map, value when Set
+   * @return {Chain}
+   *
+   * @example
+   *
+   *    chain.meta('observers', observer)
+   *    chain.meta.delete('observers', observer)
+   *    chain.meta('observers')
+   *    //=> []
+   *
+   */
+  const remove = (key, prop) => {
+    if (isUndefined(store[key])) return _this
+    if (isUndefined(prop)) store[key].clear()
+    else store[key].delete(prop)
+    return _this
+  }
+
   /**
    * @since 4.0.0
    *
@@ -141,6 +165,8 @@ function getMeta(_this) {
     return _this
   }
 
+  meta.delete = remove
+
   // for debugging
   meta.store = store
   // meta.debug = false
@@ -0,0 +1,44 @@
+const invalidate = require('../computed/invalidate')
+const OBSERVERS_KEY = require('./observers')
+
+/**
+ * @desc calls every observer in `meta(OBSERVERS_KEY)` with the change
+ *       (and the chain that changed), or queues the change
+ *       when the chain has a pending transaction
+ *       computed values depending on the change are invalidated right away
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf meta
+ *
+ * @param  {Chain} chain chain with .meta
+ * @param  {Object} changed change record, {type, key, path, oldValue, value}
+ * @return {void}
+ *
+ * @see Observe.transaction
+ * @see TransformChain.set
+ * @see deps/computed/invalidate
+ *
+ * @example
+ *
+ *    notify(chain, {type: 'set', key: 'eh', path: 'eh', value: true})
+ *    //=> observers called with the change record
+ *
+ *    chain.transaction()
+ *    notify(chain, {type: 'set', key: 'eh', path: 'eh', value: true})
+ *    //=> queued until .commit()
+ *
+ */
+module.exports = (chain, changed) => {
+  invalidate(chain, changed)
+
+  const transaction = chain.meta.transaction
+  if (transaction) {
+    transaction.changes.push(changed)
+    return
+  }
+
+  const observers = chain.meta(OBSERVERS_KEY)
+  for (let o = 0; o < observers.length; o++) {
+    observers[o](changed, chain)
+  }
+}
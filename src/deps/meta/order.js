@@ -0,0 +1,4 @@
+/* istanbul ignore next: wip build */
+module.exports = process.env.NODE_ENV === 'production'
+  ? 'order'
+  : 'order'
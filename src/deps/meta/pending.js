@@ -0,0 +1,54 @@
+const ObjectAssign = require('../util/assign')
+
+/**
+ * @desc tracks a promise from an async validator or onCall
+ *       in `meta.pending` until it settles (for `.settled()`),
+ *       returning the chain as a thenable that resolves to the chain
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf meta
+ *
+ * @param  {Chain} chain chain with .meta
+ * @param  {Promise} promise result of the async call
+ * @return {Chain} thenable chain, `.then` & `.catch` settle with the call
+ *
+ * @NOTE the thenable inherits from the chain, so it can still be chained,
+ *       methods & reads go to the chain, but it is not `=== chain`
+ *       & properties assigned on it are not assigned on the chain
+ * @NOTE the chain itself is not made thenable, an async call resolving
+ *       with the chain (`async () => chain.set(...)`) would wait on itself
+ * @NOTE rejections are only surfaced through the thenable & `.settled()`,
+ *       they are kept in `meta.pending` until `.settled()` rejects with them
+ *
+ * @see ChainedMapBase.settled
+ * @see plugins/encase
+ *
+ * @example
+ *
+ *    const thenable = pending(chain, Promise.resolve(true))
+ *    thenable.set('eh', true)
+ *    //=> chain
+ *
+ *    await thenable
+ *    //=> chain
+ *
+ *    thenable === chain
+ *    //=> false
+ *
+ */
+module.exports = (chain, promise) => {
+  if (!chain.meta.pending) chain.meta.pending = new Set()
+  const pending = chain.meta.pending
+
+  const tracked = promise.then(() => chain)
+  const done = () => pending.delete(tracked)
+  pending.add(tracked)
+
+  // rejected calls stay pending until `.settled()` reports them
+  tracked.then(done, () => undefined)
+
+  return ObjectAssign(Object.create(chain), {
+    then: (onFulfilled, onRejected) => tracked.then(onFulfilled, onRejected),
+    catch: onRejected => tracked.catch(onRejected),
+  })
+}
@@ -0,0 +1,38 @@
+const ORDER_KEY = require('../meta/order')
+
+/**
+ * @desc drops the `.before` & `.after` constraints on a key,
+ *       the ones it was given & the ones naming it,
+ *       so `.move`, `.order` & `.delete` are not undone when reading
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf order
+ *
+ * @param  {Chainable} chain ChainedMap or ChainedSet
+ * @param  {Primitive | any} key key (or value) to forget
+ * @return {Chainable} chain
+ *
+ * @see deps/order/reorder
+ *
+ * @example
+ *
+ *    const chain = new Chain().set('a', 1).set('b', 2).before('a')
+ *    forget(chain, 'b').entries()
+ *    //=> {a: 1, b: 2}
+ *
+ */
+module.exports = (chain, key) => {
+  const constraints = chain.meta.store && chain.meta.store[ORDER_KEY]
+  if (!constraints) return chain
+
+  constraints.delete(key)
+  constraints.forEach((list, other) => {
+    const kept = list.filter(
+      constraint => constraint.before !== key && constraint.after !== key
+    )
+    if (kept.length === 0) constraints.delete(other)
+    else constraints.set(other, kept)
+  })
+
+  return chain
+}
@@ -0,0 +1,34 @@
+const isMap = require('../is/map')
+
+/**
+ * @desc re-inserts the store in the order of `keys`, keeping the same store
+ *       (Map keys, or Set values)
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf order
+ *
+ * @param  {Map | Set} store store to reorder
+ * @param  {Array} keys every key in the store, in the new order
+ * @return {Map | Set} store
+ *
+ * @example
+ *
+ *    rebuild(new Map([['a', 1], ['b', 2]]), ['b', 'a'])
+ *    //=> Map {'b' => 2, 'a' => 1}
+ *
+ *    rebuild(new Set(['a', 'b']), ['b', 'a'])
+ *    //=> Set {'b', 'a'}
+ *
+ */
+module.exports = (store, keys) => {
+  if (isMap(store)) {
+    const values = keys.map(key => store.get(key))
+    store.clear()
+    keys.forEach((key, index) => store.set(key, values[index]))
+  }
+  else {
+    store.clear()
+    keys.forEach(key => store.add(key))
+  }
+  return store
+}
@@ -0,0 +1,38 @@
+const ArrayFrom = require('../util/from')
+const ORDER_KEY = require('../meta/order')
+const rebuild = require('./rebuild')
+const resolve = require('./resolve')
+
+/**
+ * @desc applies `.before` & `.after` constraints to the store,
+ *       used before the store is read in order (`.values`, `.entries`)
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf order
+ *
+ * @param  {Chainable} chain ChainedMap or ChainedSet
+ * @return {Chainable} chain, with the store in order
+ *
+ * @throws {Error} when the constraints have a cycle
+ *
+ * @see deps/order/resolve
+ *
+ * @example
+ *
+ *    const chain = new Chain().set('a', 1).set('b', 2).before('a')
+ *    reorder(chain).store
+ *    //=> Map {'b' => 2, 'a' => 1}
+ *
+ */
+module.exports = chain => {
+  const constraints = chain.meta.store && chain.meta.store[ORDER_KEY]
+  if (!constraints || constraints.size === 0) return chain
+
+  const keys = ArrayFrom(chain.store.keys())
+  const ordered = resolve(keys, constraints)
+  if (ordered.some((key, index) => key !== keys[index])) {
+    rebuild(chain.store, ordered)
+  }
+
+  return chain
+}
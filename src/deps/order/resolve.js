@@ -0,0 +1,66 @@
+const ArrayFrom = require('../util/from')
+
+/* prettier-ignore */
+/**
+ * @desc sorts keys so every `{before}` & `{after}` constraint holds,
+ *       otherwise keeping their order (a stable topological sort),
+ *       keys are moved right before the first key that needs them
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf order
+ *
+ * @param  {Array} keys keys, in their current order
+ * @param  {Map} constraints key -> [{before: key} | {after: key}]
+ * @return {Array} ordered keys
+ *
+ * @throws {Error} when the constraints have a cycle
+ *
+ * @NOTE constraints with keys that are not in `keys` are ignored
+ *
+ * @see deps/order/reorder
+ *
+ * @example
+ *
+ *    resolve(['a', 'b', 'c'], new Map([['c', [{before: 'a'}]]]))
+ *    //=> ['c', 'a', 'b']
+ *
+ *    resolve(['a', 'b'], new Map([['a', [{after: 'b'}]], ['b', [{after: 'a'}]]]))
+ *    //=> Error: cannot order, cycle: b -> a -> b
+ *
+ */
+module.exports = (keys, constraints) => {
+  // key -> keys that have to come before it
+  const firsts = new Map(keys.map(key => [key, []]))
+  const edge = (first, then) => {
+    if (firsts.has(first) && firsts.has(then)) firsts.get(then).push(first)
+  }
+
+  constraints.forEach((list, key) => {
+    list.forEach(constraint => {
+      if ('before' in constraint) edge(key, constraint.before)
+      else edge(constraint.after, key)
+    })
+  })
+
+  const ordered = new Set()
+  const visiting = []
+
+  const visit = key => {
+    if (ordered.has(key)) return
+
+    if (visiting.includes(key)) {
+      // eslint-disable-next-line prefer-includes/prefer-includes
+      const cycle = visiting.slice(visiting.indexOf(key)).reverse()
+      const path = cycle.concat([cycle[0]]).map(String).join(' -> ')
+      throw new Error('cannot order, cycle: ' + path)
+    }
+
+    visiting.push(key)
+    firsts.get(key).forEach(visit)
+    visiting.pop()
+    ordered.add(key)
+  }
+
+  keys.forEach(visit)
+  return ArrayFrom(ordered)
+}
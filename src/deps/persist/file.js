@@ -0,0 +1,59 @@
+const fs = require('fs')
+const hasOwnProperty = require('../util/hasOwnProperty')
+
+/* prettier-ignore */
+/**
+ * @desc Node storage adapter, keeping every item in one JSON file,
+ *       with the `localStorage` interface (`getItem`, `setItem`, `removeItem`)
+ *
+ *       the file is read on every call & written synchronously,
+ *       so several adapters (or processes) can share it
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf persist
+ *
+ * @param  {string} filepath JSON file to read & write, made when missing
+ * @return {Object} adapter {getItem, setItem, removeItem}
+ *
+ * @NOTE node only, it is not included in the main export,
+ *       require it from `chain-able/deps/persist/file`
+ *
+ * @see compose/Persist
+ * @see deps/persist/memory
+ *
+ * @example
+ *
+ *    const file = require('chain-able/deps/persist/file')
+ *    const storage = file('./.cache/chains.json')
+ *
+ *    storage.setItem('canada', 'igloo')
+ *    storage.getItem('canada')
+ *    //=> 'igloo'
+ *
+ */
+module.exports = function file(filepath) {
+  const read = () => {
+    if (!fs.existsSync(filepath)) return {}
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'))
+  }
+  const write = items =>
+    fs.writeFileSync(filepath, JSON.stringify(items, null, 2), 'utf8')
+
+  return {
+    getItem(key) {
+      const items = read()
+      return hasOwnProperty(items, key) ? items[key] : null
+    },
+    setItem(key, value) {
+      const items = read()
+      items[key] = String(value)
+      write(items)
+    },
+    removeItem(key) {
+      const items = read()
+      if (!hasOwnProperty(items, key)) return
+      delete items[key]
+      write(items)
+    },
+  }
+}
@@ -0,0 +1,40 @@
+const ObjectKeys = require('../util/keys')
+
+/* prettier-ignore */
+/**
+ * @desc in-memory storage adapter, with the `localStorage` interface
+ *       (`getItem`, `setItem`, `removeItem`), values are strings
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf persist
+ *
+ * @param  {Object} [initial={}] items to start with
+ * @return {Object} adapter {getItem, setItem, removeItem, items}
+ *
+ * @see compose/Persist
+ * @see deps/persist/file
+ *
+ * @example
+ *
+ *    const storage = memory({eh: '1'})
+ *    storage.setItem('canada', 'igloo')
+ *    storage.getItem('canada')
+ *    //=> 'igloo'
+ *    storage.getItem('nope')
+ *    //=> null
+ *
+ */
+module.exports = function memory(initial) {
+  const items = new Map()
+  const keys = ObjectKeys(initial || {})
+  for (let k = 0; k < keys.length; k++) {
+    items.set(keys[k], String(initial[keys[k]]))
+  }
+
+  return {
+    items,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  }
+}
@@ -1,10 +1,17 @@
 const isFunction = require('../is/function')
+const isSet = require('../is/set')
+const isArray = require('../is/array')
 const ignored = require('../ignored')
 const ObjectKeys = require('../util/keys')
 const ObjectAssign = require('../util/assign')
 
+// chains in a set are reduced too
+const reduceValue = value =>
+  (value && isFunction(value.entries) ? value.entries(true) : value)
+
 /**
  * @desc recursively reduce maps and objects that include reducable data
+ * @since 4.0.0-beta.3 <- ChainedSet properties are arrays of their values
  * @since 4.0.0
  *
  * @sig reduced => object => isMap(object) -> reduced; merge(object, reduced)
@@ -71,9 +78,17 @@ module.exports = reduced => obj => {
     }
 
     const val = obj[key]
+
+    // arrays have .entries too, they are already reduced
+    if (isArray(val)) continue
+
     if (val && isFunction(val.entries)) {
       ObjectAssign(reduced, {[key]: val.entries(true) || {}})
     }
+    // ChainedSet properties, as arrays of their (reduced) values
+    else if (val && isSet(val.store)) {
+      ObjectAssign(reduced, {[key]: val.values().map(reduceValue)})
+    }
   }
 
   return reduced
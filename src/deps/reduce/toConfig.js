@@ -0,0 +1,133 @@
+const isArray = require('../is/array')
+const isFunction = require('../is/function')
+const isSet = require('../is/set')
+const isObjPure = require('../is/objPure')
+const isUndefined = require('../is/undefined')
+const ObjectKeys = require('../util/keys')
+const getPrototypeOf = require('../util/getPrototypeOf')
+const ignored = require('../ignored')
+const EXPORTERS_KEY = require('../meta/exporters')
+
+// ChainedMaps, ChainedSets & children (anything with .toConfig)
+const isChain = value => !!value && isFunction(value.toConfig)
+
+// object literals, not class instances (which are kept as they are)
+const isPlain = value => {
+  if (!isObjPure(value)) return false
+  const proto = getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+/**
+ * @desc values kept in the config: not undefined,
+ *       an empty array or an empty plain object,
+ *       unlike deps/reduce/clean primitives, dates & instances are kept
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {*} value exported value
+ * @return {boolean} is kept
+ *
+ * @see deps/reduce/clean
+ *
+ * @example
+ *
+ *    isKept(0)
+ *    //=> true
+ *
+ *    isKept({})
+ *    //=> false
+ *
+ *    isKept(new Plugin())
+ *    //=> true
+ *
+ */
+const isKept = value => {
+  if (isUndefined(value)) return false
+  if (isArray(value)) return value.length !== 0
+  return !isPlain(value) || ObjectKeys(value).length !== 0
+}
+
+/**
+ * @desc a value as config: chains with `.toConfig`, arrays item by item,
+ *       plain objects key by key, dropping the values that are not kept
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {*} value value in the store, or a child
+ * @return {*} plain value
+ *
+ * @example
+ *
+ *    toValue(new ChainedSet().add('eh'))
+ *    //=> ['eh']
+ *
+ *    toValue({eh: true, empty: {oh: undefined}})
+ *    //=> {eh: true}
+ *
+ */
+const toValue = value => {
+  if (isChain(value)) return value.toConfig()
+  if (isArray(value)) return value.map(toValue)
+  if (!isPlain(value)) return value
+
+  const plain = {}
+  ObjectKeys(value).forEach(key => {
+    const nested = toValue(value[key])
+    if (isKept(nested)) plain[key] = nested
+  })
+  return plain
+}
+
+/* prettier-ignore */
+/**
+ * @desc the plain object (or array, for ChainedSets) of a whole chain tree,
+ *       nested chains become objects, sets arrays,
+ *       `.onExport` hooks are called for their keys,
+ *       undefined, empty arrays & empty plain objects are dropped,
+ *       from the config, nested plain objects & arrays of sets
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf reduce
+ *
+ * @param  {Chain} chain ChainedMap or ChainedSet
+ * @return {Object | Array} config
+ *
+ * @see ChainedMapBase.onExport
+ *
+ * @example
+ *
+ *    const chain = new Chain().set('eh', 1).set('empty', {})
+ *    chain.tags = new ChainedSet(chain).add('canada')
+ *    chain.onExport('eh', value => value + 1)
+ *
+ *    toConfig(chain)
+ *    //=> {eh: 2, tags: ['canada']}
+ *
+ */
+module.exports = chain => {
+  if (isSet(chain.store)) return chain.values().map(toValue).filter(isKept)
+
+  const exporters = chain.meta.store[EXPORTERS_KEY]
+  const config = {}
+  const add = (key, value) => {
+    const hooks = exporters && exporters.get(key)
+    const exported = toValue(value)
+    const result = isUndefined(hooks)
+      ? exported
+      : hooks.reduce((last, hook) => hook(last, key, chain), exported)
+    if (isKept(result)) config[key] = result
+  }
+
+  const entries = chain.entries()
+  ObjectKeys(entries).forEach(key => add(key, entries[key]))
+
+  // child chains, from `.child` & properties
+  ObjectKeys(chain).forEach(key => {
+    if (!ignored(key) && isChain(chain[key])) add(key, chain[key])
+  })
+
+  return config
+}
@@ -0,0 +1,106 @@
+const isArray = require('../is/array')
+const isObjPure = require('../is/objPure')
+const ObjectKeys = require('../util/keys')
+
+/**
+ * @desc decodes the keys of a plain object
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} obj encoded object
+ * @param  {Function} decode decoder for the values
+ * @return {Object} decoded object
+ *
+ * @example
+ *
+ *    decodeKeys({eh: {$type: 'undefined'}}, decode)
+ *    //=> {eh: undefined}
+ *
+ */
+const decodeKeys = (obj, decode) => {
+  const decoded = {}
+  const keys = ObjectKeys(obj)
+  for (let k = 0; k < keys.length; k++) {
+    decoded[keys[k]] = decode(obj[keys[k]])
+  }
+  return decoded
+}
+
+/**
+ * @desc decodes a tagged value `{$type, value}`
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} x tagged value
+ * @param  {Function} decode decoder for nested values
+ * @return {any} decoded value
+ *
+ * @throws {TypeError} when the tag is unknown
+ *
+ * @example
+ *
+ *    decodeTagged({$type: 'Date', value: 0}, decode)
+ *    //=> new Date(0)
+ *
+ */
+const decodeTagged = (x, decode) => {
+  const value = x.value
+  switch (x.$type) {
+    case 'undefined':
+      return undefined
+    case 'Number':
+      return Number(value)
+    case 'Date':
+      return new Date(value)
+    case 'RegExp':
+      return new RegExp(value.source, value.flags)
+    case 'Map':
+      return new Map(value.map(([k, v]) => [decode(k), decode(v)]))
+    case 'Set':
+      return new Set(value.map(decode))
+    case 'Object':
+      return decodeKeys(value, decode)
+    default:
+      throw new TypeError('cannot decode unknown $type: ' + x.$type)
+  }
+}
+
+/* prettier-ignore */
+/**
+ * @desc decodes a value encoded with deps/serialize/encode
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf serialize
+ *
+ * @param  {any} x encoded value
+ * @param  {Object} [context] {chain: envelope => chain} restores nested chains,
+ *                            else they are left as envelopes
+ * @return {any} decoded value
+ *
+ * @throws {TypeError} when the tag is unknown
+ *
+ * @see deps/serialize/encode
+ *
+ * @example
+ *
+ *    decode({$type: 'Set', value: ['eh']})
+ *    //=> new Set(['eh'])
+ *
+ *    decode({$type: 'RegExp', value: {source: 'eh', flags: 'g'}})
+ *    //=> /eh/g
+ *
+ *    decode({$type: 'Number', value: 'NaN'})
+ *    //=> NaN
+ *
+ */
+module.exports = function decode(x, context) {
+  const nested = val => decode(val, context)
+  if (isArray(x)) return x.map(nested)
+  if (!isObjPure(x)) return x
+  if (!x.$type) return decodeKeys(x, nested)
+  if (x.$type !== 'Chain') return decodeTagged(x, nested)
+
+  return context && context.chain ? context.chain(x.value) : x.value
+}
@@ -0,0 +1,185 @@
+const isArray = require('../is/array')
+const isDate = require('../is/date')
+const isRegExp = require('../is/regexp')
+const isMap = require('../is/map')
+const isSet = require('../is/set')
+const isObjPure = require('../is/objPure')
+const isUndefined = require('../is/undefined')
+const isFunction = require('../is/function')
+const isNumber = require('../is/number')
+const ArrayFrom = require('../util/from')
+const ObjectKeys = require('../util/keys')
+const hasOwnProperty = require('../util/hasOwnProperty')
+
+/**
+ * @desc plain objects that would be mistaken for a tagged value
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} obj object to check
+ * @return {boolean} needs escaping
+ *
+ * @example
+ *
+ *    isAmbiguous({$type: 'Date'})
+ *    //=> true
+ *
+ */
+const isAmbiguous = obj =>
+  hasOwnProperty(obj, '$type') || hasOwnProperty(obj, '$chain')
+
+/**
+ * @desc encodes the keys of an object, dropping functions
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} obj object to encode
+ * @param  {Function} encode encoder for the values
+ * @return {Object} encoded object
+ *
+ * @example
+ *
+ *    encodeKeys({eh: undefined, fn() {}}, encode)
+ *    //=> {eh: {$type: 'undefined'}}
+ *
+ */
+const encodeKeys = (obj, encode) => {
+  const encoded = {}
+  const keys = ObjectKeys(obj)
+  for (let k = 0; k < keys.length; k++) {
+    const val = obj[keys[k]]
+    if (!isFunction(val)) encoded[keys[k]] = encode(val)
+  }
+  return encoded
+}
+
+/**
+ * @desc chains are encoded as a nested envelope, not walked as objects
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {any} x value to check
+ * @return {boolean} has a .store & .serialize
+ *
+ * @example
+ *
+ *    isChain(new Chain())
+ *    //=> true
+ *
+ *    isChain({store: {}})
+ *    //=> false
+ *
+ */
+const isChain = x => isFunction(x.serialize) && !!x.store
+
+/**
+ * @desc envelope for a chain encoded outside of deps/serialize/envelope
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain to snapshot
+ * @return {Object} envelope
+ *
+ * @example
+ *
+ *    viaSerialize(new Chain().set('eh', true))
+ *    //=> {$chain: 1, type: 'ChainedMap', store: [['eh', true]], ...}
+ *
+ */
+const viaSerialize = chain => JSON.parse(chain.serialize())
+
+/**
+ * @desc encodes a value that can hold other values
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object | Array} x chain, Map, Set, Array or object
+ * @param  {Object} context {seen, envelope}
+ * @param  {Function} encode encoder for the values
+ * @return {any} JSON-safe value
+ *
+ * @example
+ *
+ *    encodeNested(new Set(['eh']), {seen: new Set()}, encode)
+ *    //=> {$type: 'Set', value: ['eh']}
+ *
+ */
+const encodeNested = (x, context, encode) => {
+  const nested = value => encode(value, context)
+
+  if (isChain(x)) {
+    const envelope = context.envelope || viaSerialize
+    return {$type: 'Chain', value: envelope(x, context)}
+  }
+  if (isMap(x)) {
+    return {
+      $type: 'Map',
+      value: ArrayFrom(x.entries()).map(([k, v]) => [nested(k), nested(v)]),
+    }
+  }
+  if (isSet(x)) return {$type: 'Set', value: ArrayFrom(x.values()).map(nested)}
+  if (isArray(x)) return x.map(nested)
+
+  const encoded = encodeKeys(x, nested)
+  return isAmbiguous(x) ? {$type: 'Object', value: encoded} : encoded
+}
+
+/* prettier-ignore */
+/**
+ * @desc encodes a value into a JSON-safe value,
+ *       Date, RegExp, Map, Set, undefined, NaN & Infinity
+ *       become tagged objects `{$type, value}`,
+ *       chains become `{$type: 'Chain', value: envelope}`
+ *       functions are dropped, like JSON.stringify does
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf serialize
+ *
+ * @param  {any} x value to encode
+ * @param  {Object} [context] {seen, envelope} shared while encoding nested values
+ * @return {any} JSON-safe value
+ *
+ * @throws {TypeError} when a value contains itself
+ *
+ * @see deps/serialize/decode
+ * @see deps/serialize/envelope
+ *
+ * @example
+ *
+ *    encode({at: new Date(0), tags: new Set(['eh']), max: Infinity})
+ *    //=> {
+ *      at: {$type: 'Date', value: '1970-01-01T00:00:00.000Z'},
+ *      tags: {$type: 'Set', value: ['eh']},
+ *      max: {$type: 'Number', value: 'Infinity'},
+ *    }
+ *
+ *    const eh = {}
+ *    eh.eh = eh
+ *    encode(eh)
+ *    //=> TypeError: cannot serialize a circular reference
+ *
+ */
+module.exports = function encode(x, context) {
+  if (isUndefined(x)) return {$type: 'undefined'}
+  if (isNumber(x) && !isFinite(x)) return {$type: 'Number', value: String(x)}
+  if (isDate(x)) return {$type: 'Date', value: x.toJSON()}
+  if (isRegExp(x)) {
+    return {$type: 'RegExp', value: {source: x.source, flags: x.flags}}
+  }
+  if (!isArray(x) && !isObjPure(x)) return x
+
+  const ctx = context || {seen: new Set()}
+  if (ctx.seen.has(x)) {
+    throw new TypeError('cannot serialize a circular reference')
+  }
+
+  ctx.seen.add(x)
+  const encoded = encodeNested(x, ctx, encode)
+  ctx.seen.delete(x)
+  return encoded
+}
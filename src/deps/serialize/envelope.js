@@ -0,0 +1,101 @@
+const isMap = require('../is/map')
+const isFunction = require('../is/function')
+const ignored = require('../ignored')
+const ArrayFrom = require('../util/from')
+const ObjectKeys = require('../util/keys')
+const SHORTHANDS_KEY = require('../meta/shorthands')
+const DECORATED_KEY = require('../meta/decorated')
+const VERSION = require('./version')
+const encode = require('./encode')
+
+/**
+ * @desc names recorded in a meta store
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain with .meta
+ * @param  {string} key meta key
+ * @return {Array<string>} names
+ *
+ * @example
+ *
+ *    metaNames(new Chain().extend(['eh']), 'shorthands')
+ *    //=> ['eh']
+ *
+ */
+const metaNames = (chain, key) => {
+  const store = chain.meta && chain.meta.store && chain.meta.store[key]
+  return store ? ArrayFrom(store.keys()) : []
+}
+
+/* prettier-ignore */
+/**
+ * @desc versioned, JSON-safe snapshot of a chain,
+ *       with the store (without function values),
+ *       chain-like properties & shorthand/decorated names
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf serialize
+ *
+ * @param  {ChainedMap | ChainedSet} chain chain to snapshot
+ * @param  {Object} [context] {seen, envelope} from deps/serialize/encode
+ * @return {Object} envelope {$chain, type, store, children, meta}
+ *
+ * @see deps/serialize/hydrate
+ * @see deps/serialize/encode
+ * @see ChainedMap.serialize
+ *
+ * @example
+ *
+ *    const chain = new Chain().extend(['eh']).eh(new Date(0))
+ *    chain.tags = new ChainedSet(chain).add('canada')
+ *
+ *    envelope(chain)
+ *    //=> {
+ *      $chain: 1,
+ *      type: 'ChainedMap',
+ *      store: [['eh', {$type: 'Date', value: '1970-01-01T00:00:00.000Z'}]],
+ *      children: {
+ *        tags: {$chain: 1, type: 'ChainedSet', store: ['canada'], ...},
+ *      },
+ *      meta: {shorthands: ['eh'], decorated: []},
+ *    }
+ *
+ */
+module.exports = function envelope(chain, context) {
+  const ctx = context || {seen: new Set([chain]), envelope}
+  const nested = value => encode(value, ctx)
+  const isMapStore = isMap(chain.store)
+
+  // functions are dropped, like the ones in nested objects
+  const store = isMapStore
+    ? ArrayFrom(chain.store.entries())
+      .filter(([k, v]) => !isFunction(v))
+      .map(([k, v]) => [nested(k), nested(v)])
+    : ArrayFrom(chain.store.values())
+      .filter(value => !isFunction(value))
+      .map(nested)
+
+  const children = {}
+  const keys = ObjectKeys(chain)
+  for (let k = 0; k < keys.length; k++) {
+    const key = keys[k]
+    const val = chain[key]
+    if (ignored(key) || !val || val === chain) continue
+    if (isFunction(val.serialize) && val.store) {
+      children[key] = envelope(val, ctx)
+    }
+  }
+
+  return {
+    $chain: VERSION,
+    type: isMapStore ? 'ChainedMap' : 'ChainedSet',
+    store,
+    children,
+    meta: {
+      shorthands: metaNames(chain, SHORTHANDS_KEY),
+      decorated: metaNames(chain, DECORATED_KEY),
+    },
+  }
+}
@@ -0,0 +1,105 @@
+const isMap = require('../is/map')
+const isFunction = require('../is/function')
+const ObjectKeys = require('../util/keys')
+const SHORTHANDS_KEY = require('../meta/shorthands')
+const DECORATED_KEY = require('../meta/decorated')
+const VERSION = require('./version')
+const decode = require('./decode')
+
+/**
+ * @desc restores shorthand methods & decorated names
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain to restore onto
+ * @param  {Object} meta envelope meta {shorthands, decorated}
+ * @return {void}
+ *
+ * @example
+ *
+ *    hydrateMeta(chain, {shorthands: ['eh'], decorated: []})
+ *    typeof chain.eh
+ *    //=> 'function'
+ *
+ */
+const hydrateMeta = (chain, meta) => {
+  const shorthands = meta.shorthands || []
+  const decorated = meta.decorated || []
+
+  for (let i = 0; i < shorthands.length; i++) {
+    const name = shorthands[i]
+    if (isFunction(chain[name])) continue
+    if (isFunction(chain.extend)) chain.extend([name])
+    else chain.meta(SHORTHANDS_KEY, name, name)
+  }
+  for (let i = 0; i < decorated.length; i++) {
+    chain.meta(DECORATED_KEY, decorated[i], decorated[i])
+  }
+}
+
+/* prettier-ignore */
+/**
+ * @desc restores an envelope onto a chain,
+ *       values are written to the store as they were serialized,
+ *       so transformers & dot-prop paths are not applied again
+ *
+ *       chain-like properties are reused when they exist,
+ *       else they are made with `create(type, parent)`,
+ *       as are chains that were stored as values
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf serialize
+ *
+ * @param  {ChainedMap | ChainedSet} chain chain to restore onto
+ * @param  {Object} env envelope from deps/serialize/envelope
+ * @param  {Function} create (type, parent) => chain for missing children
+ * @return {ChainedMap | ChainedSet} chain
+ *
+ * @throws {Error} when the envelope is from a newer version
+ *
+ * @see deps/serialize/envelope
+ * @see ChainedMap.from
+ *
+ * @example
+ *
+ *    const create = (type, parent) =>
+ *      type === 'ChainedSet' ? new ChainedSet(parent) : new Chain(parent)
+ *
+ *    hydrate(new Chain(), envelope(chain), create).entries(true)
+ *    //=> chain.entries(true)
+ *
+ */
+module.exports = function hydrate(chain, env, create) {
+  if (env.$chain > VERSION) {
+    throw new Error('unsupported serialized chain version: ' + env.$chain)
+  }
+
+  const context = {
+    chain: value => hydrate(create(value.type, chain), value, create),
+  }
+  const nested = value => decode(value, context)
+
+  const store = env.store || []
+  if (isMap(chain.store)) {
+    store.forEach(([k, v]) => chain.store.set(nested(k), nested(v)))
+  }
+  else {
+    store.forEach(v => chain.store.add(nested(v)))
+  }
+
+  if (env.meta) hydrateMeta(chain, env.meta)
+
+  const children = env.children || {}
+  const keys = ObjectKeys(children)
+  for (let k = 0; k < keys.length; k++) {
+    const key = keys[k]
+    const child = children[key]
+    if (!chain[key] || !isFunction(chain[key].serialize)) {
+      chain[key] = create(child.type, chain)
+    }
+    hydrate(chain[key], child, create)
+  }
+
+  return chain
+}
@@ -0,0 +1,24 @@
+const isObjPure = require('../is/objPure')
+const isNumber = require('../is/number')
+
+/**
+ * @desc checks if the value is a serialized chain envelope
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf serialize
+ *
+ * @param  {any} x value to check
+ * @return {boolean} isEnvelope
+ *
+ * @see deps/serialize/envelope
+ *
+ * @example
+ *
+ *    isEnvelope({$chain: 1, type: 'ChainedMap', store: []})
+ *    //=> true
+ *
+ *    isEnvelope({eh: true})
+ *    //=> false
+ *
+ */
+module.exports = x => isObjPure(x) && isNumber(x.$chain) && !!x.type
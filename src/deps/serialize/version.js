@@ -0,0 +1,18 @@
+/**
+ * @desc version of the serialized envelope,
+ *       bumped when the format changes in a way older readers cannot handle
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf serialize
+ * @type {number}
+ *
+ * @see deps/serialize/envelope
+ * @see deps/serialize/isEnvelope
+ *
+ * @example
+ *
+ *    new Chain().serialize()
+ *    //=> '{"$chain":1,"type":"ChainedMap",...}'
+ *
+ */
+module.exports = 1
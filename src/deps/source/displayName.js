@@ -0,0 +1,29 @@
+const hasOwnProperty = require('../util/hasOwnProperty')
+
+/**
+ * @desc name of the class that made an instance, for `new Name()` in source,
+ *       an own static `displayName` wins over the class name,
+ *       so composed chains are `Chain` & not the last extension (`DotProp`)
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf source
+ *
+ * @param  {Object} instance instance of a class
+ * @return {string} class name
+ *
+ * @see compose
+ *
+ * @example
+ *
+ *    displayName(new Chain())
+ *    //=> 'Chain'
+ *
+ *    class Canada extends Chain {}
+ *    displayName(new Canada())
+ *    //=> 'Canada'
+ *
+ */
+module.exports = instance => {
+  const Class = instance.constructor
+  return hasOwnProperty(Class, 'displayName') ? Class.displayName : Class.name
+}
@@ -0,0 +1,167 @@
+const isSet = require('../is/set')
+const isString = require('../is/string')
+const isFunction = require('../is/function')
+const ObjectKeys = require('../util/keys')
+const ObjectAssign = require('../util/assign')
+const ignored = require('../ignored')
+const SHORTHANDS_KEY = require('../meta/shorthands')
+const CHILDREN_KEY = require('../meta/children')
+const reorder = require('../order/reorder')
+const valueToSource = require('./valueToSource')
+const displayName = require('./displayName')
+
+const pad = depth => '  '.repeat(depth)
+
+/**
+ * @desc the keyed method of a `.child`, undefined when it is not keyed
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain parent chain
+ * @param  {string} name property of the child
+ * @return {string | undefined} method name
+ *
+ * @example
+ *
+ *    keyedMethod(chain.child('plugins', Plugin, {keyed: 'plugin'}), 'plugins')
+ *    //=> 'plugin'
+ *
+ */
+const keyedMethod = (chain, name) => {
+  const children = chain.meta.store[CHILDREN_KEY]
+  if (!children || !children.has(name)) return undefined
+
+  const registered = children.get(name)
+  return registered[registered.length - 1].keyed
+}
+
+/**
+ * @desc `.set(key, value)`, or the shorthand (from `.extend`) for the key
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain the key is in
+ * @param  {Primitive} key key in the store
+ * @param  {*} val value in the store
+ * @param  {Function} value (value) => source
+ * @return {string} source of the call, without indentation
+ *
+ * @example
+ *
+ *    setCall(new Chain().extend(['eh']), 'eh', true, valueToSource)
+ *    //=> '.eh(true)'
+ *
+ */
+const setCall = (chain, key, val, value) => {
+  const shorthands = chain.meta.store[SHORTHANDS_KEY]
+  const shorthand = shorthands && shorthands.get(key)
+  const method = shorthand && shorthand[shorthand.length - 1]
+
+  if (isString(method) && isFunction(chain[method])) {
+    return '.' + method + '(' + value(val) + ')'
+  }
+  return '.set(' + value(key) + ', ' + value(val) + ')'
+}
+
+/* prettier-ignore */
+/**
+ * @desc indented lines of the calls that make the chain,
+ *       children (& chain properties) are `.name` ... `.end()`
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain to print
+ * @param  {Object} options options for valueToSource
+ * @param  {number} depth indentation of the calls
+ * @return {Array<string>} lines
+ *
+ * @example
+ *
+ *    callLines(new Chain().set('eh', 1), {}, 1)
+ *    //=> ["  .set('eh', 1)"]
+ *
+ */
+const callLines = (chain, options, depth) => {
+  const indent = pad(depth)
+  const valueOptions = ObjectAssign({}, options, {depth, name: undefined})
+  const value = x => valueToSource(x, valueOptions)
+
+  if (isSet(chain.store)) {
+    return chain.values().map(x => indent + '.add(' + value(x) + ')')
+  }
+
+  reorder(chain)
+  const lines = []
+  chain.store.forEach((val, key) => {
+    lines.push(indent + setCall(chain, key, val, value))
+  })
+
+  const keyedCall = (keyed, key) => '.' + keyed + '(' + value(key) + ')'
+  const nest = (access, child) => {
+    const inner = callLines(child, options, depth + 1)
+    if (inner.length === 0) return
+    lines.push(indent + access)
+    lines.push.apply(lines, inner)
+    lines.push(pad(depth + 1) + '.end()')
+  }
+
+  const isChild = name => !ignored(name) && !!chain[name] && !!chain[name].store
+  ObjectKeys(chain).filter(isChild).forEach(name => {
+    const keyed = keyedMethod(chain, name)
+    if (keyed) {
+      chain[name].store.forEach((kid, key) => nest(keyedCall(keyed, key), kid))
+    }
+    else {
+      nest('.' + name, chain[name])
+    }
+  })
+
+  return lines
+}
+
+/* prettier-ignore */
+/**
+ * @desc readable JavaScript that makes the chain:
+ *       the fluent calls (using shorthands from `.extend`),
+ *       or, with `style: 'object'`, the object literal of `.toConfig`
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf source
+ *
+ * @param  {Chain} chain ChainedMap or ChainedSet
+ * @param  {Object} [options] {style: 'chain' | 'object', name = 'chain', serializers}
+ * @return {string} source
+ *
+ * @see deps/source/valueToSource
+ * @see ChainedMapBase.toSource
+ *
+ * @example
+ *
+ *    const chain = new Chain().extend(['mode']).child('output')
+ *    chain.mode('dev').output.set('path', 'dist')
+ *
+ *    toSource(chain)
+ *    //=> chain
+ *    //  .mode('dev')
+ *    //  .output
+ *    //    .set('path', 'dist')
+ *    //    .end()
+ *
+ *    toSource(chain, {style: 'object'})
+ *    //=> {mode: 'dev', output: {path: 'dist'}}
+ *
+ */
+module.exports = (chain, options) => {
+  const opts = ObjectAssign({}, options)
+  const depth = opts.depth || 0
+
+  if (opts.style === 'object') return valueToSource(chain.toConfig(), opts)
+
+  // chains in the store are made where they are
+  const made = 'new ' + displayName(chain) + '()'
+  const name = opts.name || (depth === 0 ? 'chain' : made)
+  return [name].concat(callLines(chain, opts, depth + 1)).join('\n')
+}
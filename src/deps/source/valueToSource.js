@@ -0,0 +1,266 @@
+const isArray = require('../is/array')
+const isDate = require('../is/date')
+const isFunction = require('../is/function')
+const isMap = require('../is/map')
+const isRegExp = require('../is/regexp')
+const isSet = require('../is/set')
+const isString = require('../is/string')
+const isSymbol = require('../is/symbol')
+const toS = require('../is/toS')
+const ObjectKeys = require('../util/keys')
+const ObjectAssign = require('../util/assign')
+const ArrayFrom = require('../util/from')
+const displayName = require('./displayName')
+
+// lists longer than this are on multiple lines
+const INLINE = 60
+
+const pad = depth => '  '.repeat(depth)
+
+/**
+ * @desc a single quoted string literal
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {string} str string to quote
+ * @return {string} source
+ *
+ * @example
+ *
+ *    quote("eh 'canada'")
+ *    //=> "'eh \\'canada\\''"
+ *
+ */
+const quote = str => {
+  const escaped = JSON.stringify(str).slice(1, -1)
+  return '\'' + escaped.replace(/\\"/g, '"').replace(/'/g, '\\\'') + '\''
+}
+
+// `Symbol(eh)` -> `eh`
+const symbolName = symbol => String(symbol).slice(7, -1)
+
+// identifiers as they are, anything else quoted
+const keyOf = key => ((/^[A-Za-z_$][\w$]*$/).test(key) ? key : quote(key))
+
+/**
+ * @desc a list on one line when it is short, otherwise one item per line
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Array<string>} items source of each item
+ * @param  {string} open `[` or `{`
+ * @param  {string} close `]` or `}`
+ * @param  {number} depth indentation of the list
+ * @return {string} source
+ *
+ * @example
+ *
+ *    list(['1', '2'], '[', ']', 0)
+ *    //=> '[1, 2]'
+ *
+ */
+const list = (items, open, close, depth) => {
+  if (items.length === 0) return open + close
+
+  const inline = open + items.join(', ') + close
+  const isShort = inline.length <= INLINE && !inline.includes('\n')
+  if (isShort) return inline
+
+  const lines = items.map(item => pad(depth + 1) + item + ',\n')
+  return open + '\n' + lines.join('') + pad(depth) + close
+}
+
+/**
+ * @desc `{key: value}` for each own enumerable property
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} obj object to print
+ * @param  {Function} nested (value) => source, one level deeper
+ * @param  {number} depth indentation of the object
+ * @return {string} source
+ *
+ * @example
+ *
+ *    objectLiteral({eh: true}, String, 0)
+ *    //=> '{eh: true}'
+ *
+ */
+const objectLiteral = (obj, nested, depth) => {
+  const props = ObjectKeys(obj).map(
+    key => keyOf(key) + ': ' + nested(obj[key])
+  )
+  return list(props, '{', '}', depth)
+}
+
+/**
+ * @desc class instances are made & assigned their properties
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} instance instance of a class
+ * @param  {Function} nested (value) => source, one level deeper
+ * @param  {number} depth indentation of the instance
+ * @return {string} source
+ *
+ * @example
+ *
+ *    instanceSource(new HtmlPlugin(), String, 0)
+ *    //=> 'new HtmlPlugin()'
+ *
+ *    instanceSource(Object.assign(new HtmlPlugin(), {eh: 1}), String, 0)
+ *    //=> 'Object.assign(new HtmlPlugin(), {eh: 1})'
+ *
+ */
+const instanceSource = (instance, nested, depth) => {
+  const made = 'new ' + displayName(instance) + '()'
+  if (ObjectKeys(instance).length === 0) return made
+
+  const props = objectLiteral(instance, nested, depth)
+  return 'Object.assign(' + made + ', ' + props + ')'
+}
+
+/**
+ * @desc source of primitives & functions
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {*} value value that is not an object
+ * @return {string} source
+ *
+ * @example
+ *
+ *    primitiveSource('eh')
+ *    //=> "'eh'"
+ *
+ */
+const primitiveSource = value => {
+  if (isString(value)) return quote(value)
+  if (isSymbol(value)) return 'Symbol(' + quote(symbolName(value)) + ')'
+  return isFunction(value) ? value.toString() : String(value)
+}
+
+/**
+ * @desc source of built-in objects, undefined for anything else
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} value object to print
+ * @param  {Function} nested (value) => source, one level deeper
+ * @param  {number} depth indentation of the value
+ * @return {string | undefined} source
+ *
+ * @example
+ *
+ *    builtIn(/eh/g, String, 0)
+ *    //=> '/eh/g'
+ *
+ */
+const builtIn = (value, nested, depth) => {
+  if (isRegExp(value)) return value.toString()
+  if (isDate(value)) return 'new Date(' + quote(value.toJSON() || '') + ')'
+  if (isArray(value)) return list(value.map(nested), '[', ']', depth)
+  if (isSet(value)) return 'new Set(' + nested(ArrayFrom(value)) + ')'
+  if (isMap(value)) return 'new Map(' + nested(ArrayFrom(value)) + ')'
+  return undefined
+}
+
+/**
+ * @desc source of an object, after serializers
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} value object to print
+ * @param  {Function} nested (value) => source, one level deeper
+ * @param  {Object} options options, with the depth of the object
+ * @return {string} source
+ *
+ * @example
+ *
+ *    objectSource({eh: true}, String, {depth: 0})
+ *    //=> '{eh: true}'
+ *
+ */
+const objectSource = (value, nested, options) => {
+  const depth = options.depth
+  const source = builtIn(value, nested, depth)
+  if (source !== undefined) return source
+  if (isFunction(value.toSource)) return value.toSource(options)
+
+  // boxed primitives, errors & other tagged objects
+  if (toS(value) !== '[object Object]') return String(value)
+
+  const isPlain = !value.constructor || value.constructor === Object
+  return isPlain
+    ? objectLiteral(value, nested, depth)
+    : instanceSource(value, nested, depth)
+}
+
+/* prettier-ignore */
+/**
+ * @desc readable JavaScript for a value:
+ *       literals, RegExps, Dates, functions (their source), Maps & Sets,
+ *       object literals & class instances (`Object.assign(new Class(), {...})`),
+ *       values with `.toSource` (such as chains) use it
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf source
+ *
+ * @param  {*} value value to print
+ * @param  {Object} [options] {serializers: [(value, nested) => source | undefined], depth}
+ * @return {string} source
+ *
+ * @NOTE serializers are tried first, returning undefined skips to the next
+ * @NOTE circular references are `undefined /* circular *\/`
+ *
+ * @see deps/source/toSource
+ *
+ * @example
+ *
+ *    valueToSource({eh: [1, 'canada'], re: /eh/})
+ *    //=> "{eh: [1, 'canada'], re: /eh/}"
+ *
+ *    valueToSource(new Date(0))
+ *    //=> "new Date('1970-01-01T00:00:00.000Z')"
+ *
+ *    valueToSource(new Plugin(), {
+ *      serializers: [x => x instanceof Plugin ? "require('plugin')()" : undefined],
+ *    })
+ *    //=> "require('plugin')()"
+ *
+ */
+const valueToSource = (value, options) => {
+  const opts = options || {}
+  const depth = opts.depth || 0
+  const seen = opts.seen || []
+  const serializers = opts.serializers || []
+
+  if (seen.includes(value)) return 'undefined /* circular */'
+
+  const deeper = ObjectAssign({}, opts, {depth: depth + 1, seen})
+  const nested = x => valueToSource(x, deeper)
+
+  for (let s = 0; s < serializers.length; s++) {
+    const custom = serializers[s](value, nested)
+    if (custom !== undefined) return custom
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return primitiveSource(value)
+  }
+
+  seen.push(value)
+  const source = objectSource(value, nested, ObjectAssign({}, opts, {depth}))
+  seen.pop()
+
+  return source
+}
+
+module.exports = valueToSource
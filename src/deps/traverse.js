@@ -67,7 +67,7 @@ module.exports = traverse
  * @types traverse
  * @tests traverse/*
  *
- * @TODO: symbol, map, set
+ * @TODO: symbol, map, set (compared in traversers/eq, but not walked)
  * @tutorial https://github.com/substack/js-traverse
  *
  * @param {Traversable} obj any traversable value
@@ -0,0 +1,135 @@
+const traverse = require('../traverse')
+const isArray = require('../is/array')
+const isObjPure = require('../is/objPure')
+const getPrototypeOf = require('../util/getPrototypeOf')
+const eq = require('./eq')
+
+/**
+ * @desc only arrays & plain objects are diffed by key,
+ *       anything else (Date, RegExp, Map, class instances) is replaced
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {any} x value to check
+ * @return {string | undefined} 'array' | 'object' | undefined
+ *
+ * @example
+ *
+ *    containerKind([])          //=> 'array'
+ *    containerKind({})          //=> 'object'
+ *    containerKind(new Date())  //=> undefined
+ *
+ */
+const containerKind = x => {
+  if (isArray(x)) return 'array'
+  if (!isObjPure(x)) return undefined
+
+  const proto = getPrototypeOf(x)
+  return proto === Object.prototype || proto === null ? 'object' : undefined
+}
+
+/**
+ * @desc escapes path segments as a JSON Pointer (RFC 6901)
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Array<string>} path path segments from traverse
+ * @return {string} pointer
+ *
+ * @example
+ *
+ *    toPointer(['canada', 'a/b', 'c~d'])
+ *    //=> '/canada/a~1b/c~0d'
+ *
+ */
+const toPointer = path =>
+  path
+    .map(key => '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('')
+
+/* prettier-ignore */
+/**
+ * @desc structural diff of 2 values, as JSON Patch (RFC 6902) operations,
+ *       applying them to `a` (in order) results in `b`
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf traverse
+ * @types traverse
+ * @tests traverse/diff
+ *
+ * @param  {any} a from
+ * @param  {any} b to
+ * @return {Array<Object>} operations [{op, path, value}]
+ *
+ * @NOTE removals come first, last to first,
+ *       so array indexes are still valid for the rest of the operations
+ *
+ * @see deps/traverse
+ * @see deps/traversers/eq
+ * @see deps/traversers/patch
+ * @see https://tools.ietf.org/html/rfc6902
+ *
+ * @example
+ *
+ *    diff({eh: 1, canada: [1]}, {eh: 2, canada: [1, 2], igloo: true})
+ *    //=> [
+ *      {op: 'replace', path: '/eh', value: 2},
+ *      {op: 'add', path: '/canada/1', value: 2},
+ *      {op: 'add', path: '/igloo', value: true},
+ *    ]
+ *
+ * @example
+ *
+ *    diff({eh: 1, oh: 2}, {eh: 1})
+ *    //=> [{op: 'remove', path: '/oh'}]
+ *
+ *    diff({eh: 1}, {eh: 1})
+ *    //=> []
+ *
+ */
+module.exports = function diff(a, b) {
+  const rootKind = containerKind(a)
+  if (!rootKind || rootKind !== containerKind(b)) {
+    if (eq(a, b)) return []
+    return [{op: 'replace', path: '', value: traverse(b).clone()}]
+  }
+
+  const from = traverse(a)
+  const to = traverse(b)
+  const removals = []
+  const changes = []
+
+  from.forEach(function() {
+    if (this.isRoot) return
+    if (!to.has(this.path)) {
+      removals.unshift({op: 'remove', path: toPointer(this.path)})
+      this.block()
+    }
+  })
+
+  to.forEach(function(y) {
+    if (this.isRoot) return
+
+    const path = toPointer(this.path)
+    if (!from.has(this.path)) {
+      changes.push({op: 'add', path, value: traverse(y).clone()})
+      this.block()
+      return
+    }
+
+    const x = from.get(this.path)
+    const kind = containerKind(x)
+
+    // same kind of container, compare the children instead
+    if (kind && kind === containerKind(y)) return
+
+    if (!eq(x, y)) {
+      changes.push({op: 'replace', path, value: traverse(y).clone()})
+    }
+    this.block()
+  })
+
+  return removals.concat(changes)
+}
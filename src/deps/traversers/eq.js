@@ -14,7 +14,12 @@ const isDate = require('../is/date')
 const isObjStrict = require('../is/objStrict')
 const isObjLoose = require('../is/objLoose')
 const isEqEq = require('../is/eqeq')
+const isMap = require('../is/map')
+const isSet = require('../is/set')
+const isUndefined = require('../is/undefined')
 const toS = require('../is/toS')
+const ArrayFrom = require('../util/from')
+const isEnumerable = require('../is/enumerable')
 const ENV_DEBUG = require('../env/debug')
 
 // const isFunction = require('../is/function')
@@ -25,88 +30,143 @@ const ENV_DEBUG = require('../env/debug')
 // const isArguments = x => toS(x) === '[object Arguments]'
 // const sameKeysLength = (x, y) => Object.keys(x).length === Object.keys(y).length
 
-/* prettier-ignore */
+const getOwnPropertySymbols = Object.getOwnPropertySymbols
+
+// boxed primitives, `new Number(1)`, compared by .valueOf
+const BOXED = [
+  '[object Number]',
+  '[object String]',
+  '[object Boolean]',
+  '[object Symbol]',
+]
+const isBoxed = kind => BOXED.includes(kind)
+
+// compared byte by byte
+const BYTES = ['[object ArrayBuffer]', '[object DataView]']
+const isBytes = kind => BYTES.includes(kind)
+
 /**
- * @desc deep traversal of nodes to compare any data types
- *       does not check reference, only value equality
+ * @desc own enumerable symbol keys, ObjectKeys does not include them
+ * @private
+ * @since 4.0.0-beta.3
+ * @param  {Object} obj object with keys
+ * @return {Array<Symbol>} symbols
  *
- * @since 3.0.0
- * @symb ⚖️
- * @memberOf traverse
- * @types traverse
- * @tests traverse/equals
+ * @example
  *
- * @param  {any} a compare a with b
- * @param  {any} b compare b with a
- * @param  {boolean} [loose=false] whether to do looser equals check
- * @return {boolean} isEqual
+ *    symbolKeys({[Symbol.iterator]: 1})
+ *    //=> [Symbol.iterator]
  *
- * @see traverse
+ */
+const symbolKeys = obj =>
+  getOwnPropertySymbols(obj).filter(key => isEnumerable(obj, key))
+
+/**
+ * @private
+ * @since 4.0.0-beta.3
+ * @param  {Array} arr array to search
+ * @param  {Function} fn predicate
+ * @return {number} index, or -1
  *
  * @example
  *
- *    eq(1, 1)
- *    //=> true
+ *    findIndex([1, 2], x => x === 2)
+ *    //=> 1
  *
- *    eq(true, false)
- *    //=> false
- *
- *    eq({}, {})
- *    //=> true
+ */
+const findIndex = (arr, fn) => {
+  for (let i = 0; i < arr.length; i++) {
+    if (fn(arr[i])) return i
+  }
+  return -1
+}
+
+/**
+ * @private
+ * @since 4.0.0-beta.3
+ * @param  {ArrayBuffer | DataView} x buffer or view
+ * @return {Uint8Array} bytes
  *
  * @example
  *
- *    eq(
- *      {d: new Date(0, 0, 0, 0), x: [1, 2, 3]},
- *      {d: new Date(0, 0, 0, 0), x: [1, 2, 3]}
- *    )
- *    //=> true
+ *    toBytes(new ArrayBuffer(2))
+ *    //=> Uint8Array [0, 0]
  *
- *    eq([new RegExp('x')], [/x/])
- *    //=> true
- *
- *    eq([new String('x')], ['x'])
- *    //=> true
+ */
+const toBytes = x => {
+  if (x.buffer) return new Uint8Array(x.buffer, x.byteOffset, x.byteLength)
+  return new Uint8Array(x)
+}
+
+const byteAt = (x, index) => toBytes(x)[index]
+
+/**
+ * @desc index of the first different byte
+ * @private
+ * @since 4.0.0-beta.3
+ * @param  {ArrayBuffer | DataView} x buffer or view
+ * @param  {ArrayBuffer | DataView} y buffer or view
+ * @return {number} index, or -1 when equal
  *
- *    eq([new Boolean(false)], [false])
- *    //=> true
+ * @example
  *
- *    eq([undefined], [null]) || eq(undefined, null)
- *    //=> false
+ *    bytesMismatch(new ArrayBuffer(2), new ArrayBuffer(2))
+ *    //=> -1
  *
- * @example
+ */
+const bytesMismatch = (x, y) => {
+  const xBytes = toBytes(x)
+  const yBytes = toBytes(y)
+  const length = Math.max(xBytes.length, yBytes.length)
+  for (let i = 0; i < length; i++) {
+    if (xBytes[i] !== yBytes[i]) return i
+  }
+  return -1
+}
+
+/* prettier-ignore */
+/**
+ * @desc traverses `a`, following along in `b`,
+ *       stopping at the first difference
  *
- *     var xs = [1, 2, 3, 4]
- *     delete xs[2]
+ * @private
+ * @since 4.0.0-beta.3
  *
- *     var ys = Object.create(Array.prototype)
- *     ys[0] = 1
- *     ys[1] = 2
- *     ys[3] = 4
+ * @param  {any} a compare a with b
+ * @param  {any} b compare b with a
+ * @param  {boolean} [loose=false] whether to do looser equals check
+ * @param  {Array<Array>} seen [a, b] pairs already being compared
+ * @return {Object | undefined} {path, a, b}, undefined when equal
  *
- *     eq(xs, ys)
- *     //=> true
+ * @example
  *
- *     eq(xs, [1, 2, undefined, 4])
- *     //=> false
+ *    compare({eh: 1}, {eh: 2}, false, [])
+ *    //=> {path: ['eh'], a: 1, b: 2}
  *
  */
-module.exports = function(a, b, loose) {
-  let equal = true
+function compare(a, b, loose, seen) {
+  let mismatch
   let node = b
 
   traverse(a).forEach(function(y) {
-    const notEqual = function() {
-      equal = false
-      // this.stop();
-      // return undefined;
+    // first mismatch wins, stop traversing
+    const notEqual = (path, aValue, bValue) => {
+      mismatch = {path: this.path.concat(path), a: aValue, b: bValue}
+      this.stop()
+    }
+
+    // nested comparison (Map values, Set members, Symbol keys)
+    const notEqualNested = (key, nested) => {
+      if (isUndefined(nested)) return false
+      notEqual([key].concat(nested.path), nested.a, nested.b)
+      return true
     }
 
     // if (node === undefined || node === null) return notEqual();
     if (!this.isRoot) {
       // if (!Object.hasOwnProperty.call(node, this.key)) return notEqual()
       if (!isObjLoose(node)) {
-        return notEqual()
+        return notEqual([], y, undefined)
       }
       node = node[this.key]
     }
@@ -130,12 +190,12 @@ module.exports = function(a, b, loose) {
         console.log('circular', this)
       }
       if (traverse(b).get(this.circular.path) !== x) {
-        notEqual()
+        notEqual([], y, x)
       }
     }
     else if (isNullOrUndefined(x) || isNullOrUndefined(y)) {
       if (x !== y) {
-        notEqual()
+        notEqual([], y, x)
       }
     }
     else if (typeof x !== typeof y) {
@@ -147,11 +207,11 @@ module.exports = function(a, b, loose) {
         // ignore
       }
       else {
-        notEqual()
+        notEqual([], y, x)
       }
     }
     else if (x.__proto__ !== y.__proto__) {
-      notEqual()
+      notEqual([], y, x)
     }
     else if (x === y) {
       // nop
@@ -175,9 +235,19 @@ module.exports = function(a, b, loose) {
       //     notEqual()
       //   }
       // }
+
+      // x & y are the same type here, because of the __proto__ check
+      const kind = toS(x)
+
+      // already comparing these 2 (a Map containing itself)
+      for (let i = 0; i < seen.length; i++) {
+        if (seen[i][0] === y && seen[i][1] === x) return
+      }
+      const nested = seen.concat([[y, x]])
+
       if (isRegExp(x) || isRegExp(y)) {
         if (!x || !y || x.toString() !== y.toString()) {
-          notEqual()
+          notEqual([], y, x)
         }
       }
       else if (isDate(x) || isDate(y)) {
@@ -186,21 +256,74 @@ module.exports = function(a, b, loose) {
           !(isDate(y)) ||
           x.getTime() !== y.getTime()
         ) {
-          notEqual()
+          notEqual([], y, x)
         }
       }
+      else if (isBoxed(kind)) {
+        if (y.valueOf() !== x.valueOf()) notEqual([], y, x)
+      }
+      else if (isBytes(kind)) {
+        const index = bytesMismatch(y, x)
+        if (index !== -1) notEqual([index], byteAt(y, index), byteAt(x, index))
+      }
+      else if (isMap(x)) {
+        // keys are compared by reference (like Map.has), values deeply
+        const entries = ArrayFrom(y.entries())
+        for (let e = 0; e < entries.length; e++) {
+          const key = entries[e][0]
+          if (!x.has(key)) return notEqual([key], entries[e][1], undefined)
+          const found = compare(entries[e][1], x.get(key), loose, nested)
+          if (notEqualNested(key, found)) return
+        }
+        if (x.size !== y.size) {
+          const extra = ArrayFrom(x.keys()).filter(key => !y.has(key))[0]
+          notEqual([extra], undefined, x.get(extra))
+        }
+      }
+      else if (isSet(x)) {
+        // members are found by reference first, then deeply
+        const members = ArrayFrom(x)
+        const ys = ArrayFrom(y)
+        for (let m = 0; m < ys.length; m++) {
+          const member = ys[m]
+          const index = x.has(member)
+            ? findIndex(members, other => other === member)
+            : findIndex(members, other =>
+                isUndefined(compare(member, other, loose, nested))
+              )
+
+          if (index === -1) return notEqual([], member, undefined)
+          members.splice(index, 1)
+        }
+        if (members.length !== 0) notEqual([], undefined, members[0])
+      }
       else {
         // @NOTE: it will traverse through values if they are == here
         const xKeys = ObjectKeys(x)
-        const yKeys = ObjectKeys(y).length
-        if (xKeys.length !== yKeys) {
-          return notEqual()
-        }
-        for (let k = 0; k < xKeys.length; k++) {
-          if (!hasOwnProperty(y, xKeys[k])) {
-            notEqual()
+        const yKeys = ObjectKeys(y)
+        for (let k = 0; k < yKeys.length; k++) {
+          if (!hasOwnProperty(x, yKeys[k])) {
+            return notEqual([yKeys[k]], y[yKeys[k]], undefined)
           }
         }
+        if (xKeys.length !== yKeys.length) {
+          const extra = xKeys.filter(key => !hasOwnProperty(y, key))[0]
+          return notEqual([extra], undefined, x[extra])
+        }
+
+        // symbol keys are not traversed, compare them here
+        const xSymbols = symbolKeys(x)
+        const ySymbols = symbolKeys(y)
+        for (let k = 0; k < ySymbols.length; k++) {
+          const key = ySymbols[k]
+          if (!hasOwnProperty(x, key)) return notEqual([key], y[key], undefined)
+          const found = compare(y[key], x[key], loose, nested)
+          if (notEqualNested(key, found)) return
+        }
+        if (xSymbols.length !== ySymbols.length) {
+          const extra = xSymbols.filter(key => !hasOwnProperty(y, key))[0]
+          notEqual([extra], undefined, x[extra])
+        }
       }
     }
     // isString(x) || isBoolean(x) || isNumber(x) || isIterator(x)
@@ -209,16 +332,135 @@ module.exports = function(a, b, loose) {
       if (ENV_DEBUG) {
         console.log('same str types - diff values', {s: toS(x), x, y})
       }
-      notEqual()
+      notEqual([], y, x)
     }
     else if (toS(x) !== toS(y)) {
       /* istanbul ignore next: dev */
       if (ENV_DEBUG) {
         console.log('diff str types', {x: toS(x), y: toS(y)})
       }
-      notEqual()
+      notEqual([], y, x)
     }
   })
 
-  return equal
+  return mismatch
 }
+
+/* prettier-ignore */
+/**
+ * @desc deep traversal of nodes to compare any data types
+ *       does not check reference, only value equality
+ *
+ * @since 4.0.0-beta.3 <- Map, Set, ArrayBuffer, typed arrays,
+ *                        Symbol keys, boxed primitives
+ * @since 3.0.0
+ * @symb ⚖️
+ * @memberOf traverse
+ * @types traverse
+ * @tests traverse/equals
+ *
+ * @param  {any} a compare a with b
+ * @param  {any} b compare b with a
+ * @param  {boolean} [loose=false] whether to do looser equals check
+ * @return {boolean} isEqual
+ *
+ * @see traverse
+ * @see eq.explain
+ *
+ * @example
+ *
+ *    eq(1, 1)
+ *    //=> true
+ *
+ *    eq(true, false)
+ *    //=> false
+ *
+ *    eq({}, {})
+ *    //=> true
+ *
+ * @example
+ *
+ *    eq(
+ *      {d: new Date(0, 0, 0, 0), x: [1, 2, 3]},
+ *      {d: new Date(0, 0, 0, 0), x: [1, 2, 3]}
+ *    )
+ *    //=> true
+ *
+ *    eq([new RegExp('x')], [/x/])
+ *    //=> true
+ *
+ *    eq([new String('x')], ['x'])
+ *    //=> false
+ *
+ *    eq(new String('x'), new String('x'))
+ *    //=> true
+ *
+ *    eq([undefined], [null]) || eq(undefined, null)
+ *    //=> false
+ *
+ * @example
+ *
+ *     var xs = [1, 2, 3, 4]
+ *     delete xs[2]
+ *
+ *     var ys = Object.create(Array.prototype)
+ *     ys[0] = 1
+ *     ys[1] = 2
+ *     ys[3] = 4
+ *
+ *     eq(xs, ys)
+ *     //=> true
+ *
+ *     eq(xs, [1, 2, undefined, 4])
+ *     //=> false
+ *
+ * @example
+ *
+ *    eq(new Map([['eh', {igloo: true}]]), new Map([['eh', {igloo: true}]]))
+ *    //=> true
+ *
+ *    eq(new Set([{eh: 1}]), new Set([{eh: 2}]))
+ *    //=> false
+ *
+ *    eq(new Uint8Array([1, 2]), new Uint8Array([1, 3]))
+ *    //=> false
+ *
+ */
+function eq(a, b, loose) {
+  return isUndefined(compare(a, b, loose, []))
+}
+
+/* prettier-ignore */
+/**
+ * @desc the first difference between 2 values,
+ *       for failure messages when `eq` is false
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf traverse
+ * @types traverse
+ * @tests traverse/equals
+ *
+ * @param  {any} a compare a with b
+ * @param  {any} b compare b with a
+ * @param  {boolean} [loose=false] whether to do looser equals check
+ * @return {Object | undefined} {path, a, b}, undefined when equal
+ *
+ * @NOTE for Sets, `path` is the Set, and `a` | `b` is the member not found
+ *
+ * @see eq
+ *
+ * @example
+ *
+ *    eq.explain({canada: {eh: 1}}, {canada: {eh: 2}})
+ *    //=> {path: ['canada', 'eh'], a: 1, b: 2}
+ *
+ *    eq.explain({eh: new Map([['igloo', 1]])}, {eh: new Map()})
+ *    //=> {path: ['eh', 'igloo'], a: 1, b: undefined}
+ *
+ *    eq.explain({eh: 1}, {eh: 1})
+ *    //=> undefined
+ *
+ */
+eq.explain = (a, b, loose) => compare(a, b, loose, [])
+
+module.exports = eq
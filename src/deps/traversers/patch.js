@@ -0,0 +1,244 @@
+const traverse = require('../traverse')
+const isArray = require('../is/array')
+const isObjLoose = require('../is/objLoose')
+const eq = require('./eq')
+
+/**
+ * @desc JSON Pointer (RFC 6901) to path segments
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {string} pointer JSON Pointer
+ * @return {Array<string>} path segments
+ *
+ * @example
+ *
+ *    fromPointer('/canada/a~1b/c~0d')
+ *    //=> ['canada', 'a/b', 'c~d']
+ *
+ */
+const fromPointer = pointer => {
+  if (pointer === '') return []
+  if (pointer.charAt(0) !== '/') {
+    throw new Error('invalid JSON Pointer: ' + pointer)
+  }
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+/**
+ * @desc the parent of the path, throws when it cannot be added to
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object | Array} doc document
+ * @param  {Array<string>} path path segments
+ * @param  {string} pointer for the error
+ * @return {Object | Array} parent
+ *
+ * @example
+ *
+ *    parentOf({canada: {eh: 1}}, ['canada', 'eh'], '/canada/eh')
+ *    //=> {eh: 1}
+ *
+ */
+const parentOf = (doc, path, pointer) => {
+  const parent = traverse(doc).get(path.slice(0, -1))
+  if (!isObjLoose(parent)) {
+    throw new Error('path does not exist: ' + pointer)
+  }
+  return parent
+}
+
+/**
+ * @desc array index for the last segment, `-` is the end of the array
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Array} arr parent array
+ * @param  {string} key last path segment
+ * @param  {number} max largest valid index
+ * @param  {string} pointer for the error
+ * @return {number} index
+ *
+ * @example
+ *
+ *    toIndex([1, 2], '-', 2, '/-')
+ *    //=> 2
+ *
+ */
+const toIndex = (arr, key, max, pointer) => {
+  const index = key === '-' ? arr.length : Number(key)
+  if (!(/^(\d+|-)$/).test(key) || index > max) {
+    throw new Error('invalid array index: ' + pointer)
+  }
+  return index
+}
+
+/**
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {any} doc document
+ * @param  {string} pointer JSON Pointer
+ * @param  {any} value value to add
+ * @return {any} document
+ *
+ * @example
+ *
+ *    add([1, 3], '/1', 2)
+ *    //=> [1, 2, 3]
+ *
+ */
+const add = (doc, pointer, value) => {
+  const path = fromPointer(pointer)
+  if (path.length === 0) return value
+
+  const parent = parentOf(doc, path, pointer)
+  const key = path[path.length - 1]
+
+  if (isArray(parent)) {
+    parent.splice(toIndex(parent, key, parent.length, pointer), 0, value)
+  }
+  else {
+    parent[key] = value
+  }
+  return doc
+}
+
+/**
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {any} doc document
+ * @param  {string} pointer JSON Pointer
+ * @return {any} document
+ *
+ * @example
+ *
+ *    remove({eh: 1, oh: 2}, '/oh')
+ *    //=> {eh: 1}
+ *
+ */
+const remove = (doc, pointer) => {
+  const path = fromPointer(pointer)
+  if (path.length === 0) return undefined
+
+  if (!traverse(doc).has(path)) {
+    throw new Error('path does not exist: ' + pointer)
+  }
+
+  const parent = parentOf(doc, path, pointer)
+  const key = path[path.length - 1]
+
+  if (isArray(parent)) {
+    parent.splice(toIndex(parent, key, parent.length - 1, pointer), 1)
+  }
+  else {
+    delete parent[key]
+  }
+  return doc
+}
+
+/**
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {any} doc document
+ * @param  {string} pointer JSON Pointer
+ * @return {any} value at the path
+ *
+ * @example
+ *
+ *    valueAt({canada: {eh: 1}}, '/canada/eh')
+ *    //=> 1
+ *
+ */
+const valueAt = (doc, pointer) => {
+  const path = fromPointer(pointer)
+  if (!traverse(doc).has(path)) {
+    throw new Error('path does not exist: ' + pointer)
+  }
+  return traverse(doc).get(path)
+}
+
+/* prettier-ignore */
+/**
+ * @desc apply JSON Patch (RFC 6902) operations,
+ *       `add`, `remove`, `replace`, `move`, `copy` & `test`
+ *       does not mutate `obj`, it is cloned first
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf traverse
+ * @types traverse
+ * @tests traverse/diff
+ *
+ * @param  {any} obj document to patch
+ * @param  {Array<Object>} ops operations [{op, path, value, from}]
+ * @return {any} patched document
+ *
+ * @throws {Error} when a path does not exist, or a `test` fails
+ *
+ * @see deps/traverse
+ * @see deps/traversers/diff
+ * @see https://tools.ietf.org/html/rfc6902
+ *
+ * @example
+ *
+ *    applyPatch({eh: 1}, [
+ *      {op: 'replace', path: '/eh', value: 2},
+ *      {op: 'add', path: '/canada', value: [1]},
+ *      {op: 'add', path: '/canada/-', value: 2},
+ *    ])
+ *    //=> {eh: 2, canada: [1, 2]}
+ *
+ * @example
+ *
+ *    applyPatch({eh: 1}, [{op: 'test', path: '/eh', value: 2}])
+ *    //=> throws Error
+ *
+ */
+module.exports = function applyPatch(obj, ops) {
+  let doc = traverse(obj).clone()
+
+  for (let i = 0; i < ops.length; i++) {
+    const operation = ops[i]
+    const {op, path, from} = operation
+    const value = traverse(operation.value).clone()
+
+    switch (op) {
+      case 'add':
+        doc = add(doc, path, value)
+        break
+      case 'remove':
+        doc = remove(doc, path)
+        break
+      case 'replace':
+        valueAt(doc, path)
+        doc = add(remove(doc, path), path, value)
+        break
+      case 'move': {
+        const moved = valueAt(doc, from)
+        doc = add(remove(doc, from), path, moved)
+        break
+      }
+      case 'copy':
+        doc = add(doc, path, traverse(valueAt(doc, from)).clone())
+        break
+      case 'test':
+        if (!eq(valueAt(doc, path), value)) {
+          throw new Error('test failed: ' + path)
+        }
+        break
+      default:
+        throw new Error('unknown JSON Patch operation: ' + op)
+    }
+  }
+
+  return doc
+}
@@ -0,0 +1,21 @@
+/**
+ * @desc a property (or method) name in a declaration,
+ *       identifiers as they are, anything else quoted
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf typescript
+ *
+ * @param  {string} key property name
+ * @return {string} key to declare
+ *
+ * @example
+ *
+ *    keyOf('eh')
+ *    //=> 'eh'
+ *
+ *    keyOf('eh-canada')
+ *    //=> '"eh-canada"'
+ *
+ */
+module.exports = key =>
+  ((/^[A-Za-z_$][\w$]*$/).test(key) ? key : JSON.stringify(key))
@@ -0,0 +1,155 @@
+const isFunction = require('../is/function')
+const isUndefined = require('../is/undefined')
+const camelCase = require('../camel-case')
+const ObjectAssign = require('../util/assign')
+const SCHEMA_KEY = require('../meta/schema')
+const METHODS_KEY = require('../meta/methods')
+const SHORTHANDS_KEY = require('../meta/shorthands')
+const displayName = require('../source/displayName')
+const isOptional = require('../validators/expression/isOptional')
+const typeToTS = require('./typeToTS')
+const keyOf = require('./keyOf')
+
+/**
+ * @desc the last value for each property in a meta store
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Chain} chain chain with .meta
+ * @param  {string} key meta key
+ * @return {Map} property -> last value
+ *
+ * @example
+ *
+ *    chain.methods().schema({eh: 'string'})
+ *    lastOf(chain, 'schema')
+ *    //=> Map {'eh' => 'string'}
+ *
+ */
+const lastOf = (chain, key) => {
+  const last = new Map()
+  const store = chain.meta.store && chain.meta.store[key]
+  if (store) {
+    store.forEach((values, prop) => last.set(prop, values[values.length - 1]))
+  }
+  return last
+}
+
+/**
+ * @desc declarations for a built method,
+ *       with its aliases & `getX` `setX` when built with `.getSet`
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {string} name method name
+ * @param  {Object} built MethodChain entries, from `meta.methods`
+ * @param  {string} self interface name, returned by fluent methods
+ * @return {Array<string>} declarations
+ *
+ * @example
+ *
+ *    declarations('eh', {type: '?string', getSet: true}, 'Eh')
+ *    //=> [
+ *    //  'eh(value?: string | null | undefined): Eh',
+ *    //  'setEh(value?: string | null | undefined): Eh',
+ *    //  'getEh(): string | null | undefined',
+ *    // ]
+ *
+ */
+const declarations = (name, built, self) => {
+  const type = isUndefined(built.type) ? 'any' : typeToTS(built.type)
+  const optional = !isUndefined(built.default) || isOptional(built.type)
+  const param = `value${optional ? '?' : ''}: ${type}`
+  const returns = isUndefined(built.returns) ? self : 'any'
+
+  const declare = key => {
+    if (built.define) return `${keyOf(key)}: ${type}`
+    return `${keyOf(key)}(${param}): ${returns}`
+  }
+
+  const lines = [name].concat(built.alias || []).map(declare)
+  if (built.getSet) {
+    lines.push(`${camelCase(`set-${name}`)}(${param}): ${self}`)
+    lines.push(`${camelCase(`get-${name}`)}(): ${type}`)
+  }
+  return lines
+}
+
+/* prettier-ignore */
+/**
+ * @desc generate a TypeScript declaration (`.d.ts`) for the methods
+ *       built on a chain at runtime, with `.methods().build()` & `.schema()`,
+ *       from the types in `.schema` & `.type`,
+ *       `getX` & `setX` from `.getSet`, aliases, & `.extend` shorthands
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf typescript
+ *
+ * @param  {Chain | Function} chain built chain, or the class to build one with
+ * @param  {Object} [options] {name, extends}
+ * @param  {string} [options.name] interface name, defaults to the class name
+ * @param  {string} [options.extends='Chain'] chain-able class it extends
+ * @return {string} declaration
+ *
+ * @NOTE validator functions are `any`,
+ *       methods with `.returns` return `any`, the rest return the interface
+ *
+ * @see deps/typescript/typeToTS
+ * @see MethodChain.build
+ *
+ * @example
+ *
+ *    class Config extends Chain {
+ *      constructor(parent) {
+ *        super(parent)
+ *        this.extend(['debug'])
+ *        this.methods('port').type('number').getSet().build()
+ *        this.methods().schema({env: ['dev', 'prod'], hosts: '?string[]'})
+ *      }
+ *    }
+ *
+ *    toTypeScript(Config)
+ *    //=> import {Chain} from 'chain-able'
+ *    //
+ *    //   export interface Config extends Chain {
+ *    //     debug(value: any): Config
+ *    //     port(value: number): Config
+ *    //     setPort(value: number): Config
+ *    //     getPort(): number
+ *    //     env(value: "dev" | "prod"): Config
+ *    //     hosts(value?: string | string[] | null | undefined): Config
+ *    //   }
+ *
+ */
+module.exports = (chain, options) => {
+  const instance = isFunction(chain) ? new chain() : chain
+  const config = ObjectAssign({extends: 'Chain'}, options)
+
+  // composed classes are named by their `displayName`, not `DotProp`
+  let name = config.name || displayName(instance)
+  if (name === config.extends) name = 'Built' + name
+
+  const built = lastOf(instance, METHODS_KEY)
+  const schema = lastOf(instance, SCHEMA_KEY)
+  const lines = []
+
+  // `.extend` shorthands, not built with a MethodChain
+  lastOf(instance, SHORTHANDS_KEY).forEach((method, key) => {
+    if (!built.has(key)) lines.push(`${keyOf(key)}(value: any): ${name}`)
+  })
+
+  // the schema has the types of nested schemas, `.type` has their validator
+  built.forEach((method, key) => {
+    const type = schema.has(key) ? schema.get(key) : method.type
+    const declared = ObjectAssign({}, method, {type})
+    declarations(key, declared, name).forEach(line => lines.push(line))
+  })
+
+  const body = lines.map(line => `  ${line}\n`).join('')
+  return (
+    `import {${config.extends}} from 'chain-able'\n\n` +
+    `export interface ${name} extends ${config.extends} {\n${body}}\n`
+  )
+}
@@ -0,0 +1,147 @@
+const isArray = require('../is/array')
+const isString = require('../is/string')
+const isFunction = require('../is/function')
+const isObj = require('../is/obj')
+const isUndefined = require('../is/undefined')
+const ObjectKeys = require('../util/keys')
+const hasOwnProperty = require('../util/hasOwnProperty')
+const validatorBuilder = require('../validators/validatorBuilder')
+const parse = require('../validators/expression/parse')
+const isOptional = require('../validators/expression/isOptional')
+const keyOf = require('./keyOf')
+
+// validator names with a TypeScript equivalent
+const NAMED = {
+  string: 'string',
+  number: 'number',
+  boolean: 'boolean',
+  symbol: 'symbol',
+  null: 'null',
+  undefined: 'undefined',
+  function: 'Function',
+  date: 'Date',
+  error: 'Error',
+  regExp: 'RegExp',
+  regexp: 'RegExp',
+  map: 'Map<any, any>',
+  set: 'Set<any>',
+  array: 'any[]',
+  iterator: 'Iterator<any>',
+  promise: 'Promise<any>',
+  obj: 'object',
+  object: 'object',
+  objStrict: 'object',
+  objPure: 'object',
+  objWithKeys: 'object',
+}
+
+// generic names, with their type arguments
+const GENERICS = {map: 'Map', set: 'Set', array: 'Array'}
+
+// `a|b` inside of `T[]` & `a&b` needs parens
+const group = type => ((/[|&]/).test(type) ? `(${type})` : type)
+
+/**
+ * @desc a type name, without type arguments
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {string} name type name
+ * @return {string} TypeScript type
+ *
+ * @example
+ *
+ *    nameToTS('date')
+ *    //=> 'Date'
+ *
+ *    nameToTS('enabled')
+ *    //=> '"enabled"'
+ *
+ */
+const nameToTS = name => {
+  if (hasOwnProperty(NAMED, name)) return NAMED[name]
+
+  // unknown names are validated as the value itself
+  return validatorBuilder.has(name) ? 'any' : JSON.stringify(name)
+}
+
+// nodes from `deps/validators/expression/parse`, `toTS` for children
+const NODES = {
+  union: (node, toTS) => node.members.map(toTS).join(' | '),
+  intersection: (node, toTS) => node.members.map(toTS).map(group).join(' & '),
+  optional: (node, toTS) => `${toTS(node.of)} | null | undefined`,
+  not: () => 'any',
+  // `T[]` is `T`, or an array of `T`
+  array(node, toTS) {
+    const of = toTS(node.of)
+    return `${of} | ${group(of)}[]`
+  },
+  tuple: (node, toTS) => `[${node.items.map(toTS).join(', ')}]`,
+  record(node, toTS) {
+    const key = toTS(node.key) === 'number' ? 'number' : 'string'
+    return `{[key: ${key}]: ${toTS(node.value)}}`
+  },
+  literal: node =>
+    (isUndefined(node.value) ? 'undefined' : JSON.stringify(node.value)),
+  name(node, toTS) {
+    const generic = GENERICS[node.name.toLowerCase()]
+    if (node.args && generic) {
+      return `${generic}<${node.args.map(toTS).join(', ')}>`
+    }
+    return node.args ? 'any' : nameToTS(node.name)
+  },
+}
+
+const nodeToTS = node => NODES[node.type](node, nodeToTS)
+
+/* prettier-ignore */
+/**
+ * @desc translate a type (or nested schema) used with `.type` & `.schema`
+ *       into a TypeScript type
+ *
+ * @since 4.0.0-beta.3
+ * @memberOf typescript
+ *
+ * @param  {Type | Schema} type string type, validator, nested schema or enum array
+ * @return {string} TypeScript type
+ *
+ * @NOTE validator functions are `any`
+ *
+ * @see deps/validators/expression/parse
+ * @see deps/typescript/toTypeScript
+ *
+ * @example
+ *
+ *    typeToTS('?string')
+ *    //=> 'string | null | undefined'
+ *
+ *    typeToTS('Map<string, number(0..)>')
+ *    //=> 'Map<string, number>'
+ *
+ *    typeToTS(['enabled', 'disabled'])
+ *    //=> '"enabled" | "disabled"'
+ *
+ *    typeToTS({name: 'string', email: '?email'})
+ *    //=> '{name: string; email?: any}'
+ *
+ */
+const typeToTS = type => {
+  if (isString(type)) return nodeToTS(parse(type))
+  if (isFunction(type) || !isObj(type)) return 'any'
+
+  if (isArray(type)) {
+    // `[{...}]` is an array of that schema, otherwise the allowed values
+    const isItems = type.length === 1 && isObj(type[0])
+    if (isItems) return `Array<${typeToTS(type[0])}>`
+    return type.map(value => JSON.stringify(value)).join(' | ')
+  }
+
+  const properties = ObjectKeys(type).map(key => {
+    const optional = isOptional(type[key]) ? '?' : ''
+    return `${keyOf(key)}${optional}: ${typeToTS(type[key])}`
+  })
+  return `{${properties.join('; ')}}`
+}
+
+module.exports = typeToTS
@@ -0,0 +1,144 @@
+const isString = require('../is/string')
+const isArray = require('../is/array')
+const isObj = require('../is/obj')
+const isReal = require('../is/real')
+const isFunction = require('../is/function')
+const ObjectKeys = require('../util/keys')
+const toarr = require('../to-arr')
+const parse = require('./expression/parse')
+const compile = require('./expression/compile')
+const validatorBuilder = require('./validatorBuilder')
+const coercers = require('./coercers')
+
+const isRecord = x => isObj(x) && !isArray(x) && !isFunction(x)
+
+// parsed once for each type expression
+const parsed = {}
+const parsedType = type => {
+  if (!parsed[type]) parsed[type] = parse(type)
+  return parsed[type]
+}
+
+const isValid = (node, value) => compile(node, validatorBuilder)(value)
+
+const coerceName = (name, value) => {
+  const coercer = coercers.get(name)
+  return coercer ? coercer(value) : value
+}
+
+// arrays from csv strings (or arrays), coercing each value
+const eachOf = (value, coerceItem) => {
+  const values = isString(value) ? toarr(value) : value
+  return isArray(values) ? values.map(coerceItem) : value
+}
+
+// nodes from `deps/validators/expression/parse`
+const NODES = {
+  name(node, value, coerceNode) {
+    const isArrayOf = node.args && node.name.toLowerCase() === 'array'
+    if (isArrayOf) return eachOf(value, item => coerceNode(node.args[0], item))
+    return node.args ? value : coerceName(node.name, value)
+  },
+  literal(node, value) {
+    const name = node.value === null ? 'null' : typeof node.value
+    return coerceName(name, value)
+  },
+  optional(node, value, coerceNode) {
+    if (!isReal(value) || value === '') return value
+    return coerceNode(node.of, value)
+  },
+  // the first member the coerced value is valid for
+  union(node, value, coerceNode) {
+    for (let m = 0; m < node.members.length; m++) {
+      const coerced = coerceNode(node.members[m], value)
+      if (isValid(node.members[m], coerced)) return coerced
+    }
+    return value
+  },
+  intersection(node, value, coerceNode) {
+    const coerceMember = (coerced, member) => coerceNode(member, coerced)
+    return node.members.reduce(coerceMember, value)
+  },
+  // `T[]` is `T`, or an array of `T`
+  array(node, value, coerceNode) {
+    const coerced = coerceNode(node.of, value)
+    if (isValid(node.of, coerced)) return coerced
+    return eachOf(value, item => coerceNode(node.of, item))
+  },
+  tuple(node, value, coerceNode) {
+    return eachOf(value, (item, i) => {
+      return node.items[i] ? coerceNode(node.items[i], item) : item
+    })
+  },
+  record(node, value, coerceNode) {
+    if (!isRecord(value)) return value
+    const coerced = {}
+    ObjectKeys(value).forEach(key => {
+      coerced[key] = coerceNode(node.value, value[key])
+    })
+    return coerced
+  },
+  not: (node, value) => value,
+}
+
+const coerceNode = (node, value) => NODES[node.type](node, value, coerceNode)
+
+/* prettier-ignore */
+/**
+ * @desc coerce a value for a type (or nested schema) before validating it,
+ *       with the coercers registered for the type names in it,
+ *       `number` `boolean` `date` `array` (csv) & `null` by default
+ * @memberOf schema
+ * @category types
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Type | Schema} type string type, nested schema, or enum array
+ * @param  {any} value value to coerce
+ * @return {any} coerced value, or the value when it cannot be coerced
+ *
+ * @NOTE validator functions are not coerced
+ *
+ * @see validators/coercers
+ * @see MethodChain.coerce
+ *
+ * @example
+ *
+ *    coerce('number', '1')
+ *    //=> 1
+ *
+ *    coerce('?boolean', 'true')
+ *    //=> true
+ *
+ *    coerce('number[]', '1,2')
+ *    //=> [1, 2]
+ *
+ *    coerce({created: {at: 'date'}}, {created: {at: '2017-01-01'}})
+ *    //=> {created: {at: Date}}
+ *
+ *    coerce([1, 2], '2')
+ *    //=> 2
+ *
+ */
+function coerce(type, value) {
+  if (isString(type)) return coerceNode(parsedType(type), value)
+
+  // enum arrays, the member written the same way
+  if (isArray(type)) {
+    const member = type.find(x => String(x) === String(value))
+    return isReal(member) || member === null ? member : value
+  }
+
+  // nested schemas
+  if (isRecord(type) && isRecord(value)) {
+    const coerced = {}
+    ObjectKeys(value).forEach(key => {
+      const isInSchema = Object.prototype.hasOwnProperty.call(type, key)
+      coerced[key] = isInSchema ? coerce(type[key], value[key]) : value[key]
+    })
+    return coerced
+  }
+
+  return value
+}
+
+module.exports = coerce
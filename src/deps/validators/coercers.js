@@ -0,0 +1,57 @@
+const ChainedMap = require('../../ChainedMapBase')
+const isString = require('../is/string')
+const isNumber = require('../is/number')
+const toarr = require('../to-arr')
+
+// '1' -> 1, but not '' or ' '
+const toNumber = x => {
+  if (!isString(x) || x.trim() === '' || isNaN(x)) return x
+  return Number(x)
+}
+
+const toBoolean = x => {
+  if (x === 'true') return true
+  if (x === 'false') return false
+  return x
+}
+
+// ISO strings & timestamps
+const toDate = x => {
+  if (isNumber(x)) return new Date(x)
+  if (isString(x) && !isNaN(Date.parse(x))) return new Date(x)
+  return x
+}
+
+// csv
+const toArray = x => (isString(x) ? toarr(x) : x)
+
+const toNull = x => (x === 'null' ? null : x)
+
+/**
+ * @desc coercers by type name, used by `.coerce()`,
+ *       each gets the value & returns it coerced (or as it was)
+ * @memberOf schema
+ * @category types
+ * @since 4.0.0-beta.3
+ *
+ * @type {ChainedMap}
+ *
+ * @see validators/coerce
+ * @see validators/validatorBuilder.addCoercers
+ *
+ * @example
+ *
+ *    coercers.get('number')('1')
+ *    //=> 1
+ *
+ *    coercers.get('array')('eh,canada')
+ *    //=> ['eh', 'canada']
+ *
+ */
+module.exports = new ChainedMap().from({
+  number: toNumber,
+  boolean: toBoolean,
+  date: toDate,
+  array: toArray,
+  null: toNull,
+})
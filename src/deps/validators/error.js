@@ -22,6 +22,9 @@ const thrower = error => () => {
  * @param  {Type} type type to validate with
  * @return {Function} function that returns a decorated TypeError with .inspect & metadata (arg, thrown, meta)
  *
+ * @NOTE when `thrown` has schema failures in `.errors`,
+ *       they are kept on the TypeError & make up the message
+ *
  * @TODO js stringify if development
  *
  * @see MethodChain
@@ -53,6 +56,7 @@ const thrower = error => () => {
  */
 module.exports = (method, type) => (arg, thrown, meta) => {
   const argToString = toS(arg)
+  const errors = thrown && thrown.errors
   const data = {
     [method]: {
       type,
@@ -64,11 +68,13 @@ module.exports = (method, type) => (arg, thrown, meta) => {
     },
   }
 
+  // schema failures already say what was expected at each path
   const error = ObjectAssign(
-    new TypeError(`${argToString} != ${type}`),
+    new TypeError(errors ? '' : `${argToString} != ${type}`),
     data,
     meta
   )
+  if (errors) error.errors = errors
 
   // put it back in its place
   if (thrown && thrown.message) error.message += thrown.message
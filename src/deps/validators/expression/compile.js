@@ -0,0 +1,155 @@
+const isArray = require('../../is/array')
+const isMap = require('../../is/map')
+const isSet = require('../../is/set')
+const isNumber = require('../../is/number')
+const isString = require('../../is/string')
+const isReal = require('../../is/real')
+const isObj = require('../../is/obj')
+const isFunction = require('../../is/function')
+const ArrayFrom = require('../../util/from')
+const ObjectKeys = require('../../util/keys')
+
+const isRecord = x => isObj(x) && !isArray(x) && !isFunction(x)
+
+// what a range constrains, numbers themselves, otherwise the length or size
+const measure = x => {
+  if (isNumber(x)) return x
+  if (isReal(x) && isNumber(x.length)) return x.length
+  if (isReal(x) && isNumber(x.size)) return x.size
+  return NaN
+}
+
+const constrain = (validator, constraint) => {
+  if (constraint.type === 'regex') {
+    const regex = constraint.regex
+    return x => {
+      regex.lastIndex = 0
+      return validator(x) && isString(x) && regex.test(x)
+    }
+  }
+
+  const {min, max} = constraint
+  return x => {
+    if (!validator(x)) return false
+    const size = measure(x)
+    return size >= min && size <= max
+  }
+}
+
+// object keys are strings, `{[number]: ...}` keys are numeric strings
+const isKey = validator => key =>
+  validator(key) || (key !== '' && !isNaN(key) && validator(Number(key)))
+
+/* prettier-ignore */
+/**
+ * @desc `Map<k, v>`, `Set<v>` & `Array<v>`
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {string} name type name
+ * @param  {Array<Function>} args compiled type arguments
+ * @return {Function} validator
+ *
+ * @throws {SyntaxError} for other names, or the wrong number of arguments
+ *
+ * @example
+ *
+ *    generic('Map', [isString, isDate])(new Map([['eh', new Date()]]))
+ *    //=> true
+ *
+ */
+const generic = (name, args) => {
+  const type = name.toLowerCase()
+
+  if (type === 'map' && args.length === 2) {
+    const [key, value] = args
+    const isEntry = ([k, v]) => key(k) && value(v)
+    return x => isMap(x) && ArrayFrom(x.entries()).every(isEntry)
+  }
+  if (type === 'set' && args.length === 1) {
+    return x => isSet(x) && ArrayFrom(x.values()).every(args[0])
+  }
+  if (type === 'array' && args.length === 1) {
+    return x => isArray(x) && x.every(args[0])
+  }
+
+  throw new SyntaxError(`unknown type arguments for ${name}<${args.length}>`)
+}
+
+// compilers for each node type, `child` compiles the children
+const COMPILERS = {
+  union(node, child) {
+    const members = node.members.map(child)
+    return x => members.some(member => member(x))
+  },
+  intersection(node, child) {
+    const members = node.members.map(child)
+    return x => members.every(member => member(x))
+  },
+  optional(node, child) {
+    const validator = child(node.of)
+    return x => !isReal(x) || x === '' || validator(x)
+  },
+  not(node, child) {
+    const validator = child(node.of)
+    return x => !validator(x)
+  },
+  // same as `string[]`, the type or an array of it
+  array(node, child) {
+    const validator = child(node.of)
+    return x => validator(x) || (isArray(x) && x.every(validator))
+  },
+  tuple(node, child) {
+    const items = node.items.map(child)
+    const isItem = x => (item, i) => item(x[i])
+    return x =>
+      isArray(x) && x.length === items.length && items.every(isItem(x))
+  },
+  record(node, child) {
+    const key = isKey(child(node.key))
+    const value = child(node.value)
+    return x => isRecord(x) && ObjectKeys(x).every(k => key(k) && value(x[k]))
+  },
+  literal(node) {
+    const value = node.value
+    return x => x === value
+  },
+  name(node, child, resolve) {
+    const validator = node.args
+      ? generic(node.name, node.args.map(child))
+      : resolve(node.name)
+    return node.constraint ? constrain(validator, node.constraint) : validator
+  },
+}
+
+/* prettier-ignore */
+/**
+ * @desc compile a node from `parse` into a validator,
+ *       names are resolved with the validators (and cached there)
+ * @memberOf schema
+ * @category types
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} node node from `parse`
+ * @param  {Function} resolve (name) => validator
+ * @return {Function} validator, (value) => boolean
+ *
+ * @see validators/expression/parse
+ * @see validators/validatorBuilder
+ *
+ * @example
+ *
+ *    const validator = compile(parse('[string, number(0..)]'), builder)
+ *    validator(['eh', 1])
+ *    //=> true
+ *    validator(['eh', -1])
+ *    //=> false
+ *
+ */
+function compile(node, resolve) {
+  const child = childNode => compile(childNode, resolve)
+  return COMPILERS[node.type](node, child, resolve)
+}
+
+module.exports = compile
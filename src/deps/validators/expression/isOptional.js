@@ -0,0 +1,38 @@
+const isString = require('../../is/string')
+const isFunction = require('../../is/function')
+const parse = require('./parse')
+
+/**
+ * @desc optional types accept null & undefined (`?string`),
+ *       as do validators with `.optional`
+ * @memberOf schema
+ * @category types
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Type | Schema} type type to check
+ * @return {boolean} is optional
+ *
+ * @see deps/jsonschema/typeToJSON
+ * @see deps/typescript/typeToTS
+ *
+ * @example
+ *
+ *    isOptional('?string')
+ *    //=> true
+ *
+ *    isOptional('string|?number')
+ *    //=> true
+ *
+ *    isOptional({eh: '?string'})
+ *    //=> false
+ *
+ */
+module.exports = type => {
+  if (isFunction(type)) return type.optional === true
+  if (!isString(type)) return false
+
+  const node = parse(type)
+  const isOptionalNode = child => child.type === 'optional'
+  if (node.type === 'union') return node.members.some(isOptionalNode)
+  return isOptionalNode(node)
+}
@@ -0,0 +1,169 @@
+const tokenize = require('./tokenize')
+
+const LITERALS = {true: true, false: false, null: null, undefined}
+
+/* prettier-ignore */
+/**
+ * @desc parse a type expression into a tree of nodes,
+ *       loosest first: `a|b`, `a&b`, `?a` & `!a`, `a[]`, then
+ *       `(a)`, tuples `[a, b]`, records `{[a]: b}`, literals `'a'` `1` `true`,
+ *       names with type arguments `Map<a, b>` & constraints `number(0..1)` `string(/a/)`
+ * @memberOf schema
+ * @category types
+ * @since 4.0.0-beta.3
+ *
+ * @param  {string} expression type expression
+ * @return {Object} node {type, ...}
+ *
+ * @throws {SyntaxError} when the expression is malformed
+ *
+ * @see validators/expression/compile
+ *
+ * @example
+ *
+ *    parse('(string|number)[]')
+ *    //=> {
+ *    //  type: 'array',
+ *    //  of: {
+ *    //    type: 'union',
+ *    //    members: [{type: 'name', name: 'string'}, {type: 'name', name: 'number'}],
+ *    //  },
+ *    // }
+ *
+ *    parse('number(0..100)')
+ *    //=> {type: 'name', name: 'number', constraint: {type: 'range', min: 0, max: 100}}
+ *
+ */
+module.exports = expression => {
+  const tokens = tokenize(expression)
+  let position = 0
+
+  // `a|b` is the loosest, used in groups, tuples, records & type arguments
+  let union
+
+  const peek = type => tokens[position] && tokens[position].type === type
+
+  const fail = () => {
+    const token = tokens[position]
+    const found = token ? `"${token.source}" at ${token.index}` : 'end'
+    throw new SyntaxError(`unexpected ${found} in type: ${expression}`)
+  }
+
+  const expect = type => {
+    if (!peek(type)) fail()
+    return tokens[position++]
+  }
+
+  // a, b, c ... until the closing token
+  const list = (close, item) => {
+    const items = [item()]
+    while (peek(',')) {
+      position++
+      items.push(item())
+    }
+    expect(close)
+    return items
+  }
+
+  const range = () => {
+    const min = peek('number') ? tokens[position++].value : -Infinity
+    expect('..')
+    const max = peek('number') ? tokens[position++].value : Infinity
+    return {type: 'range', min, max}
+  }
+
+  const constraint = () => {
+    expect('(')
+    const node = peek('regex')
+      ? {type: 'regex', regex: tokens[position++].value}
+      : range()
+    expect(')')
+    return node
+  }
+
+  const named = () => {
+    const name = expect('name').value
+    if (Object.prototype.hasOwnProperty.call(LITERALS, name)) {
+      return {type: 'literal', value: LITERALS[name]}
+    }
+
+    const node = {type: 'name', name}
+    if (peek('<')) {
+      position++
+      node.args = list('>', union)
+    }
+    if (peek('(')) node.constraint = constraint()
+    return node
+  }
+
+  const primary = () => {
+    if (peek('(')) {
+      position++
+      const node = union()
+      expect(')')
+      return node
+    }
+    if (peek('[')) {
+      position++
+      return {type: 'tuple', items: list(']', union)}
+    }
+    if (peek('{')) {
+      position++
+      expect('[')
+      const key = union()
+      expect(']')
+      expect(':')
+      const value = union()
+      expect('}')
+      return {type: 'record', key, value}
+    }
+    if (peek('string') || peek('number')) {
+      return {type: 'literal', value: tokens[position++].value}
+    }
+    return named()
+  }
+
+  const postfix = () => {
+    let node = primary()
+    const isArrayOf = () => {
+      const next = tokens[position + 1]
+      return peek('[') && next && next.type === ']'
+    }
+
+    while (isArrayOf()) {
+      position += 2
+      node = {type: 'array', of: node}
+    }
+    return node
+  }
+
+  const unary = () => {
+    if (peek('?')) {
+      position++
+      return {type: 'optional', of: unary()}
+    }
+    if (peek('!')) {
+      position++
+      return {type: 'not', of: unary()}
+    }
+    return postfix()
+  }
+
+  // a & b, then a | b
+  const operator = (type, operand) => () => {
+    const members = [operand()]
+    while (peek(type)) {
+      position++
+      members.push(operand())
+    }
+    if (members.length === 1) return members[0]
+    return {type: type === '|' ? 'union' : 'intersection', members}
+  }
+
+  const intersection = operator('&', unary)
+  union = operator('|', intersection)
+
+  const node = union()
+  if (position !== tokens.length) fail()
+  return node
+}
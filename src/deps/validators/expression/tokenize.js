@@ -0,0 +1,105 @@
+// longest first, so `..` is not read as `.`
+/* prettier-ignore */
+const PUNCTUATION = [
+  '..', '(', ')', '[', ']', '{', '}', '<', '>', ',', ':', '|', '&', '?', '!',
+]
+
+const NUMBER = /^-?\d+(\.\d+)?/
+const NAME = /^[A-Za-z_$][\w$-]*/
+const STRING = /^('([^'\\]|\\.)*'|"([^"\\]|\\.)*")/
+const REGEX = /^\/((?:[^/\\]|\\.)+)\/([gimuy]*)/
+const WHITESPACE = /^\s+/
+
+/**
+ * @desc the first token at the start of the rest of the expression
+ *
+ * @private
+ * @since 4.0.0-beta.3
+ *
+ * @param  {string} rest rest of the expression
+ * @return {Object | undefined} token {type, value, source}
+ *
+ * @example
+ *
+ *    tokenAt('number(0..1)')
+ *    //=> {type: 'name', value: 'number', source: 'number'}
+ *
+ */
+const tokenAt = rest => {
+  const punctuation = PUNCTUATION.find(
+    punct => rest.slice(0, punct.length) === punct
+  )
+  if (punctuation) {
+    return {type: punctuation, value: punctuation, source: punctuation}
+  }
+
+  let match = rest.match(NUMBER)
+  if (match) return {type: 'number', value: Number(match[0]), source: match[0]}
+
+  match = rest.match(NAME)
+  if (match) return {type: 'name', value: match[0], source: match[0]}
+
+  match = rest.match(STRING)
+  if (match) {
+    const value = match[0].slice(1, -1).replace(/\\(.)/g, '$1')
+    return {type: 'string', value, source: match[0]}
+  }
+
+  match = rest.match(REGEX)
+  if (match) {
+    const value = new RegExp(match[1], match[2])
+    return {type: 'regex', value, source: match[0]}
+  }
+
+  return undefined
+}
+
+/**
+ * @desc split a type expression into tokens
+ * @memberOf schema
+ * @category types
+ * @since 4.0.0-beta.3
+ *
+ * @param  {string} expression type expression
+ * @return {Array<Object>} tokens [{type, value, source, index}]
+ *
+ * @throws {SyntaxError} on characters that are not part of a token
+ *
+ * @see validators/expression/parse
+ *
+ * @example
+ *
+ *    tokenize('(string|number)[]').map(token => token.type)
+ *    //=> ['(', 'name', '|', 'name', ')', '[', ']']
+ *
+ *    tokenize("'eh'|-1.5").map(token => token.value)
+ *    //=> ['eh', '|', -1.5]
+ *
+ */
+module.exports = expression => {
+  const tokens = []
+  let index = 0
+
+  while (index < expression.length) {
+    const rest = expression.slice(index)
+    const whitespace = rest.match(WHITESPACE)
+
+    if (whitespace) {
+      index += whitespace[0].length
+      continue
+    }
+
+    const token = tokenAt(rest)
+    if (!token) {
+      throw new SyntaxError(
+        `unexpected "${rest.charAt(0)}" at ${index} in type: ${expression}`
+      )
+    }
+
+    token.index = index
+    tokens.push(token)
+    index += token.source.length
+  }
+
+  return tokens
+}
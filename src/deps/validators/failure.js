@@ -0,0 +1,41 @@
+const toS = require('../is/toS')
+const isString = require('../is/string')
+const isFunction = require('../is/function')
+
+const describe = type => {
+  if (isString(type)) return type
+  if (isFunction(type)) return type.name || 'function'
+  return JSON.stringify(type)
+}
+
+/**
+ * @desc a validation failure, collected by schema validators
+ * @memberOf schema
+ * @category types
+ * @category schema
+ * @since 4.0.0-beta.3
+ *
+ * @param  {string} path dot-prop path of the invalid value
+ * @param  {Type | Schema} expected type the value was validated with
+ * @param  {any} actual invalid value
+ * @return {Object} {path, expected, actual, message}
+ *
+ * @see validators/schemaBuilder
+ *
+ * @example
+ *
+ *    failure('dates.created', 'date', 'eh')
+ *    //=> {
+ *    //  path: 'dates.created',
+ *    //  expected: 'date',
+ *    //  actual: 'eh',
+ *    //  message: 'dates.created: [object String] != date',
+ *    // }
+ *
+ */
+module.exports = (path, expected, actual) => ({
+  path,
+  expected,
+  actual,
+  message: `${path}: ${toS(actual)} != ${describe(expected)}`,
+})
@@ -1,12 +1,21 @@
 const ENV_DEVELOPMENT = require('../env/dev')
 const dotPropPaths = require('../dot/paths')
 const dotGet = require('../dot/get')
+const dotHas = require('../dot/has')
 const isStringOrNumber = require('../is/stringOrNumber')
+const isString = require('../is/string')
 const isReal = require('../is/real')
 const isBoolean = require('../is/boolean')
 const isRegExp = require('../is/regexp')
 const isError = require('../is/error')
+const isFunction = require('../is/function')
+const isArray = require('../is/array')
+const isObj = require('../is/obj')
+const isUndefined = require('../is/undefined')
+const ObjectKeys = require('../util/keys')
 const validationBuilder = require('./validatorBuilder')
+const isOptional = require('./expression/isOptional')
+const failure = require('./failure')
 
 const isNotNested = x =>
   isStringOrNumber(x) ||
@@ -15,9 +24,78 @@ const isNotNested = x =>
   isError(x) ||
   isRegExp(x)
 
-const validateType = (type, value, nestedSchema) => {
-  const validator = nestedSchema || validationBuilder(type)
-  return validator(value)
+// enum arrays are the values allowed
+const validateType = (type, value) => {
+  if (isArray(type)) return type.includes(value)
+  return validationBuilder(type)(value)
+}
+
+const isNestedSchema = x => isObj(x) && !isFunction(x) && !isArray(x)
+
+// string types & validator functions
+const isFlat = x => isString(x) || isFunction(x)
+
+// the type at the path, or the closest parent path with a type,
+// since a validator for an array or object validates everything in it
+const typeAt = (nestedSchema, segments) => {
+  for (let depth = segments.length; depth > 0; depth--) {
+    const typePath = segments.slice(0, depth)
+    const type = dotGet(nestedSchema, typePath)
+    if (!isUndefined(type)) return {type, typePath}
+  }
+  return undefined
+}
+
+// every longest path in the input, validated with the type at that path
+// paths without a type in the schema are not validated
+const nestedErrors = (property, nestedSchema, input) => {
+  const errors = []
+  const validated = {}
+  let longestPaths = dotPropPaths(false, input, true)
+
+  // @@DEBUGGER
+
+  for (let l = 0; l < longestPaths.length; l++) {
+    const found = typeAt(nestedSchema, longestPaths[l].split('.'))
+    if (isUndefined(found) || isNestedSchema(found.type)) continue
+
+    const fullPath = found.typePath.join('.')
+    if (validated[fullPath]) continue
+    validated[fullPath] = true
+
+    const value = dotGet(input, found.typePath)
+
+    // @@DEBUGGER
+
+    if (!validateType(found.type, value)) {
+      // @@DEBUGGER
+      errors.push(failure(`${property}.${fullPath}`, found.type, value))
+    }
+  }
+
+  return errors
+}
+
+// every key in the schema that is not optional has to be in the input,
+// the paths that are in it are validated with `nestedErrors`
+const missingErrors = (property, nestedSchema, input, segments) => {
+  let errors = []
+  const keys = ObjectKeys(nestedSchema)
+
+  for (let k = 0; k < keys.length; k++) {
+    const type = nestedSchema[keys[k]]
+    const typePath = segments.concat([keys[k]])
+
+    if (isNestedSchema(type)) {
+      errors = errors.concat(missingErrors(property, type, input, typePath))
+    }
+    else if (!isOptional(type) && !dotHas(input, typePath)) {
+      const path = `${property}.${typePath.join('.')}`
+      errors.push(failure(path, type, undefined))
+    }
+  }
+
+  return errors
 }
 
 /**
@@ -67,7 +145,7 @@ const schemaFactory = (property, nestedSchema) => {
    * @since 4.0.0-beta.1
    *
    * @param  {any} input the input to validate
-   * @return {boolean} valid
+   * @return {boolean} valid, every failure is in `typeValidator.errors`
    *
    * @see is
    *
@@ -90,7 +168,7 @@ const schemaFactory = (property, nestedSchema) => {
    *   //=> true
    *
    *   var isValid = typeValidator({})
-   *   //=> false
+   *   //=> false, `eh.canada` is missing
    *
    *   var isValid = typeValidator({canada: false})
    *   //=> false
@@ -98,31 +176,37 @@ const schemaFactory = (property, nestedSchema) => {
    *   var isValid = typeValidator(1)
    *   //=> false
    *
+   * @example
+   *
+   *   const typeValidator = schemaFactory('eh', {canada: 'number', igloo: 'string'})
+   *   typeValidator({canada: '1', igloo: 2})
+   *   typeValidator.errors
+   *   //=> [
+   *   //  {path: 'eh.canada', expected: 'number', actual: '1', message},
+   *   //  {path: 'eh.igloo', expected: 'string', actual: 2, message},
+   *   // ]
+   *
    */
   function typeValidator(input) {
-    if (isNotNested(input)) {
-      // @@DEBUGGER
-      return validateType(property, input, nestedSchema)
-    }
-    let longestPaths = dotPropPaths(false, input, true)
-
-    // @@DEBUGGER
-
-    for (let l = 0; l < longestPaths.length; l++) {
-      const fullPath = longestPaths[l] || property
-      const type = dotGet(nestedSchema, fullPath)
-      const value = dotGet(input, fullPath.split('.'))
+    let errors
 
+    // flat types validate the whole input, like `.type`
+    if (isFlat(nestedSchema) || isNotNested(input)) {
       // @@DEBUGGER
-
-      if (!validateType(type, value)) {
-        // @@DEBUGGER
-        return false
+      const valid =
+        (isFlat(nestedSchema) || isArray(nestedSchema)) &&
+        validateType(nestedSchema, input)
+      errors = valid ? [] : [failure(property, nestedSchema, input)]
+    }
+    else {
+      errors = nestedErrors(property, nestedSchema, input)
+      if (isNestedSchema(nestedSchema)) {
+        errors = errors.concat(missingErrors(property, nestedSchema, input, []))
       }
-
-      // @@DEBUGGER
     }
-    return true
+
+    typeValidator.errors = errors
+    return errors.length === 0
   }
 
   /* istanbul ignore next: devs */
@@ -0,0 +1,44 @@
+const isObj = require('../is/obj')
+const isArray = require('../is/array')
+const isFunction = require('../is/function')
+const schemaBuilder = require('./schemaBuilder')
+const validatorBuilder = require('./validatorBuilder')
+const failure = require('./failure')
+
+const isObjOrArray = x => (isObj(x) && !isFunction(x)) || isArray(x)
+
+/**
+ * @desc validate a value with a schema (or a type), the way `.schema` does,
+ *       returning every failure instead of calling onInvalid
+ * @memberOf schema
+ * @category types
+ * @category schema
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Primitive} key property the schema is for
+ * @param  {Schema | Type} schema nested schema, or a type
+ * @param  {any} value value to validate
+ * @return {Array<Object>} failures [{path, expected, actual, message}], empty when valid
+ *
+ * @see ChainedMap.validate
+ * @see validators/failure
+ *
+ * @example
+ *
+ *    schemaErrors('eh', {canada: 'number'}, {canada: 1})
+ *    //=> []
+ *
+ *    schemaErrors('eh', 'string', 1)
+ *    //=> [{path: 'eh', expected: 'string', actual: 1, message}]
+ *
+ */
+module.exports = (key, schema, value) => {
+  if (isObjOrArray(schema)) {
+    const typeValidator = schemaBuilder(key, schema)
+    typeValidator(value)
+    return typeValidator.errors
+  }
+
+  if (validatorBuilder(schema)(value)) return []
+  return [failure(key, schema, value)]
+}
@@ -18,6 +18,9 @@ const not = require('../conditional/not')
 const and = require('../conditional/and')
 const or = require('../conditional/or')
 const all = require('../conditional/all')
+const parse = require('./expression/parse')
+const compile = require('./expression/compile')
+const coercers = require('./coercers')
 
 let validators = new ChainedMap()
 
@@ -77,6 +80,34 @@ const addTypes = types =>
 
 addTypes(is)
 
+/**
+ * @desc add custom coercers, used with `.coerce()`,
+ *       by type name, like `addTypes`
+ * @category types
+ * @category schema
+ * @types schema
+ *
+ * @since 4.0.0-beta.3
+ *
+ * @param  {Object} types coercers by type name, (value) => coerced value
+ * @return {ChainedMap} coercers
+ *
+ * @see deps/validators/coercers
+ * @see deps/validators/coerce
+ *
+ * @example
+ *
+ *   addTypes({cents: x => Number.isInteger(x)})
+ *   addCoercers({cents: x => (typeof x === 'string' ? Math.round(x * 100) : x)})
+ *
+ *   const chain = new Chain().methods('price').type('cents').coerce().build()
+ *
+ *   chain.price('1.5').get('price')
+ *   //=> 150
+ *
+ */
+const addCoercers = types => coercers.from(types)
+
 // ----
 // @NOTE: putting these as functions increased size 20 bytes: worth it
 // ----
@@ -86,18 +117,29 @@ const isNotRealOrIsEmptyString = and(not(isReal), x => x === '')
 
 // const isArrayOf = predicate => x => isArray(x) && x.every(predicate)
 const isArrayOf = predicate => and(isArray, all(predicate))
-const includesAndOr = x => x.includes('|') || x.includes('&')
+
+// `name`, `?name`, `!name` & `name[]` are built as before, with `arithmeticTypeFactory`
+const isArithmetic = x => (/^([?!][\w$-]+|[\w$-]+(\[\])?)$/).test(x)
 
 /**
+ * @desc compile a type expression with `|`, `&`, grouping, tuples, records,
+ *       `Map<k, v>` `Set<v>` `Array<v>`, literals & constraints,
+ *       cached in the validators with the expression as the key
  * @memberOf schema
  * @category types
+ * @since 4.0.0-beta.3 <- real parser, was `typeListFactory` for `|`
  *
- * @param  {string} fullKey a key with `|` and/or '&'
+ * @param  {string} fullKey type expression
  * @return {Function} validator
  *
+ * @throws {SyntaxError} when the expression is malformed
+ *
+ * @see validators/expression/parse
+ * @see validators/expression/compile
+ *
  * @example
  *
- *    const isStringOrNumber = typeListFactory('string|number')
+ *    const isStringOrNumber = expressionFactory('string|number')
  *
  *    isStringOrNumber(1)
  *    //=> true
@@ -106,39 +148,32 @@ const includesAndOr = x => x.includes('|') || x.includes('&')
  *    isStringOrNumber(Object)
  *    //=> false
  *
+ * @example
+ *
+ *    expressionFactory('(string|number)[]')(['eh', 1])
+ *    //=> true
+ *
+ *    expressionFactory('{[string]: number(0..100)}')({eh: 101})
+ *    //=> false
+ *
+ *    expressionFactory("string(/^eh/i) & string(..5)")('Eh!')
+ *    //=> true
+ *
+ *    expressionFactory("'big'|'small'|0")(0)
+ *    //=> true
+ *
  */
-function typeListFactory(fullKey) {
+function expressionFactory(fullKey) {
   // already have it
   if (has(fullKey)) {
     return get(fullKey)
   }
 
-  // get all types
-  let orTypes = fullKey.split('|')
-  let andTypes = fullKey.split('&')
-
-  // ensure we have all validators - sets up conditionals
-  for (let v = 0; v < orTypes.length; v++) {
-    builder(orTypes[v])
-  }
-
-  // go through all valid options, if any are true, good to go
-  set(fullKey, x => {
-    for (let v = 0; v < orTypes.length; v++) {
-      if (get(orTypes[v])(x)) {
-        return true
-      }
-    }
-    return false
-  })
-
+  // names are resolved (and cached) with the builder
+  set(fullKey, compile(parse(fullKey), builder))
   return get(fullKey)
 }
 
-// @TODO how to iterate properly with the bitwise fn + AND
-//       add another param? ignore overly complex |& things? just allow 1?
-//       just show how to use these shorthand fn builders
-
 /**
  * @desc transform arithmetic strings into types
  * @since 4.0.0-alpha.1
@@ -239,7 +274,7 @@ function arithmeticTypeFactory(fullKey) {
  *
  * @example
  *
- *    // arithmeticType
+ *    // expressionType
  *    builder('string|string[]')
  *    // => isString || isArrayOf(isString)
  *
@@ -252,12 +287,12 @@ function builder(fullKey) {
     }
     return fullKey
   }
-  else if (isString(fullKey) && includesAndOr(fullKey)) {
+  else if (isString(fullKey) && !isArithmetic(fullKey)) {
     /* istanbul ignore next: dev */
     if (ENV_DEBUG) {
-      console.log('andOrType', {fullKey})
+      console.log('expressionType', {fullKey})
     }
-    return typeListFactory(fullKey)
+    return expressionFactory(fullKey)
   }
   else {
     /* istanbul ignore next: dev */
@@ -272,5 +307,7 @@ builder.has = has
 builder.get = get
 builder.set = set
 builder.addTypes = addTypes // was merge
+builder.addCoercers = addCoercers
+builder.coercers = coercers
 builder.map = validators
 module.exports = builder
@@ -1,3 +1,5 @@
+/* eslint import/max-dependencies: "off" */
+
 // core
 const ChainedMap = require('./ChainedMap')
 const Chainable = require('./Chainable')
@@ -32,9 +34,17 @@ exp.reduce = require('./deps/reduce')
 exp.clean = require('./deps/reduce/clean')
 exp.meta = require('./deps/meta')
 exp.eq = require('./deps/traversers/eq')
+exp.diff = require('./deps/traversers/diff')
+exp.applyPatch = require('./deps/traversers/patch')
 exp.types = require('./deps/validators')
+exp.toJSONSchema = require('./deps/jsonschema/toJSONSchema')
+exp.fromJSONSchema = require('./deps/jsonschema/fromJSONSchema')
+exp.toTypeScript = require('./deps/typescript/toTypeScript')
+exp.chainsaw = require('./deps/chainsaw')
+exp.cache = require('./deps/cache')
 
 exp.addTypes = exp.types.addTypes
+exp.addCoercers = exp.types.addCoercers
 
 // core
 exp.Chainable = Chainable
@@ -0,0 +1,54 @@
+const isUndefined = require('../deps/is/undefined')
+const validatorBuilder = require('../deps/validators/validatorBuilder')
+const COMPUTED_KEY = require('../deps/meta/computed')
+
+/* prettier-ignore */
+/**
+ * @desc builds a computed value,
+ *       calling the method returns it,
+ *       calling it with a value or `.set` throws since it is read-only
+ *
+ * @plugin
+ * @since 4.0.0-beta.3
+ * @memberOf MethodChain
+ *
+ * @param  {Primitive} name method name
+ * @param  {Object} parent Parent
+ * @param  {Object} built entries of the MethodChain
+ * @return {MethodChain} @chainable
+ *
+ * @see MethodChain.use
+ * @see deps/computed/compute
+ *
+ * @example
+ *
+ *    chain
+ *      .computed('admin')
+ *      .type('boolean')
+ *      .use('roles', ({roles}) => roles.includes('admin'))
+ *      .build()
+ *
+ */
+module.exports = function computedPlugin(name, parent, built) {
+  const {paths, fn} = built.computed
+  const type = built.type
+
+  parent.meta(COMPUTED_KEY, name, {
+    name,
+    paths,
+    fn,
+    type,
+    validate: type ? validatorBuilder(type) : undefined,
+    dirty: true,
+    computing: false,
+    value: undefined,
+  })
+
+  // calling with a value goes through .set, which throws
+  const getComputed = arg => {
+    if (isUndefined(arg)) return parent.get(name)
+    return parent.set(name, arg)
+  }
+
+  return this.onCall(getComputed).onGet(getComputed)
+}
@@ -38,7 +38,7 @@ module.exports = function(parentToDecorate) {
   // default returns result of calling function,
   // else .parentToDecorate
   return this.plugin(function(name, parent) {
-    parentToDecorate.meta(DECORATED_KEY, name)
+    parentToDecorate.meta(DECORATED_KEY, name, name)
 
     // @NOTE: so we can return...
     /* prettier-ignore */
@@ -1,8 +1,20 @@
 const typeError = require('../deps/validators/error')
 const encase = require('../deps/encase')
+const pending = require('../deps/meta/pending')
+const isPromise = require('../deps/is/promise')
+const ObjectAssign = require('../deps/util/assign')
 
 const ERROR_META = {m: 1}
 
+// schema validators collect every failure in `.errors`, report them all
+const reported = (validator, error) => {
+  const errors = validator && validator.errors
+  if (!errors || errors.length === 0) return error
+
+  const messages = errors.map(failure => failure.message).join(', ')
+  return ObjectAssign(new TypeError(messages), {errors})
+}
+
 /**
  * @desc 3 steps
  *       0. enhance error
@@ -57,10 +69,9 @@ function methodEncasingFactory(name, parent, built) {
     const onSet = built.onCall || built.onSet
     const onValid = built.onValid || onSet
 
-    // default to re-throw
+    // default to re-throw, called with the enhanced error first
     const onInvalid =
-      built.onInvalid ||
-      ((arg, error) => enhanceError(arg, error, ERROR_META).reThrow())
+      built.onInvalid || (error => ObjectAssign(error, ERROR_META).reThrow())
 
     /**
      * @desc this is the actual built function
@@ -69,33 +80,44 @@ function methodEncasingFactory(name, parent, built) {
      * @since 4.0.0-beta.1
      *
      * @param  {any} arg arg to validate
-     * @return {Function} typedOnCall(argToValidate: any)
+     * @return {Chain} @chainable, thenable when the validation is async
      *
      * @example
      *    const encased = encase(fnToEncase)
      *      .onValid()
      *      .onInvalid(function)
      *      .call()
+     *
+     * @example
+     *
+     *    chain.method('eh').type(async x => x === true).build()
+     *    await chain.eh(true)
+     *    //=> chain, once it is valid & set
+     *
      */
     return function typedOnCall(arg) {
       // nodejs way - error first, data second, instance last
       const callInvalid = error => {
         // @@debugger
-        onInvalid.call(this, enhanceError(arg, error), arg, name, this)
+        const thrown = reported(fnToEncase, error)
+        onInvalid.call(this, enhanceError(arg, thrown), arg, name, this)
       }
 
       // @TODO: ensure it isn't a syntax error and is a type error
       // if it is already an error, we should only enhance it
       // @example `TypeError: Cannot read property 'call' of undefined`
-      encased
+      const called = encased
         .onInvalid(callInvalid)
         // @NOTE: onValid defaults to `this.set(name, arg)`
         .onValid(result => {
           // @@debugger
-          onValid.call(this, arg, name, this)
+          return onValid.call(this, arg, name, this)
         })
         .call(this, arg)
 
+      // validation (or the encased call) is async, onValid/onInvalid once settled
+      if (isPromise(called)) return pending(this, called)
+
       return this
     }
   }
@@ -4,24 +4,11 @@
 const ENV_DEVELOPMENT = require('../deps/env/dev')
 const ObjectKeys = require('../deps/util/keys')
 const isObj = require('../deps/is/obj')
-const isArray = require('../deps/is/array')
 const isUndefined = require('../deps/is/undefined')
-const isFunction = require('../deps/is/undefined')
 // logic
 const schemaBuilder = require('../deps/validators/schemaBuilder')
 const validatorBuilder = require('../deps/validators/validatorBuilder')
-
-const SCHEMA_KEY = 'schema'
-
-const isObjOrArray = x => (isObj(x) && !isFunction(x)) || isArray(x)
-
-// const meta = require('../deps/meta')
-// const or = require('../deps/conditional/or')
-// const and = require('../deps/conditional/and')
-// const not = require('../deps/conditional/not')
-// const condition = Condition(Condition.is(isFunction).and().not(isObj)).or(isArray)
-// const isObjNotFn = and(not(isFunction), isObj)
-// const isObjOrArray = or(isObjNotFn, isArray)
+const SCHEMA_KEY = require('../deps/meta/schema')
 
 /**
  * @desc handles:
@@ -31,11 +18,13 @@ const isObjOrArray = x => (isObj(x) && !isFunction(x)) || isArray(x)
  *       4. @modifies @injects @decorates .add(customValidators)
  *       @pattern decorator...builder...plugin...
  * @param  {Schema} obj
+ * @param  {Object} [options] `{coerce: true}` coerces values before validating
  * @return {MethodFactory} @chainable
  */
-module.exports = function schema(obj) {
+module.exports = function schema(obj, options) {
   const parent = this.parent
   const {onValid, onInvalid, define, getSet} = this.entries()
+  const coerce = this.get('coerce') || (isObj(options) && options.coerce)
   const keys = ObjectKeys(obj)
 
   for (let k = 0; k < keys.length; k++) {
@@ -61,19 +50,15 @@ module.exports = function schema(obj) {
     if (onValid) builder.onValid(onValid)
     if (define) builder.define()
     if (getSet) builder.getSet()
+    // with the schema, validators from `schemaBuilder` cannot be coerced
+    if (coerce) builder.coerce(value)
 
-    let type = value
-    if (isObjOrArray(value)) {
-      // @@DEBUGGER
-
-      // could just assign to type
-      const traversableValidator = schemaBuilder(key, value)
-
-      if (ENV_DEVELOPMENT) {
-        traversableValidator.schema = value
-      }
+    // @@DEBUGGER
+    // flat types too, so every failure is in `.errors` of the TypeError
+    const type = schemaBuilder(key, value)
 
-      type = traversableValidator
+    if (ENV_DEVELOPMENT) {
+      type.schema = value
     }
 
     // @HACK @FIXME @TODO: this should not happen,
@@ -82,7 +67,8 @@ module.exports = function schema(obj) {
     // parent.store = parent.store || new Map()
     // parent.meta = meta(parent)
     if (parent.meta) {
-      parent.meta(SCHEMA_KEY, key, value)
+      // wrapped so array schemas are not flattened into the meta values
+      parent.meta(SCHEMA_KEY, key, [value])
     }
 
     builder.type(type).build()
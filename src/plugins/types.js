@@ -3,6 +3,7 @@ const not = require('../deps/conditional/not')
 const isFalse = require('../deps/is/false')
 const withSpecification = require('../deps/encase/withSpecification')
 const validatorBuilder = require('../deps/validators/validatorBuilder')
+const coerce = require('../deps/validators/coerce')
 const encaseType = require('./encase')
 
 // we'll be opinionated and say either `false` or `throw`
@@ -29,7 +30,16 @@ module.exports = function validatorPlugin(name, parent, built) {
 
     // then encase it, prepare a TypeError factory
     const encase = encaseType(name, parent, built)
-    const validatorMethod = encase(validator, type, spec)
+    let validatorMethod = encase(validator, type, spec)
+
+    // `.coerce()` coerces with the type, `.coerce(type)` with that type
+    if (built.coerce) {
+      const coerceType = built.coerce === true ? type : built.coerce
+      const validate = validatorMethod
+      validatorMethod = function(arg) {
+        return validate.call(this, coerce(coerceType, arg))
+      }
+    }
 
     /* istanbul ignore next: dev */
     if (ENV_DEVELOPMENT) {
@@ -101,3 +101,128 @@ test.skip('species', () => {
   vals[Symbol.isConcatSpreadable] = true
   expect(x.concat(vals)).toEqual([1, 2, 3100, 200, 300])
 })
+
+test('notifies observers with change records', () => {
+  const set = new ChainedSet()
+  const records = []
+  set.meta('observers', changed => records.push(changed))
+
+  set
+    .add('sam')
+    .add('sam')
+    .prepend('first')
+    .merge(['sue'])
+    .delete('sam')
+    .delete('nope')
+    .clear()
+
+  expect(records.map(record => record.type)).toEqual([
+    'set',
+    'set',
+    'set',
+    'delete',
+    'clear',
+  ])
+  expect(records[0]).toEqual({
+    type: 'set',
+    key: 0,
+    path: 0,
+    oldValue: undefined,
+    value: 'sam',
+  })
+  expect(records[2].key).toBe(2)
+  expect(records[3].key).toBe(1)
+  expect(records[3].oldValue).toBe('sam')
+  expect(records[4].oldValue).toEqual(['first', 'sue'])
+})
+
+test('first, last, at, find, indexOf & slice', () => {
+  const set = new ChainedSet().merge(['sam', 'sue', 'joe'])
+
+  expect(set.first()).toBe('sam')
+  expect(set.last()).toBe('joe')
+  expect(set.at(1)).toBe('sue')
+  expect(set.at(-2)).toBe('sue')
+  expect(set.at(10)).toBe(undefined)
+  expect(new ChainedSet().first()).toBe(undefined)
+
+  expect(set.find(name => name.startsWith('s'))).toBe('sam')
+  expect(set.indexOf('joe')).toBe(2)
+  expect(set.indexOf('nope')).toBe(-1)
+
+  const sliced = set.slice(1)
+  expect(sliced).toBeInstanceOf(ChainedSet)
+  expect(sliced.values()).toEqual(['sue', 'joe'])
+  expect(set.values()).toEqual(['sam', 'sue', 'joe'])
+})
+
+test('insertAt, remove, replace & sort stay chainable', () => {
+  const set = new ChainedSet().merge(['sam', 'joe'])
+  const records = []
+  set.meta('observers', changed => records.push(changed))
+
+  expect(set.insertAt(1, 'sue')).toBe(set)
+  expect(set.values()).toEqual(['sam', 'sue', 'joe'])
+  expect(records[0]).toMatchObject({type: 'set', key: 1, value: 'sue'})
+
+  // moves values already in the set, clamped to the size
+  expect(set.insertAt(-1, 'sam').values()).toEqual(['sue', 'joe', 'sam'])
+  expect(set.insertAt(10, 'sue').values()).toEqual(['joe', 'sam', 'sue'])
+
+  set
+    .replace('sam', 'frank')
+    .replace('nope', 'first')
+    .remove(name => name.length === 3)
+    .add('amy')
+    .sort()
+  expect(set.values()).toEqual(['amy', 'frank'])
+  expect(records.some(record => record.oldValue === 'sam')).toBe(true)
+})
+
+test('replace throws instead of shrinking the set', () => {
+  const set = new ChainedSet().merge(['sam', 'sue', 'joe'])
+
+  expect(() => set.replace('sam', 'sue')).toThrow(
+    'cannot replace with a value already in the set: sue'
+  )
+  expect(set.values()).toEqual(['sam', 'sue', 'joe'])
+
+  // replacing a value with itself does nothing
+  expect(set.replace('sue', 'sue').values()).toEqual(['sam', 'sue', 'joe'])
+})
+
+test('dedupe by deep equality or by key', () => {
+  const deep = new ChainedSet()
+    .add({id: 1, tags: ['a']})
+    .add({id: 1, tags: ['a']})
+    .add({id: 1, tags: ['b']})
+
+  expect(deep.dedupe().values()).toEqual([
+    {id: 1, tags: ['a']},
+    {id: 1, tags: ['b']},
+  ])
+  expect(deep.dedupe('id').values()).toEqual([{id: 1, tags: ['a']}])
+
+  const byFn = new ChainedSet().merge(['Sam', 'sam', 'sue'])
+  expect(byFn.dedupe(name => name.toLowerCase()).values()).toEqual([
+    'Sam',
+    'sue',
+  ])
+})
+
+test('sets are merged & in entries(true)', () => {
+  const {Chain} = require('../src')
+  const chain = new Chain()
+  chain.tags = new ChainedSet(chain).add('eh')
+  chain.set('name', 'canada')
+
+  chain.merge({tags: ['oh', 'eh'], name: 'igloo'})
+  expect(chain.tags.values()).toEqual(['eh', 'oh'])
+  expect(chain.tags.first()).toBe('eh')
+
+  chain.tags.add(new Chain().set('nested', true))
+  expect(chain.entries(true)).toEqual({
+    name: 'igloo',
+    tags: ['eh', 'oh', {nested: true}],
+  })
+})
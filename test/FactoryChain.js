@@ -83,3 +83,130 @@ test('factory with .getData', () => {
   const age = person.props(['name', 'age']).age(10).getData('age')
   expect(age).toBe(10)
 })
+
+test('async onCall is waited for with .done()', async () => {
+  const parent = new Chain()
+  const request = new FactoryChain(parent)
+  const onDone = jest.fn(data => data)
+
+  request
+    .prop(
+      'token',
+      () => new Promise(resolve => setTimeout(() => resolve('eh'), 5))
+    )
+    .prop('url')
+    .onDone(onDone)
+
+  expect(request.url('/canada').token()).toBe(request)
+  expect(onDone).not.toHaveBeenCalled()
+
+  expect(await request.done()).toEqual({url: '/canada', token: 'eh'})
+  expect(onDone).toHaveBeenCalledTimes(1)
+  expect(request.getData('token')).toBe('eh')
+
+  // ends once
+  await request.done()
+  expect(onDone).toHaveBeenCalledTimes(1)
+})
+
+test('.done() resolves with the parent after a sync end', async () => {
+  const parent = new Chain()
+  const person = new FactoryChain(parent)
+  expect(person.props(['name']).name('sue')).toBe(parent)
+  expect(await person.done()).toBe(parent)
+})
+
+test('.done() rejects when an async onCall rejects', async () => {
+  const request = new FactoryChain(new Chain())
+  request.prop('token', () => Promise.reject(new Error('nope')))
+  request.token()
+
+  await expect(request.done()).rejects.toEqual(new Error('nope'))
+})
+
+test('missing required props throw a descriptive error', async () => {
+  const person = new FactoryChain(new Chain())
+  person.props(['name', 'age', 'email']).required(['name', 'email'])
+  person.age(10)
+
+  expect(person.missing()).toEqual(['name', 'email'])
+  expect(() => person.end()).toThrow('missing required props: name, email')
+  await expect(person.done()).rejects.toBeInstanceOf(TypeError)
+
+  person.name('sue').email('@')
+  expect(person.missing()).toEqual([])
+})
+
+test('optional props can be skipped, it can end once the rest are called', () => {
+  const parent = new Chain()
+  const person = new FactoryChain(parent)
+  person.props(['name', 'age', 'email']).optional(['email'])
+
+  expect(person.name('sue')).toBe(person)
+  expect(person.missing()).toEqual(['age'])
+  expect(() => person.end()).toThrow('missing required props: age')
+
+  expect(person.age(100)).toBe(person)
+  expect(person.isComplete()).toBe(false)
+  expect(person.missing()).toEqual([])
+  expect(person.end()).toBe(parent)
+  expect(person.getData()).toEqual({name: 'sue', age: 100})
+})
+
+test('required props decide when it can end, the rest are optional', () => {
+  const parent = new Chain()
+  const person = new FactoryChain(parent)
+  person.props(['name', 'age', 'email']).required(['name'])
+
+  expect(person.age(1)).toBe(person)
+  expect(person.name('sue')).toBe(person)
+  expect(person.end()).toBe(parent)
+})
+
+test('optional props can be called after the required ones', async () => {
+  const parent = new Chain()
+  const person = new FactoryChain(parent)
+  person.props(['a', 'b']).required(['a'])
+
+  expect(person.a(1)).toBe(person)
+  expect(person.b(2)).toBe(parent)
+  expect(person.getData()).toEqual({a: 1, b: 2})
+
+  const other = new FactoryChain(parent).props(['a', 'b']).required(['a'])
+  other.a(1)
+  expect(await other.done()).toBe(parent)
+})
+
+test('missing required props route to onInvalid', () => {
+  const parent = new Chain()
+  const person = new FactoryChain(parent)
+  const onInvalid = jest.fn()
+  person.props(['name', 'age']).required(['name', 'age']).onInvalid(onInvalid)
+
+  expect(person.age(1).end()).toBe(person)
+  expect(onInvalid).toHaveBeenCalledTimes(1)
+  expect(onInvalid.mock.calls[0][0]).toBeInstanceOf(TypeError)
+  expect(onInvalid.mock.calls[0][0].missing).toEqual(['name'])
+  expect(onInvalid.mock.calls[0][1]).toEqual({age: 1})
+})
+
+test('defaults per prop, reflected in getData & the data it ends with', () => {
+  const parent = new Chain()
+  const person = new FactoryChain(parent)
+  const onDone = jest.fn()
+  person
+    .props(['name', 'age', 'email'])
+    .required(['name', 'age'])
+    .defaults({age: 0, email: '@'})
+    .onDone(onDone)
+
+  expect(person.getData('age')).toBe(0)
+  expect(person.missing()).toEqual(['name'])
+
+  // age has a default, so it is not missing
+  expect(person.name('sue')).toBe(person)
+  expect(person.missing()).toEqual([])
+  expect(person.end()).toBe(parent)
+  expect(onDone.mock.calls[0][0]).toEqual({name: 'sue', age: 0, email: '@'})
+  expect(person.getData()).toEqual({name: 'sue', age: 0, email: '@'})
+})
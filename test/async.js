@@ -0,0 +1,142 @@
+const {Chain} = require('../src')
+
+const delay = (value, ms = 1) =>
+  new Promise(resolve => setTimeout(() => resolve(value), ms))
+
+test(`.type with an async validator sets once it is valid`, async () => {
+  const chain = new Chain()
+  chain.method('eh').type(arg => delay(arg === true)).build()
+
+  const thenable = chain.eh(true)
+  expect(typeof thenable.then).toBe('function')
+  expect(chain.has('eh')).toBe(false)
+
+  expect(await thenable).toBe(chain)
+  expect(chain.get('eh')).toBe(true)
+})
+
+test(`async validators returning false call onInvalid`, async () => {
+  const chain = new Chain()
+  const onInvalid = jest.fn()
+  const onValid = jest.fn()
+
+  chain
+    .method('eh')
+    .type(async arg => arg === true)
+    .onInvalid(onInvalid)
+    .onValid(onValid)
+    .build()
+
+  await chain.eh('canada')
+  expect(onInvalid).toHaveBeenCalledTimes(1)
+  expect(onInvalid.mock.calls[0][0]).toBeInstanceOf(Error)
+  expect(onInvalid.mock.calls[0][1]).toBe('canada')
+  expect(onValid).not.toHaveBeenCalled()
+  expect(chain.has('eh')).toBe(false)
+
+  await chain.eh(true)
+  expect(onValid).toHaveBeenCalledTimes(1)
+})
+
+test(`rejects with the TypeError by default, rejections are invalid`, async () => {
+  const chain = new Chain()
+  chain.method('eh').type(async arg => arg === true).build()
+  chain.method('oh').type(() => Promise.reject(new Error('nope'))).build()
+
+  await expect(chain.eh(false)).rejects.toBeInstanceOf(TypeError)
+  await expect(chain.oh(true)).rejects.toBeDefined()
+  expect(chain.has('eh')).toBe(false)
+  expect(chain.has('oh')).toBe(false)
+})
+
+test(`async onCall returns a thenable chain that can keep chaining`, async () => {
+  const chain = new Chain()
+  chain
+    .method('eh')
+    .onCall(function(arg) {
+      return delay(arg).then(value => this.set('eh', value))
+    })
+    .build()
+
+  const thenable = chain.eh(1).set('oh', 2)
+  expect(chain.get('oh')).toBe(2)
+  expect(chain.has('eh')).toBe(false)
+
+  await thenable
+  expect(chain.get('eh')).toBe(1)
+})
+
+test(`the thenable inherits from the chain, it is not the chain`, async () => {
+  const chain = new Chain()
+  chain
+    .method('eh')
+    .onCall(function(arg) {
+      return delay(arg).then(() => this)
+    })
+    .build()
+
+  const thenable = chain.eh(1)
+  expect(thenable).not.toBe(chain)
+  expect(Object.getPrototypeOf(thenable)).toBe(chain)
+  expect(typeof chain.then).toBe('undefined')
+
+  // methods & reads go to the chain, assigned properties do not
+  thenable.set('oh', 2)
+  thenable.canada = true
+  expect(chain.get('oh')).toBe(2)
+  expect(thenable.get('oh')).toBe(2)
+  expect(chain.canada).toBe(undefined)
+
+  expect(await thenable).toBe(chain)
+})
+
+test(`settled waits for everything pending, including getSet setters`, async () => {
+  const chain = new Chain()
+  chain.method('eh').type(arg => delay(true, 5)).build()
+  chain
+    .method('oh')
+    .getSet()
+    .onSet(arg => delay(arg).then(value => chain.set('oh', value)))
+    .build()
+
+  chain.eh(1).eh(2)
+  chain.setOh(3)
+  expect(chain.meta.pending.size).toBe(3)
+
+  expect(await chain.settled()).toBe(chain)
+  expect(chain.get('eh')).toBe(2)
+  expect(chain.get('oh')).toBe(3)
+  expect(chain.meta.pending.size).toBe(0)
+})
+
+test(`settled rejects with the first error, once everything settled`, async () => {
+  const chain = new Chain()
+  chain.method('eh').type(async arg => arg === true).build()
+  chain.method('oh').type(arg => delay(true, 5)).build()
+
+  chain.eh('canada')
+  chain.oh(true)
+
+  await expect(chain.settled()).rejects.toBeInstanceOf(TypeError)
+  expect(chain.get('oh')).toBe(true)
+})
+
+test(`settled rejects with errors that happened before it was called`, async () => {
+  const chain = new Chain()
+  chain.method('eh').type(async arg => arg === true).build()
+
+  await chain.eh('canada').catch(() => undefined)
+  expect(chain.meta.pending.size).toBe(1)
+
+  await expect(chain.settled()).rejects.toBeInstanceOf(TypeError)
+  expect(chain.meta.pending.size).toBe(0)
+  expect(await chain.settled()).toBe(chain)
+})
+
+test(`settled resolves right away without anything pending`, async () => {
+  const chain = new Chain()
+  chain.method('eh').type('boolean').build()
+
+  expect(chain.eh(true)).toBe(chain)
+  expect(await chain.settled()).toBe(chain)
+})
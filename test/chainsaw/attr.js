@@ -1,4 +1,4 @@
-var chainsaw = require('../../dist/deps/chainsaw')
+var chainsaw = require('../../src/deps/chainsaw')
 
 test('attr', () => {
   expect.assertions(4)
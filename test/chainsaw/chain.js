@@ -0,0 +1,58 @@
+const {Chain} = require('../../src')
+
+const delay = (value, ms = 5) =>
+  new Promise(resolve => setTimeout(() => resolve(value), ms))
+
+test('queues calls to chain methods, waiting for async ones', async () => {
+  const chain = new Chain().extend(['eh'])
+  chain.methods('oh').type(arg => delay(arg === true)).build()
+
+  const order = []
+  chain.observe('eh, oh', () => order.push(chain.entries()))
+
+  const result = await chain.chainsaw().oh(true).eh(1).set('canada', 2)
+
+  expect(result).toBe(chain)
+  expect(chain.entries()).toEqual({oh: true, eh: 1, canada: 2})
+  expect(order[0]).toEqual({oh: true})
+})
+
+test('errors skip to the next .then', async () => {
+  const chain = new Chain().extend(['eh'])
+  chain.methods('oh').type('number').build()
+
+  const onRejected = jest.fn()
+  await chain
+    .chainsaw()
+    .oh('canada')
+    .eh(1)
+    .then(() => {
+      throw new Error('not called')
+    }, onRejected)
+    .eh(2)
+
+  expect(onRejected).toHaveBeenCalledTimes(1)
+  expect(onRejected.mock.calls[0][0]).toBeInstanceOf(TypeError)
+  expect(chain.get('eh')).toBe(2)
+})
+
+test('builder adds handlers, with the saw & the chain', async () => {
+  const chain = new Chain().extend(['eh'])
+  const values = []
+
+  await chain
+    .chainsaw(function(saw, ch) {
+      this.wait = ms => setTimeout(saw.next, ms)
+      this.log = () => {
+        values.push(ch.get('eh'))
+        saw.next()
+      }
+    })
+    .eh(1)
+    .wait(5)
+    .log()
+    .eh(2)
+    .log()
+
+  expect(values).toEqual([1, 2])
+})
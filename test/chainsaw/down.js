@@ -35,5 +35,5 @@ test('down', done => {
     .catch(err => {
       expect(err == 'pow').toBe(true)
     })
-    .do(() => {})
+    .do(() => done())
 })
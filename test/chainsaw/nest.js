@@ -1,6 +1,6 @@
 var chainsaw = require('../../src/deps/chainsaw')
 
-test('nest', () => {
+test('nest', done => {
   expect.assertions(2)
 
   var ch = (function() {
@@ -34,5 +34,6 @@ test('nest', () => {
     .do(vars => {
     expect(order).toEqual([1, 2, 3, 4])
     expect(vars).toEqual({x: 'x', y: 'y', z: 'z'})
+    done()
   })
 })
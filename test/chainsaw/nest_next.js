@@ -1,6 +1,6 @@
 var chainsaw = require('../../src/deps/chainsaw')
 
-test('nest next', () => {
+test('nest next', done => {
   expect.assertions(2)
 
   var ch = (function() {
@@ -51,5 +51,6 @@ test('nest next', () => {
     .do(vars => {
     expect(order).toEqual([1, 2, 3, 4])
     expect(vars).toEqual({x: 'x', y: 'y', z: 'z'})
+    done()
   })
 })
@@ -1,6 +1,6 @@
 var chainsaw = require('../../src/deps/chainsaw')
 
-test('nest wait', () => {
+test('nest wait', done => {
   expect.assertions(4)
 
   var ch = (function() {
@@ -56,5 +56,6 @@ test('nest wait', () => {
     times.end = Date.now()
     var dt = times.end - times.y
     expect(dt >= 100 && dt < 125).toBeTruthy()
+    done()
   })
 })
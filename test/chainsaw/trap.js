@@ -1,6 +1,6 @@
 var chainsaw = require('../../src/deps/chainsaw')
 
-test('trap', () => {
+test('trap', done => {
   expect.assertions(3)
 
   var error = null
@@ -62,5 +62,6 @@ test('trap', () => {
     })
     .do(() => {
       expect(joined).toBeTruthy()
+      done()
     })
 })
@@ -0,0 +1,78 @@
+const {Chain, ChainedSet} = require('../src')
+
+class Plugin extends Chain {}
+
+const config = () =>
+  new Chain()
+    .child('output')
+    .child('plugins', Plugin, {keyed: 'plugin'})
+    .child('tags', ChainedSet)
+
+test(`children are created lazily, with the chain as the parent`, () => {
+  const chain = config()
+  expect(Object.keys(chain)).not.toContain('output')
+  expect(chain.entries(true)).toEqual({})
+  expect([...chain]).toEqual([])
+
+  const output = chain.output
+  expect(output).toBe(chain.output)
+  expect(output.end()).toBe(chain)
+  expect(chain.tags).toBeInstanceOf(ChainedSet)
+  expect(chain.entries(true)).toEqual({output: {}, tags: []})
+})
+
+test(`keyed children return or create the child for a key`, () => {
+  const chain = config()
+  const html = chain.plugin('html')
+
+  expect(html).toBeInstanceOf(Plugin)
+  expect(html).toBe(chain.plugin('html'))
+  expect(html.set('template', 'index.html').end()).toBe(chain)
+  expect(chain.plugins.get('html')).toBe(html)
+  expect(chain.entries(true)).toEqual({
+    plugins: {html: {template: 'index.html'}},
+  })
+})
+
+test(`children are in merge, from & iteration`, () => {
+  const chain = config().set('mode', 'dev')
+  chain.plugin('html').set('inject', true)
+
+  chain.merge({
+    output: {path: 'dist'},
+    plugins: {html: {template: 'index.html'}, css: {minify: true}},
+    tags: ['eh'],
+  })
+  expect(chain.plugin('css')).toBeInstanceOf(Plugin)
+  expect(chain.entries(true)).toEqual({
+    mode: 'dev',
+    output: {path: 'dist'},
+    plugins: {
+      html: {inject: true, template: 'index.html'},
+      css: {minify: true},
+    },
+    tags: ['eh'],
+  })
+
+  const from = config().from({output: {path: 'dist'}, plugins: {html: {}}})
+  expect(from.output.get('path')).toBe('dist')
+  expect(from.plugin('html')).toBeInstanceOf(Plugin)
+
+  expect([...chain].map(([key]) => key)).toEqual([
+    'mode',
+    'output',
+    'plugins',
+    'tags',
+  ])
+  expect([...chain][1][1]).toBe(chain.output)
+})
+
+test(`clear clears the children`, () => {
+  const chain = config()
+  chain.output.set('path', 'dist')
+  chain.plugin('html')
+
+  chain.clear()
+  expect(chain.output.has('path')).toBe(false)
+  expect(chain.plugins.length).toBe(0)
+})
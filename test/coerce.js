@@ -0,0 +1,100 @@
+const {Chain, addTypes, addCoercers} = require('../src')
+const coerce = require('../src/deps/validators/coerce')
+
+test(`.coerce() coerces strings before validating`, () => {
+  const chain = new Chain()
+  chain.method('age').type('number').coerce().build()
+  chain.method('enabled').type('boolean|null').coerce().build()
+  chain.method('tags').type('string[]').coerce().build()
+  chain.method('created').type('date').coerce().build()
+
+  chain.age('10').enabled('false').created('2017-01-01T00:00:00.000Z')
+  expect(chain.get('age')).toBe(10)
+  expect(chain.get('enabled')).toBe(false)
+  expect(chain.get('created')).toBeInstanceOf(Date)
+  expect(chain.get('created').getUTCFullYear()).toBe(2017)
+
+  chain.enabled(null)
+  expect(chain.get('enabled')).toBe(null)
+
+  chain.tags('eh')
+  expect(chain.get('tags')).toBe('eh')
+
+  expect(() => chain.age('canada')).toThrow(TypeError)
+  expect(() => chain.age('')).toThrow(TypeError)
+})
+
+test(`without .coerce() strings are not coerced`, () => {
+  const chain = new Chain()
+  chain.method('age').type('number').build()
+  expect(() => chain.age('10')).toThrow(TypeError)
+})
+
+test(`coerces unions, arrays from csv, tuples & enums`, () => {
+  expect(coerce('boolean|number', '1')).toBe(1)
+  expect(coerce('boolean|number', 'true')).toBe(true)
+  expect(coerce('number[]', '1, 2')).toEqual([1, 2])
+  expect(coerce('Array<boolean>', 'true,false')).toEqual([true, false])
+  expect(coerce('[number, boolean, string]', '1,true,eh')).toEqual([
+    1,
+    true,
+    'eh',
+  ])
+  expect(coerce('{[string]: number}', {eh: '1'})).toEqual({eh: 1})
+  expect(coerce('?number', '')).toBe('')
+  expect(coerce("'eh'|2", '2')).toBe(2)
+  expect(coerce('null|number', 'null')).toBe(null)
+  expect(coerce([1, 2, 'eh'], '2')).toBe(2)
+  expect(coerce([1, 2, 'eh'], '3')).toBe('3')
+})
+
+test(`.schema(obj, {coerce: true}) coerces nested values`, () => {
+  const chain = new Chain()
+  chain
+    .methods()
+    .schema(
+      {
+        port: 'number',
+        secure: 'boolean',
+        hosts: 'array',
+        db: {timeout: 'number', retry: '?boolean'},
+        mode: ['dev', 'prod'],
+      },
+      {coerce: true}
+    )
+
+  chain
+    .port('8080')
+    .secure('true')
+    .hosts('a,b')
+    .db({timeout: '100', retry: 'false', name: 'eh'})
+    .mode('prod')
+
+  expect(chain.entries()).toEqual({
+    port: 8080,
+    secure: true,
+    hosts: ['a', 'b'],
+    db: {timeout: 100, retry: false, name: 'eh'},
+    mode: 'prod',
+  })
+
+  expect(() => chain.db({timeout: 'canada'})).toThrow(TypeError)
+})
+
+test(`.coerce() before .schema coerces every key`, () => {
+  const chain = new Chain()
+  chain.methods().coerce().schema({eh: 'number'})
+  expect(chain.eh('1').get('eh')).toBe(1)
+})
+
+test(`custom coercers are registered next to addTypes`, () => {
+  addTypes({cents: x => Number.isInteger(x)})
+  addCoercers({
+    cents: x => (typeof x === 'string' ? Math.round(x * 100) : x),
+  })
+
+  const chain = new Chain()
+  chain.method('price').type('cents').coerce().build()
+  expect(chain.price('1.5').get('price')).toBe(150)
+  expect(chain.price(2).get('price')).toBe(2)
+})
@@ -0,0 +1,135 @@
+const {Chain} = require('../src')
+
+test(`computed from dependencies, lazily`, () => {
+  const chain = new Chain()
+  const fn = jest.fn(({roles, dates}) =>
+    roles.includes('admin') && dates.created < 10
+  )
+
+  chain
+    .computed('admin')
+    .type('boolean')
+    .use('roles, dates.created', fn)
+    .build()
+
+  chain.set('roles', ['admin']).set('dates.created', 1)
+  expect(fn).not.toHaveBeenCalled()
+
+  expect(chain.admin()).toBe(true)
+  expect(chain.get('admin')).toBe(true)
+  expect(fn).toHaveBeenCalledTimes(1)
+  expect(fn.mock.calls[0][0]).toEqual({roles: ['admin'], dates: {created: 1}})
+
+  // not a dependency
+  chain.set('eh', true)
+  expect(chain.get('admin')).toBe(true)
+  expect(fn).toHaveBeenCalledTimes(1)
+
+  // parent path of a dependency
+  chain.set('dates', {created: 100})
+  expect(chain.get('admin')).toBe(false)
+  expect(fn).toHaveBeenCalledTimes(2)
+
+  chain.delete('roles')
+  expect(() => chain.get('admin')).toThrow()
+})
+
+test(`appears in entries & dot-prop get`, () => {
+  const chain = new Chain()
+  chain
+    .computed('name')
+    .use('first, last', ({first, last}) => ({full: first + ' ' + last}))
+    .build()
+
+  chain.set('first', 'eh').set('last', 'canada')
+  expect(chain.entries()).toEqual({
+    first: 'eh',
+    last: 'canada',
+    name: {full: 'eh canada'},
+  })
+  expect(chain.get('name.full')).toBe('eh canada')
+})
+
+test(`has computed values, without them being in the store`, () => {
+  const chain = new Chain()
+  chain
+    .computed('name')
+    .use('first', ({first}) => ({full: first}))
+    .build()
+
+  expect(chain.has('name')).toBe(true)
+  expect(chain.store.has('name')).toBe(false)
+  expect(chain.has('first')).toBe(false)
+
+  chain.set('first', 'eh')
+  expect(chain.has('first')).toBe(true)
+  expect(chain.has('name.full')).toBe(true)
+  expect(chain.has('nope')).toBe(false)
+})
+
+test(`is read-only`, () => {
+  const chain = new Chain()
+  chain.computed('eh').use('oh', ({oh}) => oh).build()
+
+  expect(() => chain.set('eh', 1)).toThrow(TypeError)
+  expect(() => chain.set('eh.canada', 1)).toThrow(TypeError)
+  expect(() => chain.merge({eh: 1})).toThrow(TypeError)
+  expect(chain.store.has('eh')).toBe(false)
+})
+
+test(`globs match every path in the store`, () => {
+  const chain = new Chain()
+  const fn = jest.fn(({prices}) => prices.a + prices.b)
+  chain.computed('total').use('prices.*', fn).build()
+
+  chain.set('prices', {a: 1, b: 2})
+  expect(chain.get('total')).toBe(3)
+
+  chain.set('prices.b', 10)
+  expect(chain.get('total')).toBe(11)
+  expect(fn).toHaveBeenCalledTimes(2)
+})
+
+test(`computed values can depend on computed values`, () => {
+  const chain = new Chain()
+  chain.computed('double').use('eh', ({eh}) => eh * 2).build()
+  chain.computed('quad').use('double', ({double}) => double * 2).build()
+
+  chain.set('eh', 1)
+  expect(chain.get('quad')).toBe(4)
+  chain.set('eh', 2)
+  expect(chain.get('quad')).toBe(8)
+})
+
+test(`throws when computed values depend on each other`, () => {
+  const chain = new Chain()
+  chain.computed('eh').use('oh', ({oh}) => oh).build()
+  chain.computed('oh').use('eh', ({eh}) => eh).build()
+
+  expect(() => chain.get('eh')).toThrow(/depend on each other/)
+})
+
+test(`validates with .type`, () => {
+  const chain = new Chain()
+  chain.computed('eh').type('number').use('oh', ({oh}) => oh).build()
+
+  chain.set('oh', 'canada')
+  expect(() => chain.get('eh')).toThrow(TypeError)
+  chain.set('oh', 1)
+  expect(chain.get('eh')).toBe(1)
+})
+
+test(`computed again after a transaction rolls back`, () => {
+  const chain = new Chain().set('eh', 1)
+  chain.computed('oh').use('eh', ({eh}) => eh).build()
+
+  expect(() =>
+    chain.batch(() => {
+      chain.set('eh', 2)
+      expect(chain.get('oh')).toBe(2)
+      throw new Error('rollback')
+    })
+  ).toThrow('rollback')
+
+  expect(chain.get('oh')).toBe(1)
+})
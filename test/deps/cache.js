@@ -0,0 +1,80 @@
+const {cache} = require('../../src')
+const lru = require('../../src/deps/cache/lru')
+const dotPropPaths = require('../../src/deps/dot/paths')
+const segments = require('../../src/deps/dot/segments')
+const matcher = require('../../src/deps/matcher')
+
+test('lru keeps the most recently used entries', () => {
+  const recent = lru(2)
+  recent.set('a', 1).set('b', 2)
+  expect(recent.get('a')).toBe(1)
+
+  recent.set('c', 3)
+  expect(recent.has('a')).toBe(true)
+  expect(recent.has('b')).toBe(false)
+  expect(recent.size()).toBe(2)
+
+  recent.limit(1)
+  expect(recent.has('a')).toBe(false)
+  expect(recent.get('c')).toBe(3)
+})
+
+test('namespaces have their own limits, objects are keyed by identity', () => {
+  const eh = cache('test-eh', 1)
+  const oh = cache('test-oh')
+  expect(cache('test-eh')).toBe(eh)
+
+  const key = {}
+  eh.set('a', 1).set('b', 2).set(key, 'object')
+  oh.set('a', 'oh')
+
+  expect(eh.has('a')).toBe(false)
+  expect(eh.get('b')).toBe(2)
+  expect(eh.get(key)).toBe('object')
+  expect(eh.get({})).toBe(undefined)
+  expect(eh.size()).toBe(1)
+  expect(oh.get('a')).toBe('oh')
+
+  cache.clear('test-eh')
+  expect(eh.has('b')).toBe(false)
+  expect(eh.has(key)).toBe(false)
+  expect(oh.get('a')).toBe('oh')
+
+  cache.clear()
+  expect(oh.has('a')).toBe(false)
+})
+
+test('dot-prop paths are not stale after mutating', () => {
+  const value = {eh: 1}
+  expect(dotPropPaths('', value)).toEqual(['eh'])
+
+  value.canada = {igloo: true}
+  expect(dotPropPaths('', value)).toEqual(['eh', 'canada', 'canada.igloo'])
+  expect(dotPropPaths('', value, true)).toEqual(['eh', 'canada.igloo'])
+  expect(dotPropPaths('pre', value, true)).toEqual([
+    'pre.eh',
+    'pre.canada.igloo',
+  ])
+})
+
+test('dot-prop paths of frozen objects are cached', () => {
+  const value = Object.freeze({eh: {canada: true}})
+  const paths = dotPropPaths('', value)
+  expect(dotPropPaths('', value)).toBe(paths)
+  expect(dotPropPaths('', value, true)).toEqual(['eh.canada'])
+
+  cache.clear('paths')
+  expect(dotPropPaths('', value)).not.toBe(paths)
+})
+
+test('segments & matcher are cached in their namespaces', () => {
+  cache.clear()
+  expect(segments('eh.canada')).toEqual(['eh', 'canada'])
+  expect(cache('segments').has('eh.canada')).toBe(true)
+
+  matcher.make('eh*')
+  matcher.make('!eh', true, true)
+  expect(cache('matcher').size()).toBe(2)
+  expect(matcher.make('!eh', true, true).source).toBe('^(?!eh)$')
+  expect(matcher.make('!eh').source).toBe('eh')
+})
@@ -0,0 +1,99 @@
+const {Chain, toJSONSchema} = require('../../src')
+const builder = require('../../src/deps/validators/validatorBuilder')
+const parse = require('../../src/deps/validators/expression/parse')
+
+test('grouping & intersections', () => {
+  const mixed = builder('(string|number)[]')
+  expect(mixed(['eh', 1])).toBe(true)
+  expect(mixed(['eh', true])).toBe(false)
+
+  expect(builder('string&number')('eh')).toBe(false)
+  expect(builder('string(1..3) & string(/^e/)')('eh')).toBe(true)
+  expect(builder('string(1..3) & string(/^e/)')('ehh!')).toBe(false)
+  expect(builder('?(string|number)')(undefined)).toBe(true)
+})
+
+test('tuples, records & generics', () => {
+  expect(builder('[string, number]')(['eh', 1])).toBe(true)
+  expect(builder('[string, number]')(['eh', 1, 2])).toBe(false)
+  expect(builder('[string, number]')(['eh', 'oh'])).toBe(false)
+
+  expect(builder('{[string]: number}')({eh: 1, oh: 2})).toBe(true)
+  expect(builder('{[string]: number}')({eh: 'canada'})).toBe(false)
+  expect(builder('{[string]: number}')([1])).toBe(false)
+  expect(builder('{[number]: string}')({1: 'eh'})).toBe(true)
+  expect(builder('{[number]: string}')({eh: 'eh'})).toBe(false)
+
+  const dates = builder('Map<string, date>')
+  expect(dates(new Map([['eh', new Date()]]))).toBe(true)
+  expect(dates(new Map([['eh', 'igloo']]))).toBe(false)
+  expect(dates({eh: new Date()})).toBe(false)
+  expect(builder('Set<number>')(new Set([1, 2]))).toBe(true)
+  expect(builder('Array<string>')('eh')).toBe(false)
+  expect(builder('Array<string>')(['eh'])).toBe(true)
+})
+
+test('ranges, regex constraints & literals', () => {
+  const percent = builder('number(0..100)')
+  expect(percent(0)).toBe(true)
+  expect(percent(100)).toBe(true)
+  expect(percent(101)).toBe(false)
+  expect(percent('50')).toBe(false)
+  expect(builder('number(..-1.5)')(-2)).toBe(true)
+
+  expect(builder('string(2..)')('e')).toBe(false)
+  expect(builder('array(..1)')([1, 2])).toBe(false)
+  expect(builder('string(/^eh$/i)')('EH')).toBe(true)
+  expect(builder('string(/^eh$/i)')('canada')).toBe(false)
+
+  const size = builder("'big' | 'small' | 0 | null")
+  expect(size('big')).toBe(true)
+  expect(size(0)).toBe(true)
+  expect(size(null)).toBe(true)
+  expect(size('0')).toBe(false)
+})
+
+test('compiled once & cached by expression', () => {
+  const validator = builder('[string, number(0..)]')
+  expect(builder('[string, number(0..)]')).toBe(validator)
+  expect(builder.has('[string, number(0..)]')).toBeTruthy()
+})
+
+test('keeps the existing names, enums & arithmetic types', () => {
+  expect(builder('enabled|disabled')('enabled')).toBe(true)
+  expect(builder('enabled|disabled')('other')).toBe(false)
+  expect(builder('string|string[]')(['eh'])).toBe(true)
+  expect(builder('?string[]')(undefined)).toBe(true)
+  expect(builder('!string')('eh')).toBe(false)
+})
+
+test('malformed expressions throw a SyntaxError', () => {
+  expect(() => parse('(string')).toThrow(SyntaxError)
+  expect(() => parse('string|')).toThrow(SyntaxError)
+  expect(() => parse('string %')).toThrow(/unexpected "%" at 7/)
+  expect(() => builder('Foo<string>')).toThrow(SyntaxError)
+})
+
+test('with .type & toJSONSchema', () => {
+  const chain = new Chain()
+  chain.method('point').type('[number(0..), number(0..)]').build()
+  chain.point([1, 2])
+  expect(() => chain.point([1, -2])).toThrow(TypeError)
+
+  chain.methods().schema({
+    scores: '{[string]: number(0..100)}',
+    name: 'string(1..20) & string(/^[a-z]+$/)',
+  })
+  expect(toJSONSchema(chain).properties).toEqual({
+    scores: {
+      type: 'object',
+      additionalProperties: {type: 'number', minimum: 0, maximum: 100},
+    },
+    name: {
+      allOf: [
+        {type: 'string', minLength: 1, maxLength: 20},
+        {type: 'string', pattern: '^[a-z]+$'},
+      ],
+    },
+  })
+})
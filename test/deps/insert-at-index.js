@@ -0,0 +1,23 @@
+const insertAtIndex = require('../../src/deps/array/insert-at-index')
+
+test('inserts before the value at the index, keeping it', () => {
+  expect(insertAtIndex(['a', 'b', 'c'], 0, ['x'])).toEqual(['x', 'a', 'b', 'c'])
+  expect(insertAtIndex(['a', 'b', 'c'], 1, ['x', 'y'])).toEqual([
+    'a',
+    'x',
+    'y',
+    'b',
+    'c',
+  ])
+  expect(insertAtIndex(['a', 'b', 'c'], 2, ['x'])).toEqual(['a', 'b', 'x', 'c'])
+})
+
+test('appends at or past the end', () => {
+  expect(insertAtIndex(['a'], 1, ['x'])).toEqual(['a', 'x'])
+  expect(insertAtIndex(['a'], 3, ['x'])).toEqual([
+    'a',
+    undefined,
+    undefined,
+    'x',
+  ])
+})
@@ -0,0 +1,144 @@
+const {compose} = require('../src')
+
+const {Observe, Shorthands, Transform, DotProp, History} = compose
+const Editor = compose(undefined, [
+  Observe,
+  Shorthands,
+  Transform,
+  DotProp,
+  History,
+])
+
+test(`can undo & redo sets`, () => {
+  const editor = new Editor()
+  expect(editor.canUndo()).toBe(false)
+
+  editor.set('eh', 1).set('eh', 2)
+  expect(editor.canUndo()).toBe(true)
+  expect(editor.canRedo()).toBe(false)
+
+  expect(editor.undo().get('eh')).toBe(1)
+  expect(editor.canRedo()).toBe(true)
+  expect(editor.undo().has('eh')).toBe(false)
+  expect(editor.canUndo()).toBe(false)
+
+  // nothing left, does nothing
+  expect(editor.undo().entries()).toEqual({})
+
+  expect(editor.redo().get('eh')).toBe(1)
+  expect(editor.redo().get('eh')).toBe(2)
+  expect(editor.canRedo()).toBe(false)
+})
+
+test(`a new change clears redo`, () => {
+  const editor = new Editor().set('eh', 1).set('eh', 2)
+  editor.undo().set('eh', 3)
+
+  expect(editor.canRedo()).toBe(false)
+  expect(editor.redo().get('eh')).toBe(3)
+})
+
+test(`can undo deletes & clears`, () => {
+  const editor = new Editor().set('eh', 1).set('oh', {canada: true})
+
+  editor.delete('eh')
+  expect(editor.undo().get('eh')).toBe(1)
+
+  editor.clear()
+  expect(editor.entries()).toEqual({})
+  expect(editor.undo().entries()).toEqual({eh: 1, oh: {canada: true}})
+  expect(editor.redo().entries()).toEqual({})
+})
+
+test(`merge is a single step`, () => {
+  const editor = new Editor().set('eh', 1)
+
+  editor.merge({eh: 2, oh: 3, canada: {igloo: true}})
+  expect(editor.undo().entries()).toEqual({eh: 1})
+  expect(editor.redo().entries()).toEqual({eh: 2, oh: 3, canada: {igloo: true}})
+})
+
+test(`works through dot-prop paths`, () => {
+  const editor = new Editor()
+    .set('canada.eh', true)
+    .set('canada.igloo', 'big')
+    .set('canada.igloo', 'small')
+
+  expect(editor.undo().get('canada')).toEqual({eh: true, igloo: 'big'})
+  editor.delete('canada.eh')
+  expect(editor.get('canada')).toEqual({igloo: 'big'})
+  expect(editor.undo().get('canada.eh')).toBe(true)
+  expect(editor.undo().get('canada')).toEqual({eh: true})
+})
+
+test(`undoing a dot-prop set removes the first accessor it added`, () => {
+  const editor = new Editor().set('a', 2).set('b.c', 3)
+
+  expect(editor.undo().entries()).toEqual({a: 2})
+  expect(editor.has('b')).toBe(false)
+  expect(editor.redo().entries()).toEqual({a: 2, b: {c: 3}})
+
+  editor.set('b.d', 4)
+  expect(editor.undo().entries()).toEqual({a: 2, b: {c: 3}})
+})
+
+test(`patches are not changed by reference`, () => {
+  const canada = {eh: true}
+  const editor = new Editor().set('canada', canada)
+  editor.set('canada', {eh: false})
+
+  // mutate the original reference after it was recorded
+  canada.eh = 'mutated'
+
+  expect(editor.undo().get('canada')).toEqual({eh: true})
+})
+
+test(`checkpoints`, () => {
+  const editor = new Editor()
+    .set('eh', 1)
+    .checkpoint('saved')
+    .set('eh', 2)
+    .set('eh', 3)
+
+  // no checkpoint with that label, nothing is undone
+  expect(editor.undo('nope').get('eh')).toBe(3)
+
+  expect(editor.undo('saved').get('eh')).toBe(1)
+  expect(editor.redo().get('eh')).toBe(2)
+  expect(editor.undo().get('eh')).toBe(1)
+  // already past the checkpoint, nothing to redo up to it
+  expect(editor.redo('saved').get('eh')).toBe(1)
+  expect(editor.redo().get('eh')).toBe(2)
+})
+
+test(`history depth`, () => {
+  const editor = new Editor().set('eh', 1).set('eh', 2).set('eh', 3)
+
+  editor.historyDepth(2)
+  expect(editor.undo().undo().get('eh')).toBe(1)
+  expect(editor.canUndo()).toBe(false)
+
+  editor.historyDepth(1).set('oh', 1).set('oh', 2)
+  expect(editor.undo().undo().get('oh')).toBe(1)
+})
+
+test(`undo skips transformers & notifies observers once`, () => {
+  const editor = new Editor().transform('eh', x => x + 1)
+  const calls = []
+
+  editor.set('eh', 1).set('eh', 10)
+  editor.observe('eh', (data, chain, changed) => calls.push(changed.type))
+
+  expect(editor.undo().get('eh')).toBe(2)
+  expect(editor.redo().get('eh')).toBe(11)
+  expect(calls).toEqual(['batch', 'batch'])
+})
+
+test(`unobserveAll keeps recording history`, () => {
+  const editor = new Editor()
+  editor.observe('*', () => {})
+  editor.unobserveAll()
+
+  editor.set('eh', 1)
+  expect(editor.canUndo()).toBe(true)
+})
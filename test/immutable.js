@@ -1,42 +1,24 @@
 const immutable = require('immutable')
-const log = require('fliplog')
 const {compose} = require('../src')
 
-const todo = console.log
-todo('can use any immutable type')
-test.skip('simple', () => {
-  const ImmutableChain = new compose({immutable: true})
-  const {
-    Seq,
-    Map,
-    Range,
-    fromJS,
-    List,
-    OrderedSet,
-    Stack,
-    OrderedMap,
-    Collection,
-    Record,
-    Iteratable,
-    Repeat,
-    is,
-  } = immutable
-
-  const ImmutableMap = immutable.Map
-  ImmutableChain.immutablejs(immutable)
-
-  const chain = new ImmutableChain().structure(Record).data(fromJS({eh: true}))
-  const chain2 = new ImmutableChain().structure(Record).data(new ImmutableMap())
-  chain.set('oo', true)
-  chain.merge({eh: false, mutable: true})
-  chain.setIn(['eh.canada.moose'], true)
-
-  chain2.setIn(['eh', 'canada', 'moose'], true)
-  chain2.mergeDeep(chain.immutable)
-  chain2.set('gooses', true) // differentiation from chain1
+test('simple', () => {
+  const ImmutableChain = new compose({immutable: true, adapter: immutable})
+  const {is, fromJS} = immutable
+
+  const chain = new ImmutableChain()
+    .merge(fromJS({eh: true}).toJS())
+    .set('oo', true)
+    .merge({eh: false, mutable: true})
+    .setIn(['canada', 'moose'], true)
+
+  const chain2 = new ImmutableChain()
+    .setIn(['eh', 'canada', 'moose'], true)
+    .mergeDeep(chain.immutable)
+    .set('gooses', true) // differentiation from chain1
 
   const js = chain2.toJS()
   expect(js.eh !== undefined).toBe(true)
+  expect(js.canada).toEqual({moose: true})
 
   // immutable lib equals
   expect(is(chain2.immutable, chain2.immutable)).toBe(true)
@@ -45,13 +27,78 @@ test.skip('simple', () => {
   // chain equals
   expect(chain2.equals(chain2)).toBe(true)
   expect(chain2.equals(chain)).toBe(false)
+})
+
+test('set returns a new chain, and freezes the old one', () => {
+  const ImmutableChain = compose({immutable: true})
+  const igloo = {big: true}
+
+  const one = new ImmutableChain().set('canada', {eh: true, igloo})
+  const two = one.set('canada.eh', false)
+
+  expect(two).not.toBe(one)
+  expect(one.get('canada.eh')).toBe(true)
+  expect(two.get('canada.eh')).toBe(false)
+
+  // structural sharing
+  expect(two.get('canada.igloo')).toBe(igloo)
+
+  expect(Object.isFrozen(one)).toBe(true)
+  expect(Object.isFrozen(two)).toBe(false)
+  expect(() => one.store.set('eh', 1)).toThrow(TypeError)
+
+  // old versions can still be changed into new ones
+  const three = one.set('oh', 1)
+  expect(three.entries()).toEqual({canada: {eh: true, igloo}, oh: 1})
+  expect(two.has('oh')).toBe(false)
+})
+
+test('delete, clear & merge return new chains', () => {
+  const ImmutableChain = compose({immutable: true})
+  const one = new ImmutableChain().set('eh', 1).set('canada', {igloo: 1})
+
+  const deleted = one.delete('eh').delete('canada.igloo')
+  expect(deleted.entries()).toEqual({canada: {}})
+  expect(one.entries()).toEqual({eh: 1, canada: {igloo: 1}})
+
+  const cleared = one.clear()
+  expect(cleared.entries()).toEqual({})
+  expect(one.get('eh')).toBe(1)
+
+  const merged = one.merge({oh: 2})
+  expect(merged.entries()).toEqual({eh: 1, canada: {igloo: 1}, oh: 2})
+  expect(one.has('oh')).toBe(false)
+})
+
+test('withMutations makes a single new chain', () => {
+  const ImmutableChain = compose({immutable: true})
+  const one = new ImmutableChain()
+
+  const two = one.withMutations(draft => {
+    expect(draft.set('eh', 1)).toBe(draft)
+    draft.set('oh', 2).set('canada.igloo', true)
+  })
+
+  expect(one.entries()).toEqual({})
+  expect(two.entries()).toEqual({eh: 1, oh: 2, canada: {igloo: true}})
+  expect(Object.isFrozen(two)).toBe(false)
+})
+
+test('shorthands, transformers & observers follow the new chains', () => {
+  const ImmutableChain = compose({immutable: true})
+  const calls = []
+
+  const one = new ImmutableChain().extend(['eh']).transform('eh', x => x * 10)
+  one.observe('eh', (data, chain) => calls.push([data.eh, chain]))
+
+  const two = one.eh(1)
+  const three = two.eh(2)
+
+  expect(two.get('eh')).toBe(10)
+  expect(three.get('eh')).toBe(20)
+  expect(calls).toEqual([[10, two], [20, three]])
 
-  // for debugging
-  //
-  // t.true(immutable.isImmutable(chain2.immutable)) // seems to be gone
-  // log.quick(chain.immutable, chain2.immutable)
-  // log.tosource().data(chain2.equals).exit()
-  //
-  // delete chain.parent && delete chain.immutable
-  // log.quick(chain)
+  // configuring a new chain does not change the old one
+  three.transform('eh', x => x)
+  expect(two.set('eh', 3).get('eh')).toBe(30)
 })
@@ -0,0 +1,128 @@
+const {Chain, toJSONSchema, fromJSONSchema} = require('../src')
+
+const DRAFT = 'http://json-schema.org/draft-07/schema#'
+
+test(`toJSONSchema translates the registered schema`, () => {
+  const chain = new Chain()
+  chain.methods().schema({
+    id: 'number',
+    name: '?string',
+    status: ['enabled', 'disabled'],
+    kind: 'big|small',
+    value: 'number|string',
+    tags: 'string[]',
+    notString: '!string',
+    created: {at: 'date', by: '?email'},
+  })
+
+  expect(toJSONSchema(chain)).toEqual({
+    $schema: DRAFT,
+    type: 'object',
+    properties: {
+      id: {type: 'number'},
+      name: {anyOf: [{type: 'string'}, {type: 'null'}]},
+      status: {enum: ['enabled', 'disabled']},
+      kind: {enum: ['big', 'small']},
+      value: {anyOf: [{type: 'number'}, {type: 'string'}]},
+      tags: {
+        anyOf: [{type: 'string'}, {type: 'array', items: {type: 'string'}}],
+      },
+      notString: {not: {type: 'string'}},
+      created: {
+        type: 'object',
+        properties: {
+          at: {type: 'string', format: 'date-time'},
+          by: {anyOf: [{type: 'string', format: 'email'}, {type: 'null'}]},
+        },
+        required: ['at'],
+      },
+    },
+    required: ['id', 'status', 'kind', 'value', 'tags', 'notString', 'created'],
+  })
+})
+
+test(`toJSONSchema with a schema, or without one`, () => {
+  expect(toJSONSchema({eh: [{canada: 'boolean'}]}).properties.eh).toEqual({
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {canada: {type: 'boolean'}},
+      required: ['canada'],
+    },
+  })
+  expect(toJSONSchema(new Chain())).toEqual({
+    $schema: DRAFT,
+    type: 'object',
+    properties: {},
+  })
+})
+
+test(`fromJSONSchema builds a schema for .schema`, () => {
+  const doc = {
+    type: 'object',
+    properties: {
+      id: {type: 'integer'},
+      name: {type: 'string'},
+      status: {enum: ['enabled', 'disabled']},
+      value: {anyOf: [{type: 'number'}, {type: 'string'}]},
+      one: {oneOf: [{type: 'number'}, {enum: [1, 'eh']}]},
+      nullable: {type: ['boolean', 'null']},
+      tags: {type: 'array', items: {type: 'string'}},
+      creator: {
+        type: 'object',
+        properties: {name: {type: 'string'}, admin: {type: 'boolean'}},
+        required: ['name'],
+      },
+    },
+    required: ['id', 'status', 'value', 'one', 'nullable', 'tags', 'creator'],
+  }
+
+  const schema = fromJSONSchema(doc)
+  expect(schema.name).toBe('?string')
+  expect(schema.status).toEqual(['enabled', 'disabled'])
+  expect(schema.value).toBe('number|string')
+  expect(schema.nullable).toBe('boolean|null')
+  expect(schema.creator).toEqual({name: 'string', admin: '?boolean'})
+
+  const chain = new Chain()
+  chain.methods().schema(schema)
+
+  chain
+    .id(1)
+    .name('eh')
+    .status('enabled')
+    .value('canada')
+    .one(2)
+    .nullable(null)
+    .tags(['igloo', 'moose'])
+    .creator({name: 'eh', admin: true})
+
+  expect(chain.validate()).toEqual([])
+  expect(() => chain.id(1.5)).toThrow(TypeError)
+  expect(() => chain.status('other')).toThrow(TypeError)
+  expect(() => chain.value(false)).toThrow(TypeError)
+  expect(() => chain.one(1)).toThrow(TypeError)
+  expect(() => chain.tags(['igloo', 1])).toThrow(TypeError)
+  expect(() => chain.creator({name: 1})).toThrow(TypeError)
+})
+
+test(`round-trips through toJSONSchema`, () => {
+  const doc = {
+    $schema: DRAFT,
+    type: 'object',
+    properties: {
+      id: {type: 'integer'},
+      status: {enum: ['enabled', 'disabled']},
+      tags: {type: 'array', items: {type: 'string'}},
+      maybe: {allOf: [{type: 'number'}, {not: {const: 0}}]},
+    },
+    required: ['id', 'status', 'tags'],
+  }
+
+  const chain = new Chain()
+  chain.methods().schema(fromJSONSchema(doc))
+  expect(toJSONSchema(chain)).toEqual(doc)
+
+  expect(() => chain.maybe(0)).toThrow(TypeError)
+  expect(chain.maybe(undefined).maybe(1).get('maybe')).toBe(1)
+})
@@ -10,6 +10,7 @@ test(`can observe a string property with .set`, () => {
     .observe('eh', data => {
       expect(data.eh).toBe(true)
     })
+    .end()
     .eh(true)
 })
 
@@ -25,6 +26,7 @@ test(`observe is called for [properties]`, () => {
       if (called++ === 0) return expect(data.eh).toBe(true)
       expect(data.timbuck).toBe(false)
     })
+    .end()
     .eh(true)
     .timbuck(false)
 })
@@ -52,6 +54,7 @@ test(`observe is called only when changed`, () => {
         expect(true).toBeFalsy()
       }
     })
+    .end()
     .eh(true)
     .timbuck(false)
     .eh(true)
@@ -68,6 +71,7 @@ test(`observe can use magic *`, () => {
     .observe(['canad*'], data => {
       return expect(data.canada).toBe(true)
     })
+    .end()
     .canada(true)
     .canada(true)
     .timbuck(false)
@@ -83,6 +87,7 @@ test(`observe can use magic with [function, regexp] too`, () => {
     .observe([x => false, new RegExp('timbuck'), '*'], data => {
       return expect(data.canada).toBe(true)
     })
+    .end()
     .canada(true)
     .canada(true)
     .timbuck(false)
@@ -97,6 +102,7 @@ test(`observe works for .* prop `, () => {
       // log.data({data}).echo()
       expect(data.canada.eh).toBeTruthy()
     })
+    .end()
     .merge({canada: {eh: true}})
     .merge({canada: {arr: [0, {'1': 2}], eh: {again: true}}})
     .set('canada.eh', 1)
@@ -115,8 +121,230 @@ test(`observe works for dot prop`, () => {
       // log.data({data}).echo()
       return expect(data.canada.eh).toBeTruthy()
     })
+    .end()
     .merge({canada: {eh: true}})
     .set('canada.eh', 1)
     .set('eh', false)
     .timbuck(true)
 })
+
+test(`observe returns a subscription that can unobserve`, () => {
+  const chain = new Chain()
+  let called = 0
+
+  const subscription = chain.observe('eh', data => called++)
+  chain.set('eh', 1)
+  expect(subscription.closed).toBe(false)
+
+  expect(subscription.unobserve()).toBe(chain)
+  expect(subscription.closed).toBe(true)
+
+  chain.set('eh', 2)
+  expect(called).toBe(1)
+  expect(subscription.end()).toBe(chain)
+})
+
+test(`once only calls the observer on the first change`, () => {
+  const chain = new Chain()
+  let called = 0
+
+  const subscription = chain.once('eh', data => {
+    called++
+    expect(data.eh).toBe(1)
+  })
+  chain.set('eh', 1).set('eh', 2).set('eh', 3)
+
+  expect(called).toBe(1)
+  expect(subscription.closed).toBe(true)
+})
+
+test(`unobserveAll removes every observer`, () => {
+  const chain = new Chain()
+  let called = 0
+
+  chain.observe('eh', () => called++)
+  chain.observe('*', () => called++)
+
+  expect(chain.unobserveAll()).toBe(chain)
+  chain.set('eh', true)
+  expect(called).toBe(0)
+})
+
+test(`chains observing the same keys do not share memoized data`, () => {
+  const one = new Chain()
+  const two = new Chain()
+  let calledOne = 0
+  let calledTwo = 0
+
+  one.observe('eh', () => calledOne++)
+  two.observe('eh', () => calledTwo++)
+
+  one.set('eh', true)
+  two.set('eh', true)
+
+  expect(calledOne).toBe(1)
+  expect(calledTwo).toBe(1)
+})
+
+test(`observers on the same chain and keys each get called`, () => {
+  const chain = new Chain()
+  let called = 0
+
+  chain.observe('eh', () => called++)
+  chain.observe('eh', () => called++)
+  chain.set('eh', true)
+
+  expect(called).toBe(2)
+})
+
+test(`batch calls observers once with all changed paths`, () => {
+  const chain = new Chain()
+  const calls = []
+
+  chain.observe(['eh', 'oh', 'canada.*'], data => calls.push(data))
+  chain.batch(batched => {
+    batched.set('eh', 1).set('oh', 2)
+    batched.merge({canada: {igloo: true}})
+    batched.set('eh', 3)
+  })
+
+  expect(calls.length).toBe(1)
+  expect(calls[0]).toEqual({eh: 3, oh: 2, canada: {igloo: true}})
+})
+
+test(`transaction commit and rollback`, () => {
+  const chain = new Chain().set('eh', 1).set('canada', {igloo: true})
+  let called = 0
+  chain.observe('*', () => called++)
+
+  const transaction = chain.transaction()
+  chain.set('eh', 2).set('canada.igloo', false).set('oh', true)
+  expect(called).toBe(0)
+  expect(transaction.rollback()).toBe(chain)
+
+  expect(called).toBe(0)
+  expect(chain.entries()).toEqual({eh: 1, canada: {igloo: true}})
+
+  // closed, nothing pending
+  chain.set('eh', 3)
+  expect(called).toBe(1)
+  expect(transaction.commit()).toBe(chain)
+  expect(called).toBe(1)
+})
+
+test(`batch rolls back and rethrows when it throws`, () => {
+  const canada = {igloo: true}
+  const chain = new Chain().set('eh', 1).set('canada', canada)
+  let called = 0
+  chain.observe('*', () => called++)
+
+  expect(() =>
+    chain.batch(batched => {
+      batched.set('eh', 2)
+      throw new Error('nope')
+    })
+  ).toThrow('nope')
+
+  expect(called).toBe(0)
+  expect(chain.get('eh')).toBe(1)
+  // untouched references are kept
+  expect(chain.get('canada')).toBe(canada)
+})
+
+test(`nested batches commit once at the outermost`, () => {
+  const chain = new Chain()
+  let called = 0
+  chain.observe(['eh', 'oh'], () => called++)
+
+  chain.batch(outer => {
+    outer.batch(inner => inner.set('eh', 1))
+    expect(called).toBe(0)
+    outer.set('oh', 1)
+  })
+
+  expect(called).toBe(1)
+})
+
+test(`observers get typed change records for sets`, () => {
+  const chain = new Chain()
+  const records = []
+  chain.observe(['eh', 'canada.*'], (data, instance, changed) =>
+    records.push(changed)
+  )
+
+  chain.set('eh', 1).set('eh', 2).set('canada.igloo', true)
+
+  expect(records[0]).toEqual({
+    type: 'set',
+    key: 'eh',
+    path: 'eh',
+    oldValue: undefined,
+    value: 1,
+  })
+  expect(records[1].oldValue).toBe(1)
+  expect(records[1].value).toBe(2)
+  expect(records[2]).toEqual({
+    type: 'set',
+    key: 'canada.igloo',
+    path: 'canada.igloo',
+    oldValue: undefined,
+    value: true,
+    prop: 'canada',
+    propOldValue: undefined,
+  })
+})
+
+test(`observers are called for deletes, and data is updated`, () => {
+  const chain = new Chain().set('eh', 1).set('oh', 2)
+  const calls = []
+  chain.observe(['eh', 'oh'], (data, instance, changed) =>
+    calls.push({data: Object.assign({}, data), changed})
+  )
+
+  chain.delete('eh')
+  // not in the store, nothing changed
+  chain.delete('nope')
+
+  expect(calls.length).toBe(1)
+  expect(calls[0].data).toEqual({})
+  expect(calls[0].changed).toEqual({
+    type: 'delete',
+    key: 'eh',
+    path: 'eh',
+    oldValue: 1,
+    value: undefined,
+  })
+})
+
+test(`observers are called for dot-prop deletes`, () => {
+  const chain = new Chain()
+  const calls = []
+  chain.observe(['canada.*'], (data, instance, changed) =>
+    calls.push({data: JSON.parse(JSON.stringify(data)), changed})
+  )
+
+  chain.set('canada.eh', true).set('canada.igloo', true)
+  expect(chain.delete('canada.eh')).toBe(chain)
+
+  expect(calls.length).toBe(3)
+  expect(calls[2].changed.type).toBe('delete')
+  expect(calls[2].changed.path).toBe('canada.eh')
+  expect(calls[2].changed.oldValue).toBe(true)
+  expect(calls[2].data).toEqual({canada: {igloo: true}})
+})
+
+test(`observers are called for clears with all keys`, () => {
+  const chain = new Chain().set('eh', 1).set('oh', 2)
+  const records = []
+  chain.observe(['eh', 'oh'], (data, instance, changed) =>
+    records.push(changed)
+  )
+
+  chain.clear()
+  chain.clear()
+
+  expect(records.length).toBe(1)
+  expect(records[0].type).toBe('clear')
+  expect(records[0].key).toEqual(['eh', 'oh'])
+  expect(records[0].oldValue).toEqual({eh: 1, oh: 2})
+})
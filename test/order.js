@@ -0,0 +1,117 @@
+const {Chain, ChainedSet} = require('../src')
+
+test(`before & after place the last set key`, () => {
+  const chain = new Chain()
+    .set('a', 1)
+    .set('b', 2)
+    .set('c', 3)
+    .before('a')
+
+  expect(chain.entries()).toEqual({c: 3, a: 1, b: 2})
+  expect(Object.keys(chain.entries())).toEqual(['c', 'a', 'b'])
+  expect(chain.values()).toEqual([3, 1, 2])
+  expect([...chain]).toEqual([['c', 3], ['a', 1], ['b', 2]])
+
+  // constraints can name keys that are set later
+  const later = new Chain().set('eh', 1).after('canada').set('canada', 2)
+  expect(Object.keys(later.entries())).toEqual(['canada', 'eh'])
+})
+
+test(`constraints are resolved together, keeping the rest in order`, () => {
+  const chain = new Chain()
+    .set('loader', 1)
+    .set('minify', 2)
+    .after('loader')
+    .set('env', 3)
+    .before('loader')
+    .set('clean', 4)
+    .before('env')
+
+  expect(Object.keys(chain.entries())).toEqual([
+    'clean',
+    'env',
+    'loader',
+    'minify',
+  ])
+})
+
+test(`move & order position keys directly`, () => {
+  const chain = new Chain().set('a', 1).set('b', 2).set('c', 3)
+
+  chain.move('c', 0)
+  expect(Object.keys(chain.entries())).toEqual(['c', 'a', 'b'])
+  chain.move('c', -1)
+  expect(Object.keys(chain.entries())).toEqual(['a', 'b', 'c'])
+  chain.move('missing', 0)
+  expect(Object.keys(chain.entries())).toEqual(['a', 'b', 'c'])
+
+  chain.order(['c', 'missing', 'b'])
+  expect(Object.keys(chain.entries())).toEqual(['c', 'b', 'a'])
+  expect(chain.get('b')).toBe(2)
+})
+
+test(`ChainedSet orders values`, () => {
+  const set = new ChainedSet()
+    .add('b')
+    .add('a')
+    .before('b')
+    .add('c')
+    .after('b')
+
+  expect(set.values()).toEqual(['a', 'b', 'c'])
+
+  // moving drops the constraints on the moved value
+  expect(set.move('c', 0).values()).toEqual(['c', 'a', 'b'])
+
+  const moved = new ChainedSet().add('a').add('b').add('c')
+  expect(moved.move('c', 0).values()).toEqual(['c', 'a', 'b'])
+  expect(moved.order(['b']).values()).toEqual(['b', 'c', 'a'])
+})
+
+test(`move & order drop constraints, so they are not undone`, () => {
+  const chain = new Chain()
+    .set('a', 1)
+    .set('b', 2)
+    .set('c', 3)
+    .before('a')
+
+  expect(Object.keys(chain.entries())).toEqual(['c', 'a', 'b'])
+  chain.move('c', 2)
+  expect(Object.keys(chain.entries())).toEqual(['a', 'b', 'c'])
+
+  // constraints naming the key are dropped too
+  chain.set('d', 4).after('a')
+  chain.order(['a'])
+  expect(Object.keys(chain.entries())).toEqual(['a', 'b', 'c', 'd'])
+  expect(chain.meta('order')).toEqual([])
+})
+
+test(`delete drops the constraints on the key`, () => {
+  const chain = new Chain()
+    .set('a', 1)
+    .set('b', 2)
+    .set('c', 3)
+    .before('a')
+
+  chain.delete('c')
+  chain.set('c', 3)
+  expect(Object.keys(chain.entries())).toEqual(['a', 'b', 'c'])
+
+  const set = new ChainedSet().add('a').add('b').before('a')
+  set.delete('b').add('b')
+  expect(set.values()).toEqual(['a', 'b'])
+})
+
+test(`cycles throw when reading in order`, () => {
+  const chain = new Chain()
+    .set('a', 1)
+    .before('b')
+    .set('b', 2)
+    .before('c')
+    .set('c', 3)
+    .before('a')
+
+  expect(() => chain.entries()).toThrow('cannot order, cycle: b -> c -> a -> b')
+  expect(() => chain.values()).toThrow(/cycle/)
+  expect(chain.get('a')).toBe(1)
+})
@@ -0,0 +1,170 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {compose, ChainedSet} = require('../src')
+const file = require('../src/deps/persist/file')
+
+const {Observe, Shorthands, Transform, DotProp, Persist} = compose
+const Stored = compose(undefined, [
+  Observe,
+  Shorthands,
+  Transform,
+  DotProp,
+  Persist,
+])
+
+beforeEach(() => jest.useFakeTimers())
+afterEach(() => jest.useRealTimers())
+
+test(`memory adapter`, () => {
+  const storage = Persist.memory({eh: 1})
+  expect(storage.getItem('eh')).toBe('1')
+  expect(storage.getItem('nope')).toBe(null)
+
+  storage.setItem('canada', 'igloo')
+  expect(storage.getItem('canada')).toBe('igloo')
+  storage.removeItem('canada')
+  expect(storage.getItem('canada')).toBe(null)
+})
+
+test(`saves & hydrates`, () => {
+  const storage = Persist.memory()
+  const chain = new Stored().storage({adapter: storage, key: 'eh'})
+  chain.set('eh', new Date(0)).set('canada.igloo', true)
+  chain.tags = new ChainedSet(chain).add('big')
+  chain.save()
+
+  const saved = JSON.parse(storage.getItem('eh'))
+  expect(saved.version).toBe(0)
+  expect(saved.chain.$chain).toBe(1)
+
+  const hydrated = new Stored().storage({adapter: storage, key: 'eh'}).hydrate()
+  expect(hydrated.get('eh')).toEqual(new Date(0))
+  expect(hydrated.get('canada.igloo')).toBe(true)
+  expect(hydrated.tags.values()).toEqual(['big'])
+})
+
+test(`hydrate does nothing when nothing is saved`, () => {
+  const chain = new Stored().storage({}).set('eh', 1)
+  expect(chain.hydrate().entries()).toEqual({eh: 1})
+})
+
+test(`autosaves once changes stop, debounced`, () => {
+  const storage = Persist.memory()
+  const setItem = jest.spyOn(storage, 'setItem')
+  const chain = new Stored().storage({adapter: storage, key: 'eh'})
+
+  chain.set('eh', 1).set('eh', 2).merge({oh: 3})
+  expect(setItem).not.toHaveBeenCalled()
+
+  jest.runAllTimers()
+  expect(setItem).toHaveBeenCalledTimes(1)
+  expect(new Stored().storage({adapter: storage, key: 'eh'}).hydrate().entries())
+    .toEqual({eh: 2, oh: 3})
+})
+
+test(`debounce 0 saves on every change, autosave can be turned off`, () => {
+  const storage = Persist.memory()
+  const setItem = jest.spyOn(storage, 'setItem')
+  const chain = new Stored().storage({adapter: storage, debounce: 0})
+
+  chain.set('eh', 1).delete('eh')
+  expect(setItem).toHaveBeenCalledTimes(2)
+
+  chain.storage({autosave: false}).set('eh', 2)
+  jest.runAllTimers()
+  expect(setItem).toHaveBeenCalledTimes(2)
+})
+
+test(`key templates`, () => {
+  const storage = Persist.memory()
+
+  new Stored()
+    .storage({adapter: storage, key: 'user:{id}:{profile.name}'})
+    .set('id', 1)
+    .set('profile.name', 'eh')
+    .save()
+  expect(storage.getItem('user:1:eh')).not.toBe(null)
+
+  new Stored()
+    .storage({adapter: storage, key: chain => 'fn' + chain.get('id')})
+    .set('id', 2)
+    .save()
+  expect(storage.getItem('fn2')).not.toBe(null)
+
+  // default key is the class name
+  new Stored().storage({adapter: storage}).save()
+  expect(storage.getItem(new Stored().className)).not.toBe(null)
+})
+
+test(`runs migrations in order & saves the migrated data`, () => {
+  const storage = Persist.memory()
+  new Stored()
+    .storage({adapter: storage, key: 'eh'})
+    .set('title', 'canada')
+    .set('at', new Date(0))
+    .save()
+
+  const calls = []
+  const migrations = {
+    3: data => {
+      calls.push(3)
+      return {name: data.name.toUpperCase(), at: data.at}
+    },
+    2: data => {
+      calls.push(2)
+      expect(data.at).toEqual(new Date(0))
+      return {name: data.title, at: data.at}
+    },
+    4: () => calls.push(4),
+  }
+
+  const chain = new Stored()
+    .storage({adapter: storage, key: 'eh', version: 3, migrations})
+    .hydrate()
+
+  expect(calls).toEqual([2, 3])
+  expect(chain.entries()).toEqual({name: 'CANADA', at: new Date(0)})
+  expect(JSON.parse(storage.getItem('eh')).version).toBe(3)
+
+  // already migrated
+  new Stored()
+    .storage({adapter: storage, key: 'eh', version: 3, migrations})
+    .hydrate()
+  expect(calls).toEqual([2, 3])
+})
+
+test(`unpersist removes the saved chain & stops saving`, () => {
+  const storage = Persist.memory()
+  const chain = new Stored().storage({adapter: storage, key: 'eh'})
+  chain.set('eh', 1).save().unpersist()
+  expect(storage.getItem('eh')).toBe(null)
+
+  chain.set('eh', 2)
+  jest.runAllTimers()
+  expect(storage.getItem('eh')).toBe(null)
+})
+
+test(`throws without an adapter`, () => {
+  expect(() => new Stored().save()).toThrow(/storage/)
+})
+
+test(`file adapter`, () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-able-'))
+  const filepath = path.join(dir, 'chains.json')
+
+  const chain = new Stored().storage({adapter: file(filepath), key: 'eh'})
+  chain.set('eh', /canada/g).save()
+  expect(JSON.parse(fs.readFileSync(filepath, 'utf8'))).toHaveProperty('eh')
+
+  const hydrated = new Stored()
+    .storage({adapter: file(filepath), key: 'eh'})
+    .hydrate()
+  expect(hydrated.get('eh')).toEqual(/canada/g)
+
+  hydrated.unpersist()
+  expect(file(filepath).getItem('eh')).toBe(null)
+
+  fs.unlinkSync(filepath)
+  fs.rmdirSync(dir)
+})
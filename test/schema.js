@@ -253,3 +253,139 @@ test('.schema|', () => {
 
   expect(() => chain.setEh(100)).toThrow()
 })
+
+test('?type does not accept null, undefined or empty strings', () => {
+  const validatorBuilder = require('../src/deps/validators/validatorBuilder')
+
+  expect(validatorBuilder('?string')('eh')).toBe(true)
+  expect(validatorBuilder('?string')(null)).toBe(false)
+  expect(validatorBuilder('?number')(undefined)).toBe(false)
+  expect(validatorBuilder('?boolean')('')).toBe(false)
+  expect(validatorBuilder('boolean|null')(null)).toBe(true)
+})
+
+test('.schema - reports every failing path', () => {
+  expect.assertions(5)
+  const chain = new Chain()
+  chain
+    .methods()
+    .onInvalid(error => {
+      expect(error).toBeInstanceOf(TypeError)
+      expect(error.errors).toEqual([
+        {
+          path: 'user.name',
+          expected: 'string',
+          actual: 1,
+          message: 'user.name: [object Number] != string',
+        },
+        {
+          path: 'user.dates.created',
+          expected: 'date',
+          actual: 'eh',
+          message: 'user.dates.created: [object String] != date',
+        },
+      ])
+      expect(error.message).toMatch('user.name')
+      expect(error.message).toMatch('user.dates.created')
+    })
+    .schema({user: {name: 'string', admin: 'boolean', dates: {created: 'date'}}})
+
+  chain.user({name: 1, admin: true, dates: {created: 'eh'}})
+  expect(chain.has('user')).toBe(false)
+})
+
+test('.schema - thrown TypeError keeps the failures', () => {
+  const chain = new Chain()
+  chain.methods().schema({created: {at: 'date'}})
+
+  let thrown
+  try {
+    chain.created({at: 'eh'})
+  }
+  catch (error) {
+    thrown = error
+  }
+
+  expect(thrown).toBeInstanceOf(TypeError)
+  expect(thrown.errors.map(failure => failure.path)).toEqual(['created.at'])
+})
+
+test('.validate() checks the store with the schema, without setting', () => {
+  const chain = new Chain()
+  chain.methods().schema({
+    id: 'number',
+    status: 'enabled|disabled',
+    created: {at: 'date'},
+  })
+
+  expect(chain.validate()).toEqual([])
+
+  chain.id(1).created({at: new Date()})
+  expect(chain.validate()).toEqual([])
+
+  chain.store.set('id', 'eh')
+  chain.store.set('created', {at: false})
+
+  const errors = chain.validate()
+  expect(errors.map(failure => failure.path)).toEqual(['id', 'created.at'])
+  expect(errors[0]).toMatchObject({expected: 'number', actual: 'eh'})
+  expect(chain.get('id')).toBe('eh')
+})
+
+test('.schema - reports missing required nested keys', () => {
+  const chain = new Chain()
+  chain.methods().schema({
+    user: {name: 'string', nick: '?string', dates: {created: 'date'}},
+  })
+
+  let thrown
+  try {
+    chain.user({name: 'eh'})
+  }
+  catch (error) {
+    thrown = error
+  }
+
+  expect(thrown).toBeInstanceOf(TypeError)
+  expect(thrown.errors).toEqual([
+    {
+      path: 'user.dates.created',
+      expected: 'date',
+      actual: undefined,
+      message: 'user.dates.created: [object Undefined] != date',
+    },
+  ])
+  expect(chain.has('user')).toBe(false)
+
+  chain.user({name: 'eh', dates: {created: new Date()}})
+  expect(chain.get('user').name).toBe('eh')
+
+  chain.store.set('user', {dates: {}})
+  const paths = chain.validate().map(failure => failure.path)
+  expect(paths).toEqual(['user.name', 'user.dates.created'])
+})
+
+test('.schema - flat keys attach the failures too', () => {
+  expect.assertions(4)
+  const chain = new Chain()
+  chain
+    .methods()
+    .onInvalid(error => {
+      expect(error).toBeInstanceOf(TypeError)
+      expect(error.errors).toEqual([
+        {
+          path: 'tags',
+          expected: 'string[]',
+          actual: [1],
+          message: 'tags: [object Array] != string[]',
+        },
+      ])
+    })
+    .schema({tags: 'string[]'})
+
+  chain.tags([1])
+  expect(chain.has('tags')).toBe(false)
+
+  chain.tags(['eh'])
+  expect(chain.get('tags')).toEqual(['eh'])
+})
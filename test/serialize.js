@@ -0,0 +1,176 @@
+const {Chain, ChainedSet, ChainedMap} = require('../src')
+
+class Canada extends Chain {
+  constructor(parent) {
+    super(parent)
+    this.igloos = new ChainedSet(this)
+    this.extend(['eh'])
+  }
+}
+
+test(`round-trips Date, RegExp, Map, Set & undefined values`, () => {
+  const chain = new Chain()
+    .set('date', new Date(0))
+    .set('re', /eh\.oh/gi)
+    .set('map', new Map([[1, {canada: [new Date(1)]}]]))
+    .set('set', new Set(['eh', 'oh']))
+    .set('nope', undefined)
+    .set('obj', {$type: 'not a tag', arr: [1, {eh: true}]})
+
+  const copy = Chain.deserialize(chain.serialize())
+
+  expect(copy.get('date')).toEqual(new Date(0))
+  expect(copy.get('re')).toEqual(/eh\.oh/gi)
+  expect(copy.get('re').flags).toBe('gi')
+  expect(copy.get('map')).toEqual(new Map([[1, {canada: [new Date(1)]}]]))
+  expect(copy.get('set')).toEqual(new Set(['eh', 'oh']))
+  expect(copy.has('nope')).toBe(true)
+  expect(copy.get('nope')).toBe(undefined)
+  expect(copy.get('obj')).toEqual({$type: 'not a tag', arr: [1, {eh: true}]})
+})
+
+test(`is a versioned JSON envelope`, () => {
+  const data = JSON.parse(new Chain().set('eh', 1).serialize())
+
+  expect(data).toEqual({
+    $chain: 1,
+    type: 'ChainedMap',
+    store: [['eh', 1]],
+    children: {},
+    meta: {shorthands: [], decorated: []},
+  })
+
+  data.$chain = 1000
+  expect(() => new Chain().from(data)).toThrow(/version/)
+})
+
+test(`round-trips nested ChainedMap & ChainedSet children, keeping order`, () => {
+  const chain = new Chain()
+  chain.people = new ChainedSet(chain).add('sue').add('sam').prepend('first')
+  chain.places = new Chain(chain).set('moon', {far: true})
+  chain.places.kinds = new ChainedSet(chain.places).add('rock')
+
+  const copy = Chain.deserialize(chain.serialize())
+
+  expect(copy.people).toBeInstanceOf(ChainedSet)
+  expect(copy.people.values()).toEqual(['first', 'sue', 'sam'])
+  expect(copy.people.parent).toBe(copy)
+  expect(copy.places).toBeInstanceOf(ChainedMap)
+  expect(copy.places.get('moon')).toEqual({far: true})
+  expect(copy.places.kinds.values()).toEqual(['rock'])
+  expect(copy.entries(true)).toEqual(chain.entries(true))
+})
+
+test(`keeps the class & reuses existing children`, () => {
+  const canada = new Canada().eh(true)
+  canada.igloos.add('big').add('small')
+
+  const copy = Canada.deserialize(canada.serialize())
+  expect(copy).toBeInstanceOf(Canada)
+  expect(copy.get('eh')).toBe(true)
+  expect(copy.igloos.values()).toEqual(['big', 'small'])
+})
+
+test(`restores shorthands & decorated names into meta`, () => {
+  const chain = new Chain().extend(['eh']).eh(1)
+  chain.method('oh').decorate(chain).build()
+
+  const copy = Chain.deserialize(chain.serialize())
+  expect(typeof copy.eh).toBe('function')
+  expect(copy.eh(2).get('eh')).toBe(2)
+  expect(copy.meta.store.shorthands.has('eh')).toBe(true)
+  expect(copy.meta.store.decorated.has('oh')).toBe(true)
+})
+
+test(`from() consumes envelopes & JSON strings`, () => {
+  const chain = new Chain().set('eh', new Date(0))
+
+  const fromEnvelope = new Chain().from(JSON.parse(chain.serialize()))
+  expect(fromEnvelope.get('eh')).toEqual(new Date(0))
+
+  const fromString = new Chain().from(chain.serialize())
+  expect(fromString.get('eh')).toEqual(new Date(0))
+
+  expect(new Chain().from('{"eh": true}').get('eh')).toBe(true)
+})
+
+test(`does not transform or dot-prop values again`, () => {
+  const chain = new Chain().transform('eh', x => x * 10).set('eh', 1)
+  chain.store.set('canada.eh', true)
+
+  const copy = new Chain().transform('eh', x => x * 10).from(chain.serialize())
+  expect(copy.get('eh')).toBe(10)
+  expect(copy.store.get('canada.eh')).toBe(true)
+  expect(copy.store.has('canada')).toBe(false)
+})
+
+test(`ChainedSet serializes on its own`, () => {
+  const set = new ChainedSet().add('eh').add(new Date(0)).add(/oh/)
+  const copy = ChainedSet.deserialize(set.serialize())
+
+  expect(copy).toBeInstanceOf(ChainedSet)
+  expect(copy.values()).toEqual(['eh', new Date(0), /oh/])
+})
+
+test(`chains stored as values round-trip as chains`, () => {
+  const parent = new Chain().set('eh', true)
+  parent
+    .set('kid', new Chain(parent).set('canada', new Date(0)))
+    .set('igloos', new ChainedSet(parent).add('ice'))
+
+  const env = JSON.parse(parent.serialize())
+  expect(env.store[1][1].$type).toBe('Chain')
+  expect(env.store[1][1].value.type).toBe('ChainedMap')
+  expect(env.store[2][1].value.type).toBe('ChainedSet')
+
+  const copy = Chain.deserialize(parent.serialize())
+  expect(copy.get('kid')).toBeInstanceOf(ChainedMap)
+  expect(copy.get('kid').parent).toBe(copy)
+  expect(copy.get('kid').get('canada')).toEqual(new Date(0))
+  expect(copy.get('igloos')).toBeInstanceOf(ChainedSet)
+  expect(copy.get('igloos').values()).toEqual(['ice'])
+})
+
+test(`self-referencing values throw instead of overflowing`, () => {
+  const eh = {canada: true}
+  eh.eh = eh
+  expect(() => new Chain().set('eh', eh).serialize()).toThrow(/circular/)
+
+  const chain = new Chain()
+  chain.set('self', chain)
+  expect(() => chain.serialize()).toThrow(/circular/)
+
+  const shared = {canada: true}
+  const copy = Chain.deserialize(
+    new Chain().set('a', shared).set('b', [shared, shared]).serialize()
+  )
+  expect(copy.get('b')).toEqual([{canada: true}, {canada: true}])
+})
+
+test(`round-trips NaN & Infinity`, () => {
+  const chain = new Chain()
+    .set('nan', NaN)
+    .set('max', Infinity)
+    .set('min', -Infinity)
+    .set('nested', {eh: [NaN]})
+
+  const copy = Chain.deserialize(chain.serialize())
+  expect(copy.get('nan')).toBeNaN()
+  expect(copy.get('max')).toBe(Infinity)
+  expect(copy.get('min')).toBe(-Infinity)
+  expect(copy.get('nested').eh[0]).toBeNaN()
+})
+
+test(`function values are dropped, not turned into null`, () => {
+  const fn = () => 'eh'
+  const chain = new Chain().set('fn', fn).set('eh', {fn, oh: true})
+  chain.tags = new ChainedSet(chain).add(fn).add('canada')
+
+  const json = chain.serialize()
+  expect(json).not.toMatch('null')
+
+  const copy = Chain.deserialize(json)
+  expect(copy.has('fn')).toBe(false)
+  expect(copy.get('eh')).toEqual({oh: true})
+  expect(copy.tags.values()).toEqual(['canada'])
+})
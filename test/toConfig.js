@@ -0,0 +1,110 @@
+const {Chain, ChainedSet} = require('../src')
+const clean = require('../src/deps/reduce/clean')
+
+class Plugin extends Chain {}
+
+test(`nested chains are objects, sets are arrays`, () => {
+  const chain = new Chain()
+    .child('output')
+    .child('plugins', Plugin, {keyed: 'plugin'})
+    .set('mode', 'dev')
+    .set('nested', new Chain().set('eh', true))
+
+  chain.tags = new ChainedSet(chain).add('eh').add(new Chain().set('oh', 1))
+  chain.output.set('path', 'dist')
+  chain.plugin('html').set('template', 'index.html')
+
+  expect(chain.toConfig()).toEqual({
+    mode: 'dev',
+    nested: {eh: true},
+    output: {path: 'dist'},
+    plugins: {html: {template: 'index.html'}},
+    tags: ['eh', {oh: 1}],
+  })
+  expect(chain.tags.toConfig()).toEqual(['eh', {oh: 1}])
+})
+
+test(`undefined & empty values are dropped`, () => {
+  const date = new Date(0)
+  const chain = new Chain()
+    .child('output')
+    .child('plugins', Plugin, {keyed: 'plugin'})
+    .set('undef', undefined)
+    .set('nil', null)
+    .set('arr', [])
+    .set('obj', {})
+    .set('zero', 0)
+    .set('no', false)
+    .set('str', '')
+    .set('date', date)
+
+  chain.output.set('empty', undefined)
+  chain.plugin('html')
+
+  expect(chain.toConfig()).toEqual({
+    nil: null,
+    zero: 0,
+    no: false,
+    str: '',
+    date,
+  })
+})
+
+test(`instances are kept, nested plain objects are cleaned`, () => {
+  class HtmlPlugin {
+    apply() {}
+  }
+  const plugin = new HtmlPlugin()
+  const chain = new Chain()
+    .set('plugin', plugin)
+    .set('plugins', [plugin])
+    .set('nested', {eh: undefined, empty: {oh: undefined}, arr: [], ok: 1})
+    .set('allEmpty', {eh: {oh: []}})
+
+  const config = chain.toConfig()
+  expect(config).toEqual({plugin, plugins: [plugin], nested: {ok: 1}})
+  expect(config.plugin).toBe(plugin)
+  expect(Object.keys(config.nested)).toEqual(['ok'])
+})
+
+test(`onExport hooks change or omit keys`, () => {
+  const chain = new Chain()
+    .set('mode', 'dev')
+    .set('secret', 'eh')
+    .set('plugins', [new Chain().set('name', 'html')])
+    .onExport('mode', mode => mode.toUpperCase())
+    .onExport('mode', (mode, key) => mode + ':' + key)
+    .onExport('secret', () => undefined)
+    .onExport('plugins', plugins => plugins.map(plugin => plugin.name))
+
+  expect(chain.toConfig()).toEqual({mode: 'DEV:mode', plugins: ['html']})
+})
+
+test(`sets drop undefined & empty members, like maps drop values`, () => {
+  const set = new ChainedSet()
+    .add(undefined)
+    .add(null)
+    .add([])
+    .add(new Chain())
+    .add(0)
+    .add('eh')
+    .add(new Chain().set('oh', 1))
+
+  expect(set.toConfig()).toEqual([null, 0, 'eh', {oh: 1}])
+  expect(new Chain().set('tags', set).toConfig()).toEqual({
+    tags: [null, 0, 'eh', {oh: 1}],
+  })
+})
+
+test(`clean still keeps only non-empty arrays & objects`, () => {
+  const cleaned = clean({
+    eh: 'canada',
+    zero: 0,
+    date: new Date(0),
+    arr: [1],
+    empty: [],
+    obj: {keys: true},
+    emptyObj: {},
+  })
+  expect(cleaned).toEqual({arr: [1], obj: {keys: true}})
+})
@@ -0,0 +1,112 @@
+const {Chain, ChainedSet} = require('../src')
+const valueToSource = require('../src/deps/source/valueToSource')
+
+class Plugin extends Chain {}
+class HtmlPlugin {}
+
+test(`fluent calls, with shorthands & children`, () => {
+  const chain = new Chain()
+    .extend(['mode'])
+    .child('output')
+    .child('plugins', Plugin, {keyed: 'plugin'})
+    .child('unused')
+
+  chain.mode('dev').set('test', /\.js$/)
+  chain.output.set('path', 'dist')
+  chain.plugin('html').set('template', 'index.html')
+  chain.tags = new ChainedSet(chain).add('eh')
+
+  expect(chain.toSource()).toBe(
+    [
+      'chain',
+      `  .mode('dev')`,
+      `  .set('test', /\\.js$/)`,
+      '  .output',
+      `    .set('path', 'dist')`,
+      '    .end()',
+      `  .plugin('html')`,
+      `    .set('template', 'index.html')`,
+      '    .end()',
+      '  .tags',
+      `    .add('eh')`,
+      '    .end()',
+    ].join('\n')
+  )
+  expect(String(chain)).toBe(chain.toSource())
+  expect(`${chain.tags}`).toBe(`chain\n  .add('eh')`)
+  expect(chain.tags.toSource({name: 'tags'})).toBe(`tags\n  .add('eh')`)
+})
+
+test(`the generated source makes the same config`, () => {
+  const chain = new Chain().extend(['mode']).child('output')
+  chain.mode('dev').set('list', [1, 'two', {three: 3}])
+  chain.output.set('path', 'dist')
+
+  const make = new Function('chain', 'return ' + chain.toSource())
+  const copy = make(new Chain().extend(['mode']).child('output'))
+  expect(copy.toConfig()).toEqual(chain.toConfig())
+})
+
+test(`object literal style`, () => {
+  const chain = new Chain().child('output').set('eh', [1, 'canada'])
+  chain.output.set('path', 'dist')
+
+  expect(chain.toSource({style: 'object'})).toBe(
+    `{eh: [1, 'canada'], output: {path: 'dist'}}`
+  )
+})
+
+test(`values are printed sensibly`, () => {
+  const circular = {}
+  circular.self = circular
+
+  expect(valueToSource(`eh 'canada'\n`)).toBe(`'eh \\'canada\\'\\n'`)
+  expect(valueToSource(new Date(0))).toBe(
+    `new Date('1970-01-01T00:00:00.000Z')`
+  )
+  expect(valueToSource(x => x + 1)).toBe('x => x + 1')
+  expect(valueToSource(new Set([1]))).toBe('new Set([1])')
+  expect(valueToSource(new Map([['eh', 1]]))).toBe(`new Map([['eh', 1]])`)
+  expect(valueToSource({'not-id': null, ok: undefined})).toBe(
+    `{'not-id': null, ok: undefined}`
+  )
+  expect(valueToSource(new HtmlPlugin())).toBe('new HtmlPlugin()')
+  expect(valueToSource(Object.assign(new HtmlPlugin(), {eh: 1}))).toBe(
+    'Object.assign(new HtmlPlugin(), {eh: 1})'
+  )
+  expect(valueToSource(circular)).toBe('{self: undefined /* circular */}')
+
+  const long = {first: 'a'.repeat(30), second: 'b'.repeat(30)}
+  expect(valueToSource(long)).toBe(
+    `{\n  first: '${long.first}',\n  second: '${long.second}',\n}`
+  )
+})
+
+test(`custom serializers are used first`, () => {
+  const serializers = [
+    value =>
+      value instanceof HtmlPlugin ? `new (require('html-plugin'))()` : undefined,
+  ]
+  const chain = new Chain().set('plugins', [new HtmlPlugin()])
+
+  expect(chain.toSource({serializers})).toBe(
+    `chain\n  .set('plugins', [new (require('html-plugin'))()])`
+  )
+})
+
+test(`composed chains are made as Chain, subclasses by their name`, () => {
+  const chain = new Chain()
+    .set('kid', new Chain().set('eh', true))
+    .set('plugin', new Plugin())
+  const set = new ChainedSet().add(new Chain())
+
+  expect(chain.toSource()).toBe(
+    [
+      'chain',
+      `  .set('kid', new Chain()`,
+      `    .set('eh', true))`,
+      `  .set('plugin', new Plugin())`,
+    ].join('\n')
+  )
+  expect(set.toSource()).toBe(`chain\n  .add(new Chain())`)
+})
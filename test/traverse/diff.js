@@ -0,0 +1,111 @@
+const {Chain, diff, applyPatch} = require('../../src')
+
+test('diff of equal values is empty', () => {
+  expect(diff({eh: [1, {igloo: true}]}, {eh: [1, {igloo: true}]})).toEqual([])
+  expect(diff(1, 1)).toEqual([])
+})
+
+test('diff adds, removes & replaces', () => {
+  const a = {eh: 1, oh: 2, canada: {igloo: true, moose: [1, 2, 3]}}
+  const b = {eh: 2, canada: {igloo: true, moose: [1, 5]}, date: new Date(0)}
+
+  expect(diff(a, b)).toEqual([
+    {op: 'remove', path: '/canada/moose/2'},
+    {op: 'remove', path: '/oh'},
+    {op: 'replace', path: '/eh', value: 2},
+    {op: 'replace', path: '/canada/moose/1', value: 5},
+    {op: 'add', path: '/date', value: new Date(0)},
+  ])
+})
+
+test('diff replaces different kinds of values & the root', () => {
+  expect(diff({eh: [1]}, {eh: {0: 1}})).toEqual([
+    {op: 'replace', path: '/eh', value: {0: 1}},
+  ])
+  expect(diff([1], {eh: 1})).toEqual([
+    {op: 'replace', path: '', value: {eh: 1}},
+  ])
+})
+
+test('diff escapes JSON Pointers', () => {
+  expect(diff({}, {'a/b': 1, 'c~d': 2})).toEqual([
+    {op: 'add', path: '/a~1b', value: 1},
+    {op: 'add', path: '/c~0d', value: 2},
+  ])
+})
+
+test('applyPatch applies a diff', () => {
+  const a = {eh: 1, oh: 2, list: [1, 2, 3, 4], canada: {'a/b': {igloo: 1}}}
+  const b = {eh: {deep: true}, list: [1, 3], canada: {'a/b': {igloo: 2}}}
+
+  const patched = applyPatch(a, diff(a, b))
+  expect(patched).toEqual(b)
+  // not mutated
+  expect(a.oh).toBe(2)
+})
+
+test('applyPatch add, move, copy & test', () => {
+  const patched = applyPatch({eh: 1, list: [1, 3]}, [
+    {op: 'add', path: '/list/1', value: 2},
+    {op: 'add', path: '/list/-', value: 4},
+    {op: 'copy', from: '/list', path: '/copied'},
+    {op: 'move', from: '/eh', path: '/moved'},
+    {op: 'test', path: '/moved', value: 1},
+  ])
+
+  expect(patched).toEqual({
+    list: [1, 2, 3, 4],
+    copied: [1, 2, 3, 4],
+    moved: 1,
+  })
+})
+
+test('applyPatch throws on invalid operations', () => {
+  expect(() => applyPatch({eh: 1}, [{op: 'test', path: '/eh', value: 2}]))
+    .toThrow('test failed: /eh')
+  expect(() => applyPatch({}, [{op: 'remove', path: '/nope'}]))
+    .toThrow('path does not exist: /nope')
+  expect(() => applyPatch({}, [{op: 'add', path: '/nope/eh', value: 1}]))
+    .toThrow('path does not exist: /nope/eh')
+  expect(() => applyPatch({list: []}, [{op: 'add', path: '/list/2', value: 1}]))
+    .toThrow('invalid array index: /list/2')
+  expect(() => applyPatch({}, [{op: 'nope', path: ''}]))
+    .toThrow('unknown JSON Patch operation: nope')
+})
+
+test('chain.diff & chain.patch', () => {
+  const one = new Chain().set('eh', 1).set('oh', 1).set('canada', [1])
+  const two = new Chain().set('eh', 2).set('canada', [1, 2])
+
+  const ops = one.diff(two)
+  expect(ops).toEqual([
+    {op: 'remove', path: '/oh'},
+    {op: 'replace', path: '/eh', value: 2},
+    {op: 'add', path: '/canada/1', value: 2},
+  ])
+  expect(one.diff(two.entries())).toEqual(ops)
+
+  expect(one.patch(ops)).toBe(one)
+  expect(one.entries()).toEqual(two.entries())
+})
+
+test('chain.patch goes through set, transformers & observers', () => {
+  const chain = new Chain()
+    .set('eh', 1)
+    .set('canada', {igloo: 1})
+    .transform('eh', x => x * 10)
+
+  const changed = []
+  chain.observe('*', (data, instance, change) => changed.push(change.key))
+
+  chain.patch([
+    {op: 'replace', path: '/eh', value: 2},
+    {op: 'replace', path: '/canada/igloo', value: 2},
+    {op: 'add', path: '/oh', value: true},
+  ])
+
+  expect(chain.get('eh')).toBe(20)
+  expect(chain.get('canada')).toEqual({igloo: 2})
+  expect(changed.length).toBe(3)
+  expect(changed).toEqual(expect.arrayContaining(['eh', ['canada.igloo'], 'oh']))
+})
@@ -214,3 +214,73 @@ test('ObjKeys', () => {
     !deepEqual({one: true, two: true}, {one: true, three: false})
   ).toBeTruthy()
 })
+
+test('Map entries', () => {
+  const a = new Map([['eh', {igloo: [1]}], ['canada', true]])
+  const b = new Map([['eh', {igloo: [1]}], ['canada', true]])
+  expect(deepEqual(a, b)).toBeTruthy()
+
+  b.set('canada', false)
+  expect(!deepEqual(a, b)).toBeTruthy()
+  expect(!deepEqual(new Map([['eh', 1]]), new Map([['oh', 1]]))).toBeTruthy()
+  expect(!deepEqual(new Map(), new Map([['eh', 1]]))).toBeTruthy()
+})
+
+test('ChainedMap stores', () => {
+  const {Chain} = require('../../src')
+  const one = new Chain().set('eh', 1)
+  const two = new Chain().set('eh', 2)
+  expect(!deepEqual(one.store, two.store)).toBeTruthy()
+  expect(deepEqual(one.store, two.set('eh', 1).store)).toBeTruthy()
+})
+
+test('Set members', () => {
+  expect(deepEqual(new Set([1, {eh: 1}]), new Set([{eh: 1}, 1]))).toBeTruthy()
+  expect(!deepEqual(new Set([1]), new Set([2]))).toBeTruthy()
+  expect(!deepEqual(new Set([{eh: 1}]), new Set([{eh: 2}]))).toBeTruthy()
+  expect(!deepEqual(new Set([1]), new Set([1, 2]))).toBeTruthy()
+})
+
+test('ArrayBuffer, DataView & typed arrays', () => {
+  expect(deepEqual(new Uint8Array([1, 2]), new Uint8Array([1, 2]))).toBeTruthy()
+  expect(!deepEqual(new Uint8Array([1, 2]), new Uint8Array([1, 3]))).toBeTruthy()
+  expect(!deepEqual(new Uint8Array([1]), new Int8Array([1]))).toBeTruthy()
+
+  const one = new Uint8Array([1, 2]).buffer
+  const two = new Uint8Array([1, 3]).buffer
+  expect(deepEqual(one, new Uint8Array([1, 2]).buffer)).toBeTruthy()
+  expect(!deepEqual(one, two)).toBeTruthy()
+  expect(!deepEqual(new ArrayBuffer(2), new ArrayBuffer(4))).toBeTruthy()
+  expect(!deepEqual(new DataView(one), new DataView(two))).toBeTruthy()
+})
+
+test('Symbol keys & boxed primitives', () => {
+  const eh = Symbol('eh')
+  expect(deepEqual({[eh]: {igloo: 1}}, {[eh]: {igloo: 1}})).toBeTruthy()
+  expect(!deepEqual({[eh]: {igloo: 1}}, {[eh]: {igloo: 2}})).toBeTruthy()
+  expect(!deepEqual({[eh]: 1}, {})).toBeTruthy()
+  expect(!deepEqual({}, {[eh]: 1})).toBeTruthy()
+
+  expect(deepEqual(new Number(1), new Number(1))).toBeTruthy()
+  expect(!deepEqual(new Number(1), new Number(2))).toBeTruthy()
+  expect(!deepEqual(new String('eh'), new String('oh'))).toBeTruthy()
+  expect(!deepEqual(new Boolean(true), new Boolean(false))).toBeTruthy()
+})
+
+test('explain the first difference', () => {
+  const {explain} = deepEqual
+  expect(explain({eh: 1}, {eh: 1})).toBe(undefined)
+  expect(explain({canada: {eh: [1, 2]}}, {canada: {eh: [1, 3]}})).toEqual({
+    path: ['canada', 'eh', '1'],
+    a: 2,
+    b: 3,
+  })
+  expect(explain({eh: 1}, {eh: 1, oh: 2})).toEqual({
+    path: ['oh'],
+    a: undefined,
+    b: 2,
+  })
+  expect(explain(new Map([['eh', {igloo: 1}]]), new Map([['eh', {}]])))
+    .toEqual({path: ['eh', 'igloo'], a: 1, b: undefined})
+  expect(explain(1, '1')).toEqual({path: [], a: 1, b: '1'})
+})
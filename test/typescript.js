@@ -0,0 +1,80 @@
+const {Chain, toTypeScript} = require('../src')
+const typeToTS = require('../src/deps/typescript/typeToTS')
+
+test(`types for expressions, enums & nested schemas`, () => {
+  expect(typeToTS('?string')).toBe('string | null | undefined')
+  expect(typeToTS('number[]')).toBe('number | number[]')
+  expect(typeToTS('(string|number)[]')).toBe(
+    'string | number | (string | number)[]'
+  )
+  expect(typeToTS('[string, date]')).toBe('[string, Date]')
+  expect(typeToTS('{[string]: number(0..)}')).toBe('{[key: string]: number}')
+  expect(typeToTS('Map<string, Set<boolean>>')).toBe(
+    'Map<string, Set<boolean>>'
+  )
+  expect(typeToTS("'big'|'small'|0|null")).toBe('"big" | "small" | 0 | null')
+  expect(typeToTS('string & !number')).toBe('string & any')
+  expect(typeToTS(['dev', 1])).toBe('"dev" | 1')
+  expect(typeToTS(x => true)).toBe('any')
+  expect(typeToTS({url: 'string', 'pool-size': '?number'})).toBe(
+    '{url: string; "pool-size"?: number | null | undefined}'
+  )
+})
+
+test(`declares the methods built on a chain class`, () => {
+  class Config extends Chain {
+    constructor(parent) {
+      super(parent)
+      this.extend(['debug'])
+      this.methods('port').type('number').getSet().build()
+      this.methods('env').type('string').alias('environment').build()
+      this.methods('eh').type('boolean').define().build()
+      this.methods('oh').default(true).returns(x => x).build()
+      this.methods().schema({
+        mode: ['dev', 'prod'],
+        hosts: '?string[]',
+        db: {url: 'string'},
+      })
+    }
+  }
+
+  expect(toTypeScript(Config)).toBe(
+    `import {Chain} from 'chain-able'
+
+export interface Config extends Chain {
+  debug(value: any): Config
+  port(value: number): Config
+  setPort(value: number): Config
+  getPort(): number
+  env(value: string): Config
+  environment(value: string): Config
+  eh: boolean
+  oh(value?: any): any
+  mode(value: "dev" | "prod"): Config
+  hosts(value?: string | string[] | null | undefined): Config
+  db(value: {url: string}): Config
+}
+`
+  )
+})
+
+test(`with a built chain, the interface name & what it extends`, () => {
+  const chain = new Chain()
+  chain.methods('eh').type('?number').build()
+
+  const declaration = toTypeScript(chain, {name: 'Eh', extends: 'ChainedMap'})
+  expect(declaration).toMatch(`import {ChainedMap} from 'chain-able'`)
+  expect(declaration).toMatch('export interface Eh extends ChainedMap {')
+  expect(declaration).toMatch('  eh(value?: number | null | undefined): Eh\n')
+})
+
+test(`with a built chain, the name defaults to the displayName`, () => {
+  const chain = new Chain()
+  chain.methods('eh').type('string').build()
+
+  const declaration = toTypeScript(chain)
+  expect(declaration).toMatch(`import {Chain} from 'chain-able'`)
+  expect(declaration).toMatch('export interface BuiltChain extends Chain {')
+  expect(declaration).toMatch('  eh(value: string): BuiltChain\n')
+  expect(declaration).not.toMatch('DotProp')
+})
@@ -14,6 +14,31 @@ import {Composer, Composed} from './compose'
 import {ChainedMap} from './ChainedMap'
 import {TraverseChain} from './traverse'
 
+export interface Subscription {
+  closed: boolean
+  unobserve(): Chain
+  end(): Chain
+}
+
+export type ChangeType = 'set' | 'delete' | 'clear' | 'batch'
+export interface ChangeRecord {
+  type: ChangeType
+  key: Primitive | Primitive[]
+  path: Primitive | Primitive[] | undefined
+  oldValue: any
+  value: any
+  changes?: ChangeRecord[]
+  prop?: Primitive
+  propOldValue?: any
+}
+
+export interface Transaction {
+  closed: boolean
+  changes: ChangeRecord[]
+  commit(): Chain
+  rollback(): Chain
+}
+
 export interface ChainInstanceFn extends FnHasSingleArg {
   (instance: Chain): any
 }
@@ -54,7 +79,11 @@ export declare class Chain extends ChainedMap implements Composed {
   // --- observechain ---
 
   // stored in .meta
-  public observe(properties: strings, fn: FnArgIsObj): Chain
+  public observe(properties: strings, fn: FnArgIsObj): Subscription
+  public once(properties: strings, fn: FnArgIsObj): Subscription
+  public unobserveAll(): Chain
+  public transaction(): Transaction
+  public batch(fn: ChainInstanceFn): Chain
 
   // --- dotpropchain ---
 
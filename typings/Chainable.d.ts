@@ -15,12 +15,20 @@ export interface ChainableI extends Composable {
     falseBrancher?: ChainInstanceFn
   ): Chain
 
-  // Map.clear
-  clear(): Chain
+  // Map.clear, returning the chain it was called on (ChainedMap or ChainedSet)
+  clear(clearPropertiesThatAreChainLike?: boolean): this
 
-  delete(key: Primitive): Chain
+  delete(key: Primitive): this
   has(value: Primitive): boolean
   values(): any[]
+
+  // the last set key (or added value) comes before/after `key`
+  before(key: Primitive | any): Chain
+  after(key: Primitive | any): Chain
+  // negative indexes are from the end
+  move(key: Primitive | any, index: number): Chain
+  order(keys: Array<Primitive | any>): Chain
+
   readonly length: number
   [Symbol.iterator](): Generator
   [Symbol.toPrimitive](hint: ToPrimativeHint): string | number | Primitive
@@ -39,9 +47,13 @@ export declare class Chainable {
     trueBrancher?: ChainInstanceFn,
     falseBrancher?: ChainInstanceFn
   ): Chain
-  public clear(): Chain
-  public delete(key: Primitive): Chain
+  public clear(clearPropertiesThatAreChainLike?: boolean): this
+  public delete(key: Primitive): this
   public has(value: Primitive): boolean
+  public before(key: Primitive | any): Chain
+  public after(key: Primitive | any): Chain
+  public move(key: Primitive | any, index: number): Chain
+  public order(keys: Array<Primitive | any>): Chain
   public [Symbol.iterator](): Generator
   public [Symbol.hasInstance](instance: Obj | any): boolean
   public [Symbol.toPrimitive](
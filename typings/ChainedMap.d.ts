@@ -8,18 +8,61 @@ import {
 } from './generic'
 import {Composable, Composer} from './compose'
 import {Chainable} from './Chainable'
-import {MethodChain} from './MethodChain'
+import {MethodChain, ValidationFailure} from './MethodChain'
 import {Meta} from './Meta'
 import {MergerFn} from './merge'
 import {Class, FnTap} from './_mediator'
 import {Chain} from './Chain'
+import {PatchOp} from './traverse'
+
+// keyed: method returning (or creating) the child for a key
+export interface ChildOptions {
+  keyed?: string
+}
+
+// serializers return undefined for values they do not print
+export interface SourceOptions {
+  style?: 'chain' | 'object'
+  name?: string
+  serializers?: Array<(value: any, nested: (value: any) => string) => string | void>
+}
+
+// deferred actions, recorded & replayed one at a time
+export interface Saw {
+  handlers: Obj
+  actions: Array<{path: string[]; args: any[]}>
+  step?: number
+  next(): void
+  nest(cb: Function, ...args: any[]): void
+  nest(autonext: boolean, cb: Function, ...args: any[]): void
+  record(): Saw
+  trap(name: strings, cb: Function): void
+  down(name: strings): void
+  jump(step: number): void
+  on(event: 'begin' | 'end' | 'error' | string, listener: Function): Saw
+  emit(event: string, ...args: any[]): Saw
+}
+export interface Queued {
+  [method: string]: any
+  then(onFulfilled?: (chain: Chain) => any, onRejected?: (error: any) => any): Queued
+}
+export declare function chainsaw(builder: (this: Obj, saw: Saw) => Obj | void): any
+
+export interface SerializedChain {
+  $chain: number
+  type: 'ChainedMap' | 'ChainedSet'
+  store: Array<[any, any]> | Array<any>
+  children: {[key: string]: SerializedChain}
+  meta: {shorthands: string[]; decorated: string[]}
+}
 
 export interface ChainedMapI extends Composable {
   meta: Meta
   store: ValidMap
   entries(reduceInstanceProperties?: boolean): Obj
-  from(obj: Obj): Chain
+  from(obj: Obj | SerializedChain | string): Chain
   extend(methods: string[]): Chain
+  serialize(): string
   tap(name: Primitive, fn: FnTap): Chain
   merge(objToMerge: Obj, fn?: MergerFn): Chain
   get(name: Primitive): Primitive
@@ -39,15 +82,39 @@ export declare class ChainedMapBase extends Chainable {
   // MapIterator -> `{[key]: value}`
   // with all chain properties if they exist
   public entries(reduceInstanceProperties: boolean): Obj
+  // the plain object of the whole chain tree, without empty values
+  public toConfig(): Obj
+  // readable JavaScript, fluent calls or an object literal
+  public toSource(options?: SourceOptions): string
+  public toString(): string
+  // return undefined to omit the key
+  public onExport(key: Primitive, fn: (value: any, key: Primitive, chain: Chain) => any): Chain
 
   public from(obj: Obj): Chain
   public tap(name: Primitive, fn: FnTap): Chain
 
   public get(name: Primitive): Primitive
   public set(name: Primitive, value: Primitive, dotPropKey?: any): Chain
+
+  // waits for pending async validation & onCall,
+  // rejects with the first error
+  public settled(): Promise<Chain>
 }
 export declare class ChainedMap extends ChainedMapBase {
   public method(names: strings): MethodChain
+  // finished with .use(paths, fn).build()
+  public computed(names: strings): MethodChain
   public methods(names: strings): MethodChain
+  // lazily created child chain(s), as `chain[name]`
+  public child(name: string, ChainClass?: Class, options?: ChildOptions): Chain
   public merge(objToMerge: Obj, fn?: MergerFn): Chain
+  public diff(other: Chain | Obj): Array<PatchOp>
+  public patch(ops: Array<PatchOp>): Chain
+  // checks the store with the .schema, empty when valid
+  public validate(): ValidationFailure[]
+  // queued async fluent api of the methods, awaitable
+  public chainsaw(builder?: (this: Obj, saw: Saw, chain: Chain) => void): Queued
+  public serialize(): string
+  public from(obj: Obj | SerializedChain | string): Chain
+  public static deserialize(str: string | SerializedChain): Chain
 }
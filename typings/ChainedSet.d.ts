@@ -1,19 +1,51 @@
 import {MergeableArray} from './generic'
 import {ChainableI, Chainable} from './Chainable'
+import {Meta} from './Meta'
+import {SerializedChain, SourceOptions} from './ChainedMap'
 
 export interface ChainedSetI extends ChainableI {
   add(value: any): ChainedSet
   prepend(value: any): ChainedSet
   has(value: any): boolean
   merge(arr: MergeableArray): ChainedSet
+  first(): any
+  last(): any
+  at(index: number): any
+  find(predicate: (value: any, index: number) => boolean): any
+  indexOf(value: any): number
+  slice(start?: number, end?: number): ChainedSet
+  insertAt(index: number, value: any): ChainedSet
+  remove(predicate: (value: any, index: number) => boolean): ChainedSet
+  replace(oldValue: any, newValue: any): ChainedSet
+  sort(compare?: (a: any, b: any) => number): ChainedSet
+  dedupe(by?: string | ((value: any) => any)): ChainedSet
   // [Symbol.species]: Set @depreciated
   // [Symbol.isConcatSpreadable]: boolean @depreciated
 }
 // extends Set
 export declare class ChainedSet extends Chainable implements ChainedSetI {
+  public meta: Meta
   public add(value: any): ChainedSet
   public prepend(value: any): ChainedSet
   public merge(arr: MergeableArray): ChainedSet
   public has(value: any): boolean
   public values(): any[]
+  public first(): any
+  public last(): any
+  public at(index: number): any
+  public find(predicate: (value: any, index: number) => boolean): any
+  public indexOf(value: any): number
+  public slice(start?: number, end?: number): ChainedSet
+  public insertAt(index: number, value: any): ChainedSet
+  public remove(predicate: (value: any, index: number) => boolean): ChainedSet
+  public replace(oldValue: any, newValue: any): ChainedSet
+  public sort(compare?: (a: any, b: any) => number): ChainedSet
+  public dedupe(by?: string | ((value: any) => any)): ChainedSet
+  public delete(value: any): this
+  public clear(clearPropertiesThatAreChainLike?: boolean): this
+  public toConfig(): any[]
+  public toSource(options?: SourceOptions): string
+  public toString(): string
+  public serialize(): string
+  public static deserialize(str: string | SerializedChain): ChainedSet
 }
@@ -16,4 +16,19 @@ export interface FactoryChainI extends Composable {
   chainUpDowns(methods: string[]): FactoryChainI
   optional(methods: string[]): FactoryChainI
   required(methods: string[]): FactoryChainI
+
+  // called with a TypeError (with `.missing`) instead of throwing
+  onInvalid(fn: (error: TypeError, data: Obj, instance: FactoryChainI) => any): FactoryChainI
+  // data for props that are not called
+  defaults(defaults: Obj): FactoryChainI
+  // every `required` (or not `optional`) prop is called (or has a default)
+  isComplete(): boolean
+
+  // required props that have not been called, without a default
+  missing(): string[]
+  // throws a TypeError with `.missing` when required props are missing,
+  // unless there is `onInvalid`
+  end(arg?: any): any
+  // waits for async `prop` callbacks, then ends (once)
+  done(): Promise<any>
 }
@@ -15,6 +15,9 @@ export interface Meta {
 
   // depending on arguments when using as a function
   // (if no `value`, use as a Set, with `prop` as `value`)
+  // removes `prop` (or the value when a Set), or clears the whole store
+  delete(storeKeyName: string, prop?: Primitive): any
+
   store: Map<META_KEYS, any> | ValidSet
   debug?: boolean
 }
@@ -2,9 +2,20 @@ import {Obj, Fn, FnHasSingleArg, strings, Primitive} from './generic'
 import {Chain, ChainInstanceFn} from './Chain'
 import {ParentType, SchemaType} from './_mediator'
 
+// every failing path from .schema validation
+export interface ValidationFailure {
+  path: string
+  expected: string | Fn | Obj
+  actual: any
+  message: string
+}
+export interface ValidationError extends TypeError {
+  errors?: ValidationFailure[]
+}
+
 // this = ChainInstance
 export interface onInvalid {
-  (error: TypeError, key: Primitive, arg: any, instance: Chain)
+  (error: ValidationError, key: Primitive, arg: any, instance: Chain)
   call?: onInvalid
 }
 export interface onValid {
@@ -43,11 +54,16 @@ export class MethodChain extends Chain {
 
   // type validation
   // @example `?string`, `string[]`, `string|boolean`, `boolean[]|string[]`
+  // a validator returning a Promise makes the method return a thenable chain
   public type(type: string | FnHasSingleArg): MethodChain
 
   // an object that contains nestable types
   // they are mapped to validators
-  public schema(schema: SchemaType): Chain
+  public schema(schema: SchemaType, options?: {coerce?: boolean}): Chain
+
+  // coerce values before validating, with the `.type`, or the type passed in
+  // @example '1' -> 1, 'true' -> true, ISO -> Date, 'a,b' -> ['a', 'b']
+  public coerce(type?: boolean | string | SchemaType): MethodChain
 
   // when using .encase or .type, defaults to re-throw
   // called when type validation | encased method is invalid
@@ -129,6 +145,10 @@ export class MethodChain extends Chain {
   //          .index(+1) // now index is 2, note the optional arg for clarity
   public autoIncrement(should?: boolean): MethodChain
 
+  // read-only computed value from the dependency paths (dot-prop & globs)
+  // @example .name('admin').use('roles, dates.created', fn)
+  public use(paths: strings, fn: (values: Obj, chain: Chain) => any): MethodChain
+
   // @example .name('created_at')
   //          obj.createdAt = .onCall
   public camelCase(should?: boolean): MethodChain
@@ -13,11 +13,19 @@ export interface Composer {
 export interface Composable {
   compose: Composer
 }
+export interface ComposeOptions {
+  target?: Composable
+  extensions?: Array<Obj>
+  immutable?: boolean
+  // immutable.js-style lib, `adapter.Map()` is used as the store
+  adapter?: Obj
+}
 // compose / chain
 export declare function compose(
   target: Composable,
   extensions?: Array<Obj> | undefined
 ): Composable
+export declare function compose(options: ComposeOptions): Composable
 
 export type Class = Chain | Obj
 export type ComposedClass = Chain | Chainable | Composable | Class | Fn | Obj
@@ -33,6 +33,22 @@ export interface DotPropPaths {
   (key: Primitive, value: Traversable, longest?: boolean): Array<string>
 }
 
+// objects & functions are keyed by identity, everything else is LRU
+export interface CacheNamespace {
+  has(key: any): boolean
+  get(key: any): any
+  set(key: any, value: any): CacheNamespace
+  delete(key: any): boolean
+  clear(): void
+  size(): number
+  limit(limit?: number): number
+}
+export interface Cache {
+  (name: string, limit?: number): CacheNamespace
+  clear(name?: string): void
+}
+export declare const cache: Cache
+
 // undefined and null values are removed
 export declare function clean(obj: Obj): Obj
 
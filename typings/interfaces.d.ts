@@ -3,7 +3,7 @@ import {Class, ParentType} from './_mediator'
 import {ChainedSet} from './ChainedSet'
 import {ComposedClass, Composable} from './compose'
 import {ChainableI, Chainable} from './Chainable'
-import {Chain} from './Chain'
+import {Chain, Subscription, Transaction} from './Chain'
 
 export interface TransformI extends Composable {
   // useThis = false
@@ -18,7 +18,11 @@ export interface ShorthandsI extends Composable {
   debug(should: boolean): Chain
 }
 export interface ObserveI extends Composable {
-  observe(properties: strings, fn: Fn): ObserveI | Chain
+  observe(properties: strings, fn: Fn): Subscription
+  once(properties: strings, fn: Fn): Subscription
+  unobserveAll(): ObserveI | Chain
+  transaction(): Transaction
+  batch(fn: Fn): ObserveI | Chain
 }
 
 // overrides .set, .has, .get, .delete with dot.prop access
@@ -26,6 +30,56 @@ export interface DotPropI extends Composable {
   dot(enabled: boolean): Chain
 }
 
+// undo & redo, opt-in, compose.History
+export interface HistoryI extends Composable {
+  undo(label?: string): HistoryI | Chain
+  redo(label?: string): HistoryI | Chain
+  canUndo(): boolean
+  canRedo(): boolean
+  checkpoint(label: string): HistoryI | Chain
+  historyDepth(depth: number): HistoryI | Chain
+}
+
+// localStorage interface, compose.Persist.memory & deps/persist/file
+export interface StorageAdapter {
+  getItem(key: string): string | null
+  setItem(key: string, value: string): any
+  removeItem(key: string): any
+}
+export interface PersistOptions {
+  adapter?: StorageAdapter
+  // 'user:{id}' template, or (chain) => key, default className
+  key?: string | ((chain: Chain) => string)
+  // ms, 0 saves on every change, default 100
+  debounce?: number
+  autosave?: boolean
+  version?: number
+  migrations?: {[version: number]: (data: Obj) => Obj | void}
+}
+
+// save & hydrate with a storage adapter, opt-in, compose.Persist
+export interface PersistI extends Composable {
+  storage(options: PersistOptions): PersistI | Chain
+  save(): PersistI | Chain
+  hydrate(): PersistI | Chain
+  unpersist(): PersistI | Chain
+}
+
+// persistent chains, compose({immutable: true})
+export interface ImmutableI extends Composable {
+  readonly immutable: any // adapter map, when using an adapter
+  set(name: Primitive | strings, value: any): ImmutableI | Chain
+  delete(name: Primitive | strings): ImmutableI | Chain
+  clear(): ImmutableI | Chain
+  merge(obj: Obj, fn?: Fn): ImmutableI | Chain
+  withMutations(fn: Fn): ImmutableI | Chain
+  setIn(path: strings, value: any): ImmutableI | Chain
+  getIn(path: strings): any
+  mergeDeep(obj: Obj | Chain): ImmutableI | Chain
+  toJS(): Obj
+  equals(other: Obj | Chain): boolean
+}
+
 // these just flow in order...
 export declare class ShorthandChain extends Chain {}
 export declare class DotPropChain extends Chain {}
@@ -1,3 +1,6 @@
+import {Obj} from './generic'
+import {Chainable} from './Chainable'
+
 export interface ValidationFunction {
   (arg: any): any
 }
@@ -25,9 +28,56 @@ export type Type =
   | 'objWithKeys'
   | 'null'
   | 'undefined'
+  // expressions: `(string|number)[]`, `[string, number]`, `{[string]: number}`,
+  // `Map<string, date>`, `number(0..100)`, `string(/^eh/)`, `'literal'`
+  | string
 
 export interface Schemable<T> {
   (key: string | any): T
 }
 
 export type Schema = Schemable<Type> | Type
+
+// JSON Schema (draft-07), as used by toJSONSchema & fromJSONSchema
+export interface JSONSchema {
+  $schema?: string
+  type?: string | string[]
+  format?: string
+  properties?: {[key: string]: JSONSchema}
+  required?: string[]
+  items?: JSONSchema
+  enum?: any[]
+  const?: any
+  anyOf?: JSONSchema[]
+  oneOf?: JSONSchema[]
+  allOf?: JSONSchema[]
+  not?: JSONSchema
+  [keyword: string]: any
+}
+
+// validators made from JSON Schema keep it, for toJSONSchema
+export interface JSONSchemaValidator extends ValidationFunction {
+  jsonSchema: JSONSchema
+  optional?: boolean
+}
+
+export declare function toJSONSchema(chain: Chainable | Obj): JSONSchema
+export declare function fromJSONSchema(doc: JSONSchema): Obj
+
+// a `.d.ts` interface for methods built at runtime
+export interface TypeScriptOptions {
+  name?: string
+  extends?: string
+}
+export declare function toTypeScript(
+  chain: Chainable | Function,
+  options?: TypeScriptOptions
+): string
+
+// (value) => coerced value, or the value when it cannot be coerced
+export interface Coercer {
+  (value: any): any
+}
+
+// used with `.coerce()`, next to `addTypes`
+export declare function addCoercers(coercers: {[type: string]: Coercer}): any
@@ -42,3 +42,22 @@ export interface Traverse {
 
 // loose = false
 export declare function eq(one: any, two: any, loose?: boolean): boolean
+export interface EqExplanation {
+  path: Array<Primitive | symbol>
+  a: any
+  b: any
+}
+export declare namespace eq {
+  function explain(one: any, two: any, loose?: boolean): EqExplanation | undefined
+}
+
+// JSON Patch (RFC 6902)
+export type PatchOpName = 'add' | 'remove' | 'replace' | 'move' | 'copy' | 'test'
+export interface PatchOp {
+  op: PatchOpName
+  path: string
+  value?: any
+  from?: string
+}
+export declare function diff(a: any, b: any): Array<PatchOp>
+export declare function applyPatch(obj: any, ops: Array<PatchOp>): any